@@ -1,6 +1,30 @@
 import { LightningElement, api, wire } from 'lwc';
-import { publish, MessageContext } from 'lightning/messageService';
+import { publish, subscribe, unsubscribe, MessageContext } from 'lightning/messageService';
 import AGENTFORCE_SESSION_CHANNEL from '@salesforce/messageChannel/AgentforceSessionChannel__c';
+import USER_ID from '@salesforce/user/Id';
+import IS_GUEST from '@salesforce/user/isGuest';
+import { detectSiteLanguage, resolveEmbeddedServiceLanguage, getStrings } from 'c/agentforceChatI18n';
+import {
+    findActiveContainer,
+    getContainer,
+    getContainerElement,
+    getContainers,
+    isElementVisible,
+    setAttachmentSupport
+} from 'c/agentforceChatContainerRegistry';
+import { createProjectionController } from 'c/agentforceChatProjection';
+import { createAnalyticsForwarder } from 'c/agentforceChatAnalytics';
+import { createBeaconForwarder } from 'c/agentforceChatBeacon';
+import { appendTranscriptEntry, extractMessageText, getTranscript, roleForSender } from 'c/agentforceChatTranscript';
+import { loadStoredSession, storeSession, clearStoredSession, recordSessionActivity } from 'c/agentforceChatSessionStore';
+import { OFFLINE_MODES, getAvailability, setCurrentAvailability } from 'c/agentforceChatBusinessHours';
+import { NOTIFICATION_VARIANTS, createNotifier } from 'c/agentforceChatNotifications';
+import {
+    emitWindowEvent,
+    flushWindowApiQueue,
+    installWindowApi,
+    uninstallWindowApi
+} from 'c/agentforceChatWindowApi';
 // Note: The __c suffix is required in the import path even though the file is named without it
 
 /**
@@ -16,7 +40,8 @@ import AGENTFORCE_SESSION_CHANNEL from '@salesforce/messageChannel/AgentforceSes
  * 1. Add the Embedded Service Deployment code snippet to Experience Builder Head Markup
  * 2. MODIFY the snippet to NOT auto-call init() - remove or comment out the init() call
  * 3. Place this component on your page (can be hidden/minimal)
- * 4. Optionally place agentforceChatInlineContainer where you want inline chat
+ * 4. Optionally place agentforceChatInlineContainer where you want inline chat,
+ *    or set Target Container ID to open the chat inside any element on the page
  * 5. Configure via CPE with your Org ID, Deployment Name, Site URL, and SCRT URL
  */
 export default class AgentforceChat extends LightningElement {
@@ -49,10 +74,72 @@ export default class AgentforceChat extends LightningElement {
     @wire(MessageContext)
     messageContext;
 
+    // ==================== CONVERSATION LIFECYCLE ====================
+
+    /**
+     * Conversation lifecycle states
+     * IDLE → BOOTSTRAPPING → READY → CONNECTING → ACTIVE → ENDED/ERROR
+     */
+    static STATES = {
+        IDLE: 'IDLE',                   // Nothing initialized (or component disconnected)
+        BOOTSTRAPPING: 'BOOTSTRAPPING', // Loading bootstrap script / waiting for onEmbeddedMessagingReady
+        READY: 'READY',                 // Embedded Service API ready, no conversation in progress
+        CONNECTING: 'CONNECTING',       // launchChat() called, waiting for the agent greeting
+        ACTIVE: 'ACTIVE',               // Conversation in progress
+        ENDED: 'ENDED',                 // Conversation closed - next chat start must reset first
+        ERROR: 'ERROR'                  // Bootstrap or greeting failure - awaiting re-init
+    };
+
+    /**
+     * Allowed transitions (from → [to]). IDLE is always reachable (disconnect/teardown).
+     */
+    static TRANSITIONS = {
+        IDLE: ['BOOTSTRAPPING', 'ERROR'],
+        BOOTSTRAPPING: ['READY', 'ACTIVE', 'ENDED', 'ERROR'],
+        READY: ['CONNECTING', 'ACTIVE', 'ENDED', 'BOOTSTRAPPING', 'ERROR'],
+        CONNECTING: ['ACTIVE', 'READY', 'ENDED', 'ERROR'],
+        ACTIVE: ['CONNECTING', 'READY', 'ENDED', 'ERROR'],
+        ENDED: ['READY', 'ACTIVE', 'BOOTSTRAPPING', 'ERROR'],
+        ERROR: ['BOOTSTRAPPING', 'READY']
+    };
+
+    _state = AgentforceChat.STATES.IDLE;
+
+    /**
+     * Loading screen milestones while CONNECTING, in order (progress = fill percent reached)
+     */
+    static LOADING_STAGES = {
+        BOOTSTRAP_READY: 'bootstrap_ready',           // Embedded Service ready, launchChat() called
+        CONVERSATION_STARTED: 'conversation_started', // onEmbeddedMessagingConversationStarted
+        GREETING_RECEIVED: 'greeting_received',       // First agent/bot message
+        MESSAGE_SENT: 'message_sent'                  // Welcome message (and attachment) delivered
+    };
+
+    static LOADING_STAGE_PROGRESS = {
+        bootstrap_ready: 20,
+        conversation_started: 45,
+        greeting_received: 80,
+        message_sent: 100
+    };
+
+    /**
+     * Greeting watchdog defaults (CPE: greetingMaxRetries, greetingRetryDelay, greetingBackoffFactor, greetingTimeout)
+     */
+    static WATCHDOG_DEFAULTS = {
+        maxRetries: 10,
+        baseDelayMs: 2000,
+        backoffFactor: 1.5,
+        budgetMs: 60000
+    };
+
+    // The loading screen is revealed even if sending the welcome message stalls this long
+    static MESSAGE_SEND_REVEAL_MS = 5000;
+    // sendTextMessage attempts before the pending message is dropped (~10s at 500ms)
+    static PENDING_SEND_MAX_ATTEMPTS = 20;
+
     // ==================== INTERNAL STATE ====================
 
     _configApplied = false;
-    _bootstrapInitialized = false;
     _checkAttempts = 0;
     _maxCheckAttempts = 50;
     _messagingReadyHandler = null;
@@ -60,35 +147,55 @@ export default class AgentforceChat extends LightningElement {
     _conversationStartHandler = null;
     _navigationHandler = null;
     _pendingMessage = null;
+    _pendingAttachment = null; // File from the welcome screen, sent after the pending message
     _projectionAttempts = 0;
     _projectionComplete = false;
-    _messageSent = false;
     _lastUrl = null;
     _containerElement = null;
+    _projectionController = null; // Tracks container geometry while projected
     _navigationCheckTimeout = null;
     _navigationCheckCount = 0;
-    _apiReady = false;
     _queuedChatStart = null;
     _minimizeObserver = null;
     _inFabModeOverride = false;
-    _greetingWatcherActive = false;
+    _targetContainer = null; // Name or id of the container the last launch targeted
+    _targetContainerId = ''; // External page element to project into (CPE: targetContainerId)
+    _greetingWatcher = null;
+    _watchdogConfig = { ...AgentforceChat.WATCHDOG_DEFAULTS };
+    _loadingStage = null; // One of LOADING_STAGES while the loading screen is up
+    _loadingStageAt = 0;
+    _notifier = createNotifier();
+    _hiddenPrechatFields = [];
+    _languageOverrides = [];
+    _chatLanguageFallback = 'en_US';
+    _stringOverrides = [];
+    _prechatContext = {}; // Extra hidden pre-chat fields from startConversation({ context })
+    _commandWaiters = new Set();
+    _commandSubscription = null;
+    _windowApiController = null;
+    _analytics = createAnalyticsForwarder(); // Replaced from config - no adapters until enabled
+    _beaconConfig = null; // { endpoint, batchSize, flushInterval, maxRetries } when the HTTP sink is enabled
+    _beacon = null;
+    _transcriptEnabled = false; // Record messages to the local transcript (c/agentforceChatTranscript)
+    _transcriptMaxMessages = null;
+    _businessHours = null; // { timezone, weeklyHours, holidays } when business hours are enabled
+    _offlineConfig = {}; // { mode, title, message, leaveMessageUrl, leaveMessageLabel, color } from the CPE
+    _availability = { available: true, reason: 'always' };
+    _availabilityInterval = null;
+    _isFabMode = false; // No inline container - the Embedded Service button is the entry point
+    _isOfflinePanelOpen = false;
+    _offlineFabStyles = null; // <style> hiding the Embedded Service button while the offline FAB shows
+    _isOnline = true; // Browser connectivity (online/offline events)
+    _offlineSince = null;
+    _networkHandlers = null;
+    // Timing marks for PERF_METRIC events (see PERFORMANCE METRICS)
+    _perf = { bootstrapWaitStart: null, initStart: null, launchStart: null, turnStart: null, metrics: {}, turnLatencies: [], summaryPublished: false };
 
     // Activity tracking state
     _sessionId = null;
+    _pageView = 0;
     _messageCount = 0;
     _embeddedEventHandlers = {};
-    // Track if conversation has ended - use getter/setter to persist in sessionStorage
-    // This survives SPA navigation where component reconnects
-    get _conversationEnded() {
-        return sessionStorage.getItem('agentforce_conversation_ended') === 'true';
-    }
-    set _conversationEnded(value) {
-        if (value) {
-            sessionStorage.setItem('agentforce_conversation_ended', 'true');
-        } else {
-            sessionStorage.removeItem('agentforce_conversation_ended');
-        }
-    }
 
     // ==================== COMPUTED PROPERTIES ====================
 
@@ -96,56 +203,48 @@ export default class AgentforceChat extends LightningElement {
         return this.orgId && this.deploymentDeveloperName && this.siteUrl && this.scrtUrl;
     }
 
+    /**
+     * User-facing strings for the active site language (Custom Labels + CPE overrides)
+     */
+    get labels() {
+        return getStrings(this._stringOverrides, detectSiteLanguage());
+    }
+
     /**
      * Check if an inline container component exists AND is visible on the page
      * In Experience Cloud SPA, components may stay registered even when not visible
      */
     get hasInlineContainer() {
-        const container = window.__agentforceChatInlineContainer;
-        if (!container) {
-            return false;
-        }
-
-        // Check if the container element is actually in the DOM and visible
-        const element = container.element || document.getElementById(container.id);
-        if (!element) {
-            return false;
-        }
-
-        // Check if element is connected to DOM
-        if (!element.isConnected) {
-            return false;
-        }
+        return !!this._getActiveContainer();
+    }
 
-        // Check if element has dimensions (not collapsed)
-        const rect = element.getBoundingClientRect();
-        if (rect.width === 0 && rect.height === 0) {
-            return false;
+    /**
+     * The container the chat should use, in order:
+     * 1. The inline container the last launch targeted (if visible)
+     * 2. The external element configured by targetContainerId (if visible)
+     * 3. The visible inline container with the highest priority
+     */
+    _getActiveContainer() {
+        const target = getContainer(this._targetContainer);
+        if (target && isElementVisible(getContainerElement(target))) {
+            return target;
         }
+        return this._getExternalContainer() || findActiveContainer();
+    }
 
-        // Walk up the DOM tree to check if ANY parent is hidden
-        // Experience Cloud SPA hides pages by hiding parent containers
-        let current = element;
-        while (current && current !== document.body) {
-            const style = window.getComputedStyle(current);
-            if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
-                return false;
-            }
-            // Also check for common SPA hiding patterns
-            if (current.hasAttribute('hidden') || current.classList.contains('slds-hide')) {
-                return false;
-            }
-            current = current.parentElement;
+    /**
+     * Wrap the targetContainerId element so it can stand in for an inline container
+     * It has no welcome/loading methods - those steps are skipped and the chat opens directly
+     */
+    _getExternalContainer() {
+        if (!this._targetContainerId) {
+            return null;
         }
-
-        // Final check: is the element actually visible in viewport or at least rendered?
-        // An element with rect but off-screen is still "on this page"
-        // But if rect.top is extremely large negative, page might have scrolled away
-        if (rect.bottom < -5000 || rect.top > 10000) {
-            return false;
+        const element = document.getElementById(this._targetContainerId);
+        if (!isElementVisible(element)) {
+            return null;
         }
-
-        return true;
+        return { id: this._targetContainerId, name: this._targetContainerId, element, external: true };
     }
 
     // ==================== LIFECYCLE ====================
@@ -161,17 +260,41 @@ export default class AgentforceChat extends LightningElement {
         this._projectChatHandler = this._handleProjectChatRequest.bind(this);
         document.addEventListener('agentforceProjectChat', this._projectChatHandler);
 
+        // "Start new" on the inline container's resume card
+        this._startNewChatHandler = this._handleStartNewChatRequest.bind(this);
+        document.addEventListener('agentforceStartNewChat', this._startNewChatHandler);
+
         // Listen for SPA navigation to re-evaluate FAB visibility
         this._setupNavigationListener();
 
+        // Accept commands from other components over AgentforceSessionChannel
+        this._subscribeToCommands();
+
+        // Expose window.AgentforceChat for page scripts that can't use LMS
+        this._installWindowApi();
+
+        // POST activity events to the configured HTTP endpoint (if enabled)
+        this._startBeacon();
+
+        // A reload or new instance continues the persisted session as its next page view
+        this._countPageView();
+
+        // Re-check business hours every minute (offline state for the containers and FAB)
+        this._startAvailabilityChecks();
+
+        // Pause the greeting watchdog and queue chat starts while the browser is offline
+        this._setupNetworkListeners();
+
         console.log('[AgentforceChat] Core component connected at URL:', window.location.href);
         console.log('[AgentforceChat] hasInlineContainer:', this.hasInlineContainer);
-        console.log('[AgentforceChat] window.__agentforceChatInlineContainer:', window.__agentforceChatInlineContainer);
-        console.log('[AgentforceChat] Session state - sessionId:', this._sessionId, 'messageCount:', this._messageCount);
+        console.log('[AgentforceChat] Registered inline containers:', getContainers().map(entry => entry.name || entry.id));
+        console.log('[AgentforceChat] Session state - state:', this._state, 'sessionId:', this._sessionId, 'messageCount:', this._messageCount);
     }
 
     renderedCallback() {
-        if (this._bootstrapInitialized || !this.hasRequiredConfig) {
+        this._syncOfflineFabStyles();
+
+        if (!this._isInState(AgentforceChat.STATES.IDLE) || !this.hasRequiredConfig) {
             return;
         }
 
@@ -196,6 +319,10 @@ export default class AgentforceChat extends LightningElement {
             document.removeEventListener('agentforceProjectChat', this._projectChatHandler);
             this._projectChatHandler = null;
         }
+        if (this._startNewChatHandler) {
+            document.removeEventListener('agentforceStartNewChat', this._startNewChatHandler);
+            this._startNewChatHandler = null;
+        }
         if (this._conversationStartHandler) {
             window.removeEventListener('onEmbeddedMessagingConversationStarted', this._conversationStartHandler);
             this._conversationStartHandler = null;
@@ -216,9 +343,119 @@ export default class AgentforceChat extends LightningElement {
             this._minimizeObserver.disconnect();
             this._minimizeObserver = null;
         }
+        this._stopProjectionTracking();
+        this._rejectCommandWaiters(new Error('agentforceChat was disconnected'));
+        if (this._commandSubscription) {
+            unsubscribe(this._commandSubscription);
+            this._commandSubscription = null;
+        }
+        if (this._windowApiController) {
+            uninstallWindowApi(this._windowApiController);
+            this._windowApiController = null;
+        }
+        if (this._beacon) {
+            this._beacon.destroy();
+            this._beacon = null;
+        }
         // Clean up activity event listeners
         this._cleanupActivityEventListeners();
-        this._bootstrapInitialized = false;
+        this._cancelGreetingWatcher();
+        if (this._availabilityInterval) {
+            clearInterval(this._availabilityInterval);
+            this._availabilityInterval = null;
+        }
+        // Remove toasts still on screen (the notifier can be reused if the component reconnects)
+        this._notifier.destroy();
+        if (this._networkHandlers) {
+            window.removeEventListener('online', this._networkHandlers.online);
+            window.removeEventListener('offline', this._networkHandlers.offline);
+            this._networkHandlers = null;
+        }
+        this._transitionTo(AgentforceChat.STATES.IDLE, 'disconnected');
+    }
+
+    // ==================== STATE MACHINE ====================
+
+    /**
+     * Move the conversation lifecycle to a new state
+     * Invalid transitions are rejected (logged) so callers can't push the machine
+     * into a state that disagrees with what already happened.
+     * @param {string} nextState - One of AgentforceChat.STATES
+     * @param {string} reason - Short reason code, published with STATE_CHANGED
+     * @returns {boolean} true if the machine is now in nextState
+     */
+    _transitionTo(nextState, reason) {
+        const previousState = this._state;
+        if (previousState === nextState) {
+            return true;
+        }
+
+        const allowed = AgentforceChat.TRANSITIONS[previousState] || [];
+        if (nextState !== AgentforceChat.STATES.IDLE && !allowed.includes(nextState)) {
+            console.warn(`[AgentforceChat] Rejected state transition ${previousState} -> ${nextState} (${reason})`);
+            return false;
+        }
+
+        this._state = nextState;
+        console.log(`[AgentforceChat] State: ${previousState} -> ${nextState} (${reason})`);
+
+        // Persist ENDED in sessionStorage so it survives SPA navigation where the
+        // component reconnects. Disconnecting (-> IDLE) must NOT clear it.
+        if (nextState === AgentforceChat.STATES.ENDED) {
+            this._setEndedPersisted(true);
+        } else if (nextState !== AgentforceChat.STATES.IDLE) {
+            this._setEndedPersisted(false);
+        }
+
+        this._publishActivityEvent('STATE_CHANGED', {
+            from: previousState,
+            to: nextState,
+            reason: reason
+        });
+
+        // Run window API calls that were waiting for the chat to be ready
+        if (this._isApiReady()) {
+            flushWindowApiQueue();
+        }
+        return true;
+    }
+
+    _isInState(...states) {
+        return states.includes(this._state);
+    }
+
+    /**
+     * Embedded Service API (utilAPI) is usable in these states
+     */
+    _isApiReady() {
+        const { READY, CONNECTING, ACTIVE, ENDED } = AgentforceChat.STATES;
+        return this._isInState(READY, CONNECTING, ACTIVE, ENDED);
+    }
+
+    /**
+     * Work out which state to enter once the API becomes ready
+     * (handles component re-creation where the conversation already exists)
+     */
+    _resolveReadyState() {
+        if (this._isEndedPersisted()) {
+            return AgentforceChat.STATES.ENDED;
+        }
+        if (this._isConversationMaximized()) {
+            return AgentforceChat.STATES.ACTIVE;
+        }
+        return AgentforceChat.STATES.READY;
+    }
+
+    _isEndedPersisted() {
+        return sessionStorage.getItem('agentforce_conversation_ended') === 'true';
+    }
+
+    _setEndedPersisted(value) {
+        if (value) {
+            sessionStorage.setItem('agentforce_conversation_ended', 'true');
+        } else {
+            sessionStorage.removeItem('agentforce_conversation_ended');
+        }
     }
 
     // ==================== NAVIGATION HANDLING ====================
@@ -271,12 +508,30 @@ export default class AgentforceChat extends LightningElement {
         this._projectionAttempts = 0;
 
         // Restore container visibility if it was hidden by FAB switch
-        const container = window.__agentforceChatInlineContainer;
-        if (container?.element && container.element.style.display === 'none') {
-            container.element.style.display = '';
-            console.log('[AgentforceChat] Restored inline container visibility');
+        getContainers().forEach(container => {
+            if (container.element && container.element.style.display === 'none') {
+                container.element.style.display = '';
+                console.log('[AgentforceChat] Restored inline container visibility:', container.name || container.id);
+            }
+        });
+
+        // Containers that stay on the page re-check their page rules for the new URL
+        getContainers().forEach(container => {
+            if (container.refreshPageRules) {
+                container.refreshPageRules();
+            }
+        });
+
+        // Refresh page-derived pre-chat context for the next conversation
+        if (this._isApiReady()) {
+            this._applyHiddenPrechatFields('navigation');
         }
 
+        // Site language may have been switched - re-initialize if it's safe to
+        this._checkLanguageChange();
+
+        this._countPageView();
+
         // Check multiple times to handle LWC lifecycle timing
         this._navigationCheckCount = 0;
         this._performNavigationCheck();
@@ -300,15 +555,15 @@ export default class AgentforceChat extends LightningElement {
 
         // If container found, hide FAB and project chat if active
         if (hasContainer) {
-            this._updateFabVisibility(true);
-
             // If there's an active conversation, project it into the container
+            // External targets have no welcome screen - without a conversation the button stays
             // Projection state was already reset in _handleNavigation()
+            const container = this._getActiveContainer();
+            this._updateFabVisibility(!container?.external || hasActiveConvo);
             if (hasActiveConvo && !this._projectionComplete) {
                 console.log('[AgentforceChat] Active conversation detected, projecting into inline container');
 
                 // Hide the inline container's welcome screen
-                const container = window.__agentforceChatInlineContainer;
                 console.log('[AgentforceChat] Container reference:', container?.id, 'hideWelcome:', !!container?.hideWelcome);
                 if (container?.hideWelcome) {
                     container.hideWelcome();
@@ -352,19 +607,13 @@ export default class AgentforceChat extends LightningElement {
      * Check if there's an active conversation that should be preserved
      */
     _hasActiveConversation() {
-        // Check 1: Session ID exists (conversation was started)
-        if (this._sessionId) {
-            console.log('[AgentforceChat] Active conversation: sessionId exists');
+        // Check 1: Lifecycle says a conversation is starting or in progress
+        if (this._isInState(AgentforceChat.STATES.CONNECTING, AgentforceChat.STATES.ACTIVE)) {
+            console.log('[AgentforceChat] Active conversation: state is', this._state);
             return true;
         }
 
-        // Check 2: Messages have been exchanged
-        if (this._messageCount > 0) {
-            console.log('[AgentforceChat] Active conversation: messageCount > 0');
-            return true;
-        }
-
-        // Check 3: Chat iframe is maximized (visible)
+        // Check 2: Chat iframe is maximized (visible)
         const embeddedMessaging = document.getElementById('embedded-messaging');
         if (embeddedMessaging) {
             let iframe = embeddedMessaging.querySelector('iframe[name="embeddedMessagingFrame"]');
@@ -384,6 +633,7 @@ export default class AgentforceChat extends LightningElement {
      * Update FAB visibility based on whether inline container exists
      */
     _updateFabVisibility(hasContainer) {
+        this._isFabMode = !hasContainer;
         if (hasContainer) {
             // Hide the FAB
             console.log('[AgentforceChat] Hiding FAB (inline container present)');
@@ -400,6 +650,9 @@ export default class AgentforceChat extends LightningElement {
      * Remove all inline-mode styles and reset to FAB mode
      */
     _cleanupInlineStyles() {
+        // Stop geometry tracking first so a queued frame can't re-apply the position
+        this._stopProjectionTracking();
+
         const styleIds = [
             'agentforce-hide-fab-styles',
             'agentforce-initial-hiding-styles',
@@ -448,11 +701,61 @@ export default class AgentforceChat extends LightningElement {
             if (config.deploymentDeveloperName !== undefined) this.deploymentDeveloperName = config.deploymentDeveloperName;
             if (config.siteUrl !== undefined) this.siteUrl = config.siteUrl;
             if (config.scrtUrl !== undefined) this.scrtUrl = config.scrtUrl;
+            if (config.targetContainerId !== undefined) this._targetContainerId = config.targetContainerId;
+            if (Array.isArray(config.hiddenPrechatFields)) this._hiddenPrechatFields = config.hiddenPrechatFields;
+            if (Array.isArray(config.languageOverrides)) this._languageOverrides = config.languageOverrides;
+            if (config.chatLanguageFallback) this._chatLanguageFallback = config.chatLanguageFallback;
+            if (Array.isArray(config.stringOverrides)) this._stringOverrides = config.stringOverrides;
+            this._transcriptEnabled = config.transcriptEnabled === true;
+            if (config.transcriptMaxMessages !== undefined) this._transcriptMaxMessages = config.transcriptMaxMessages;
+            this._watchdogConfig = this._parseWatchdogConfig(config);
+            this._notifier.configure({
+                hostHandles: config.hostHandlesNotifications === true,
+                accentColor: config.agentPrimaryColor
+            });
+            this._businessHours = config.businessHoursEnabled
+                ? {
+                    timezone: config.businessHoursTimezone,
+                    weeklyHours: Array.isArray(config.weeklyHours) ? config.weeklyHours : [],
+                    holidays: Array.isArray(config.holidays) ? config.holidays : []
+                }
+                : null;
+            this._offlineConfig = {
+                mode: config.offlineMode || OFFLINE_MODES.OFFLINE,
+                title: config.offlineTitle,
+                message: config.offlineMessage,
+                leaveMessageUrl: config.leaveMessageUrl,
+                leaveMessageLabel: config.leaveMessageLabel,
+                color: config.agentPrimaryColor
+            };
+            this._analytics = createAnalyticsForwarder(config);
+            this._beaconConfig = config.beaconEnabled && config.beaconEndpoint
+                ? {
+                    endpoint: config.beaconEndpoint,
+                    batchSize: config.beaconBatchSize,
+                    flushInterval: config.beaconFlushInterval,
+                    maxRetries: config.beaconMaxRetries
+                }
+                : null;
+            // Config changed while running (Experience Builder edit) - restart with the new
+            // settings, or start now if the sink was just enabled
+            if (this._beacon) {
+                this._beacon.destroy();
+                this._beacon = null;
+            }
+            if (this._beaconConfig && this.isConnected) {
+                this._startBeacon();
+            }
 
             // Share design tokens globally for inline container to use
             this._shareDesignTokens(config);
 
             this._configApplied = true;
+
+            // Schedule or offline copy changed while running (Experience Builder edit)
+            if (this._availabilityInterval) {
+                this._evaluateAvailability('config');
+            }
         } catch (e) {
             console.error('[AgentforceChat] Failed to parse configJson:', e);
         }
@@ -499,12 +802,15 @@ export default class AgentforceChat extends LightningElement {
     // ==================== BOOTSTRAP INITIALIZATION ====================
 
     _waitForBootstrapAndInit() {
-        if (this._bootstrapInitialized) {
+        if (!this._isInState(AgentforceChat.STATES.IDLE)) {
             return;
         }
+        this._transitionTo(AgentforceChat.STATES.BOOTSTRAPPING, 'bootstrap_start');
+        this._perf.bootstrapWaitStart = Date.now();
 
         if (window.embeddedservice_bootstrap) {
             console.log('[AgentforceChat] Bootstrap available, initializing...');
+            this._recordBootstrapLoad();
             this._initializeChat();
             return;
         }
@@ -527,11 +833,13 @@ export default class AgentforceChat extends LightningElement {
 
         script.onload = () => {
             console.log('[AgentforceChat] Bootstrap script loaded');
+            this._recordBootstrapLoad();
             this._initializeChat();
         };
 
         script.onerror = (error) => {
             console.error('[AgentforceChat] Failed to load bootstrap script:', error);
+            this._transitionTo(AgentforceChat.STATES.ERROR, 'bootstrap_load_failed');
         };
 
         document.body.appendChild(script);
@@ -541,12 +849,14 @@ export default class AgentforceChat extends LightningElement {
         this._checkAttempts++;
 
         if (window.embeddedservice_bootstrap) {
+            this._recordBootstrapLoad();
             this._initializeChat();
             return;
         }
 
         if (this._checkAttempts >= this._maxCheckAttempts) {
             console.error('[AgentforceChat] Timeout waiting for bootstrap');
+            this._transitionTo(AgentforceChat.STATES.ERROR, 'bootstrap_timeout');
             return;
         }
 
@@ -557,9 +867,11 @@ export default class AgentforceChat extends LightningElement {
     /**
      * Initialize the Embedded Service in floating mode
      * The chat UI will be projected into the inline container if one exists
+     * Callers own the lifecycle transition (bootstrap start, re-init after error/reset)
      */
     _initializeChat() {
-        if (this._bootstrapInitialized) {
+        // Component was disconnected while a (re-)init was pending
+        if (this._isInState(AgentforceChat.STATES.IDLE)) {
             return;
         }
 
@@ -592,10 +904,14 @@ export default class AgentforceChat extends LightningElement {
 
                 // Set up listeners without re-initializing
                 this._setupMessagingReadyListener();
-                this._bootstrapInitialized = true;
+
+                // An external target only takes over a conversation the visitor already has open -
+                // otherwise the Embedded Service button stays the way in
+                const isIdleExternal = this._getActiveContainer()?.external &&
+                    !existingIframe.classList.contains('isMaximized');
 
                 // If we have an inline container, project the existing chat
-                if (hasContainer) {
+                if (hasContainer && !isIdleExternal) {
                     this._hideFabButton();
 
                     // Reset projection state to allow fresh projection to NEW container
@@ -608,7 +924,7 @@ export default class AgentforceChat extends LightningElement {
 
                     // ALWAYS hide welcome and project for FAB→inline or inline→inline navigation
                     // The chat exists and we're on an inline page, so hide welcome immediately
-                    const container = window.__agentforceChatInlineContainer;
+                    const container = this._getActiveContainer();
                     const isMaximized = existingIframe.classList.contains('isMaximized');
                     console.log('[AgentforceChat] Existing chat detected, hiding welcome and projecting');
                     console.log('[AgentforceChat] isMaximized:', isMaximized);
@@ -626,14 +942,16 @@ export default class AgentforceChat extends LightningElement {
                         bootstrap.utilAPI.launchChat();
                     }
                 } else {
-                    // No inline container on this page - clean up inline styles for FAB mode
+                    // No inline container on this page (or an idle external target) - clean up inline styles for FAB mode
                     this._cleanupInlineStyles();
                 }
 
                 // Trigger ready handler manually since onEmbeddedMessagingReady already fired
                 if (bootstrap.utilAPI) {
                     console.log('[AgentforceChat] API already available, triggering ready handler');
-                    this._apiReady = true;
+                    if (this._isInState(AgentforceChat.STATES.BOOTSTRAPPING)) {
+                        this._transitionTo(this._resolveReadyState(), 'existing_chat_restored');
+                    }
                     this._setupConversationStartListener();
                     this._setupActivityEventListeners();
                 }
@@ -651,20 +969,20 @@ export default class AgentforceChat extends LightningElement {
             // BEFORE calling bootstrap.init() so it starts fresh.
             // This must happen BEFORE init(), not after, because once init() runs
             // it loads the cached ended conversation state and we can't reset it.
-            if (this._conversationEnded) {
+            if (this._isEndedPersisted()) {
                 console.log('[AgentforceChat] Previous conversation ended - clearing storage BEFORE init');
                 this._clearEmbeddedServiceStoragePreInit();
-                this._conversationEnded = false; // Clear our flag too
+                this._setEndedPersisted(false); // Clear our marker too
             }
 
             // If we have an inline container, hide the floating UI initially
             // It will be shown after projection completes
-            if (hasContainer) {
+            if (hasContainer && !this._getActiveContainer()?.external) {
                 this._injectInitialHidingStyles();
             }
 
-            // Configure language
-            bootstrap.settings.language = 'en_US';
+            // Configure language from the active site locale
+            bootstrap.settings.language = this._resolveChatLanguage();
 
             // Always use floating mode - we'll project the UI into the container
             // This avoids the SSE connection bug that clears inline mode UI
@@ -676,6 +994,7 @@ export default class AgentforceChat extends LightningElement {
             // Initialize
             const initOptions = { scrt2URL: this.scrtUrl };
             console.log('[AgentforceChat] Calling bootstrap.init()');
+            this._perf.initStart = Date.now();
 
             bootstrap.init(
                 this.orgId,
@@ -684,11 +1003,11 @@ export default class AgentforceChat extends LightningElement {
                 initOptions
             );
 
-            this._bootstrapInitialized = true;
             console.log('[AgentforceChat] Initialization complete');
 
         } catch (error) {
             console.error('[AgentforceChat] Initialization error:', error);
+            this._transitionTo(AgentforceChat.STATES.ERROR, 'init_failed');
         }
     }
 
@@ -735,19 +1054,33 @@ export default class AgentforceChat extends LightningElement {
             console.log('[AgentforceChat] onEmbeddedMessagingReady fired');
             console.log('[AgentforceChat] hasInlineContainer at ready:', this.hasInlineContainer);
 
-            // Mark API as ready
-            this._apiReady = true;
+            // Mark API as ready (re-inits during a conversation start keep their state)
+            if (this._isInState(AgentforceChat.STATES.BOOTSTRAPPING)) {
+                this._transitionTo(this._resolveReadyState(), 'messaging_ready');
+            }
+            if (this._perf.initStart) {
+                this._recordPerfMetric(AgentforceChat.PERF_METRICS.INIT_TO_READY, Date.now() - this._perf.initStart);
+                this._perf.initStart = null;
+            }
 
             // If we have an inline container, hide the FAB but DON'T position yet
             // We'll position when the user starts chatting
             if (this.hasInlineContainer) {
-                this._hideFabButton();
+                if (this._getActiveContainer()?.external) {
+                    // External target has no welcome screen - only an open conversation moves in
+                    this._openInExternalContainer();
+                } else {
+                    this._hideFabButton();
 
-                // Check if there's already an active conversation (e.g., from previous page)
-                // This handles the case where component was recreated but chat persists
-                this._checkAndProjectExistingConversation();
+                    // Check if there's already an active conversation (e.g., from previous page)
+                    // This handles the case where component was recreated but chat persists
+                    this._checkAndProjectExistingConversation();
+                }
             }
 
+            // Welcome screen attachments are only offered when the deployment can upload them
+            this._shareAttachmentSupport();
+
             // Set up conversation start listener to send pending message
             this._setupConversationStartListener();
 
@@ -776,14 +1109,8 @@ export default class AgentforceChat extends LightningElement {
      * and lose its timeout before it fires
      */
     _checkAndAutoStartFromSearch() {
-        // Get search config from inline container (preferred) or design tokens (fallback)
-        const inlineContainer = window.__agentforceChatInlineContainer;
-        const searchConfig = inlineContainer?.searchConfig || {};
-        const tokens = window.__agentforceChatDesignTokens || {};
-
-        const autoDetectSearch = searchConfig.autoDetectSearchQuery === true || tokens.autoDetectSearchQuery === true;
-        const searchPagePath = searchConfig.searchPagePath || tokens.searchPagePath || '/global-search';
-        const searchQueryParam = searchConfig.searchQueryParam || tokens.searchQueryParam || 'term';
+        const inlineContainer = this._getActiveContainer();
+        const { autoDetectSearch, searchPagePath, searchQueryParam } = this._getSearchConfig();
 
         console.log('[AgentforceChat] Search config:', { autoDetectSearch, searchPagePath, searchQueryParam });
 
@@ -792,34 +1119,7 @@ export default class AgentforceChat extends LightningElement {
             return;
         }
 
-        const currentPath = window.location.pathname;
-        const isSearchPage = currentPath.includes(searchPagePath);
-
-        console.log('[AgentforceChat] Checking for search query:', {
-            autoDetectSearch,
-            searchPagePath,
-            currentPath,
-            isSearchPage
-        });
-
-        if (!isSearchPage) {
-            return;
-        }
-
-        // Extract search query from URL
-        let searchQuery = null;
-
-        // Try URL parameter first (e.g., ?term=query)
-        const urlParams = new URLSearchParams(window.location.search);
-        searchQuery = urlParams.get(searchQueryParam);
-
-        // Try path-based search (e.g., /global-search/my%20query)
-        if (!searchQuery && currentPath.includes(searchPagePath + '/')) {
-            const pathParts = currentPath.split(searchPagePath + '/');
-            if (pathParts.length > 1) {
-                searchQuery = decodeURIComponent(pathParts[1].split('/')[0]);
-            }
-        }
+        const searchQuery = this._extractSearchQuery(searchPagePath, searchQueryParam);
 
         if (!searchQuery) {
             console.log('[AgentforceChat] No search query found in URL');
@@ -836,6 +1136,11 @@ export default class AgentforceChat extends LightningElement {
             return;
         }
 
+        if (this._isOfflineBlocked()) {
+            console.log('[AgentforceChat] Outside business hours, not auto-starting');
+            return;
+        }
+
         // Small delay to let the page settle, then start conversation
         // eslint-disable-next-line @lwc/lwc/no-async-operation
         setTimeout(() => {
@@ -859,6 +1164,60 @@ export default class AgentforceChat extends LightningElement {
         }, 500);
     }
 
+    /**
+     * Get search config from inline container (preferred) or design tokens (fallback)
+     */
+    _getSearchConfig() {
+        const searchConfig = this._getActiveContainer()?.searchConfig || {};
+        const tokens = window.__agentforceChatDesignTokens || {};
+
+        return {
+            autoDetectSearch: searchConfig.autoDetectSearchQuery === true || tokens.autoDetectSearchQuery === true,
+            searchPagePath: searchConfig.searchPagePath || tokens.searchPagePath || '/global-search',
+            searchQueryParam: searchConfig.searchQueryParam || tokens.searchQueryParam || 'term'
+        };
+    }
+
+    /**
+     * Extract the search query from the current URL if on a search page
+     * @returns {string|null} The search query, or null if not on a search page
+     */
+    _extractSearchQuery(searchPagePath, searchQueryParam) {
+        const currentPath = window.location.pathname;
+        const isSearchPage = currentPath.includes(searchPagePath);
+
+        console.log('[AgentforceChat] Checking for search query:', {
+            searchPagePath,
+            currentPath,
+            isSearchPage
+        });
+
+        if (!isSearchPage) {
+            return null;
+        }
+
+        // Try URL parameter first (e.g., ?term=query)
+        const urlParams = new URLSearchParams(window.location.search);
+        let searchQuery = urlParams.get(searchQueryParam);
+
+        // Try path-based search (e.g., /global-search/my%20query)
+        if (!searchQuery && currentPath.includes(searchPagePath + '/')) {
+            const pathParts = currentPath.split(searchPagePath + '/');
+            if (pathParts.length > 1) {
+                const segment = pathParts[1].split('/')[0];
+                try {
+                    searchQuery = decodeURIComponent(segment);
+                } catch (error) {
+                    // Malformed escape (e.g. /global-search/100%) - use the segment as-is
+                    console.warn('[AgentforceChat] Could not decode search path segment:', segment, error.message);
+                    searchQuery = segment;
+                }
+            }
+        }
+
+        return searchQuery || null;
+    }
+
     /**
      * Check if there's an existing active conversation and project it
      * Called when component is created and API is ready
@@ -887,9 +1246,12 @@ export default class AgentforceChat extends LightningElement {
 
         if (iframe && isMaximized) {
             console.log('[AgentforceChat] Found existing maximized conversation, projecting');
+            if (this._isInState(AgentforceChat.STATES.READY)) {
+                this._transitionTo(AgentforceChat.STATES.ACTIVE, 'existing_conversation');
+            }
 
             // Hide the inline container's welcome screen
-            const container = window.__agentforceChatInlineContainer;
+            const container = this._getActiveContainer();
             if (container?.hideWelcome) {
                 container.hideWelcome();
             }
@@ -915,6 +1277,7 @@ export default class AgentforceChat extends LightningElement {
 
         this._conversationStartHandler = () => {
             console.log('[AgentforceChat] Conversation started, watching for agent greeting...');
+            this._advanceLoadingStage(AgentforceChat.LOADING_STAGES.CONVERSATION_STARTED);
             // Watch for agent's greeting message to appear before sending user's message
             this._watchForAgentGreeting();
         };
@@ -929,52 +1292,44 @@ export default class AgentforceChat extends LightningElement {
     /**
      * Watch for agent's greeting message using Embedded Service events (Bug 1 fix)
      * Uses onEmbeddedMessageSent event instead of unreliable DOM observation
-     * On timeout, retries launchChat() while keeping listener active to avoid race conditions
-     * Updates loading animation progress as retries happen
+     * Until the conversation has started, retries launchChat() with exponential backoff
+     * (CPE: greeting watchdog settings) while keeping the listener active
+     * The loading fill follows the milestones (see LOADING STAGES)
      */
-    _watchForAgentGreeting(retryCount = 0) {
-        const maxRetries = 15;
-        const timeoutMs = 4000;
-        const totalTimeMs = maxRetries * timeoutMs; // 60 seconds total
+    _watchForAgentGreeting() {
+        const { maxRetries, baseDelayMs, backoffFactor, budgetMs } = this._watchdogConfig;
 
-        if (!this._pendingMessage || this._messageSent) {
+        if ((!this._pendingMessage && !this._pendingAttachment) || !this._isInState(AgentforceChat.STATES.CONNECTING)) {
             return;
         }
 
         // Prevent duplicate watchers - if one is already active, skip
-        if (this._greetingWatcherActive) {
+        if (this._greetingWatcher) {
             console.log('[AgentforceChat] Greeting watcher already active, skipping duplicate');
             return;
         }
 
-        this._greetingWatcherActive = true;
-        console.log('[AgentforceChat] Setting up agent greeting watcher (will retry up to', maxRetries, 'times)');
+        console.log('[AgentforceChat] Setting up agent greeting watcher:', this._watchdogConfig);
 
         // Track state
-        let greetingDetected = false;
         let currentRetry = 0;
+        let retryTimeout = null;
+        let progressInterval = null;
         const startTime = Date.now();
+        let pausedAt = null; // Set while the browser is offline
+        let pausedMs = 0;
+        const activeTime = () => Date.now() - startTime - pausedMs;
 
         // Get container reference for loading updates
-        const container = window.__agentforceChatInlineContainer;
+        const container = this._getActiveContainer();
 
-        // Start progress animation - update every 500ms for smooth fill
-        let progressInterval = null;
-        if (container?.updateLoadingProgress) {
-            progressInterval = setInterval(() => {
-                if (greetingDetected || this._messageSent) {
-                    clearInterval(progressInterval);
-                    return;
-                }
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(95, (elapsed / totalTimeMs) * 100); // Cap at 95% until complete
-                container.updateLoadingProgress(progress);
-            }, 500);
-        }
+        // Watcher is done once it's been cancelled or the machine left CONNECTING
+        const watcher = {};
+        const isStale = () => this._greetingWatcher !== watcher || !this._isInState(AgentforceChat.STATES.CONNECTING);
 
         // Handler for incoming messages - wait for non-user message (agent/bot greeting)
         const messageHandler = (event) => {
-            if (greetingDetected || this._messageSent) {
+            if (isStale()) {
                 return;
             }
 
@@ -985,104 +1340,227 @@ export default class AgentforceChat extends LightningElement {
 
             // Only trigger on non-user messages (agent, bot, or system greeting)
             if (sender !== 'EndUser') {
-                console.log('[AgentforceChat] Agent/bot message detected, completing loading and sending message');
-                greetingDetected = true;
-                this._greetingWatcherActive = false;
+                console.log('[AgentforceChat] Agent/bot message detected, sending pending message');
+                this._cancelGreetingWatcher();
+                this._transitionTo(AgentforceChat.STATES.ACTIVE, 'greeting_received');
+                this._recordPerfMetric(
+                    AgentforceChat.PERF_METRICS.LAUNCH_TO_GREETING,
+                    Date.now() - (this._perf.launchStart || startTime),
+                    { retries: currentRetry }
+                );
+                this._perf.launchStart = null;
+                this._advanceLoadingStage(AgentforceChat.LOADING_STAGES.GREETING_RECEIVED);
+
+                // Deliver the welcome message behind the loading screen, then reveal the chat
+                // eslint-disable-next-line @lwc/lwc/no-async-operation
+                setTimeout(() => {
+                    Promise.race([
+                        this._sendPendingMessage(),
+                        new Promise(resolve => {
+                            // eslint-disable-next-line @lwc/lwc/no-async-operation
+                            setTimeout(resolve, AgentforceChat.MESSAGE_SEND_REVEAL_MS);
+                        })
+                    ]).catch(error => {
+                        console.error('[AgentforceChat] Error delivering pending message:', error);
+                    }).then(() => {
+                        this._advanceLoadingStage(AgentforceChat.LOADING_STAGES.MESSAGE_SENT);
+                        if (container?.completeLoading) {
+                            container.completeLoading(() => this._projectChatToContainer());
+                        } else {
+                            // Fallback if completeLoading not available
+                            this._projectChatToContainer();
+                        }
+                    });
+                }, 300);
+            }
+        };
 
-                // Stop progress animation
-                if (progressInterval) {
+        watcher.cancel = () => {
+            window.removeEventListener('onEmbeddedMessageSent', messageHandler);
+            clearTimeout(retryTimeout);
+            clearInterval(progressInterval);
+        };
+        this._greetingWatcher = watcher;
+
+        // Creep the fill toward the next milestone between events
+        if (container?.updateLoadingProgress) {
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            progressInterval = setInterval(() => {
+                if (isStale()) {
                     clearInterval(progressInterval);
+                    return;
                 }
-
-                // Remove the handler
-                window.removeEventListener('onEmbeddedMessageSent', messageHandler);
-
-                // Complete the loading animation, then project chat and send message
-                if (container?.completeLoading) {
-                    container.completeLoading(() => {
-                        // Project the chat into the container
-                        this._projectChatToContainer();
-                        // Send the pending message after a brief delay
-                        // eslint-disable-next-line @lwc/lwc/no-async-operation
-                        setTimeout(() => this._sendPendingMessage(), 300);
-                    });
-                } else {
-                    // Fallback if completeLoading not available
-                    this._projectChatToContainer();
-                    // eslint-disable-next-line @lwc/lwc/no-async-operation
-                    setTimeout(() => this._sendPendingMessage(), 300);
+                if (pausedAt) {
+                    return;
                 }
-            }
-        };
+                container.updateLoadingProgress(this._getLoadingProgress());
+            }, 500);
+        }
 
         // Register the handler ONCE - it stays active through all retries
         window.addEventListener('onEmbeddedMessageSent', messageHandler);
 
-        // Retry function that keeps the same listener active
+        // Wait, then check again - each wait is backoffFactor times the last, within the budget
         const scheduleRetry = () => {
+            const delay = Math.min(
+                baseDelayMs * Math.pow(backoffFactor, currentRetry),
+                Math.max(0, budgetMs - activeTime())
+            );
             // eslint-disable-next-line @lwc/lwc/no-async-operation
-            setTimeout(() => {
-                // Check if greeting was detected while we were waiting
-                if (greetingDetected || this._messageSent) {
-                    return; // Success! Handler already cleaned up
+            retryTimeout = setTimeout(() => {
+                // Check if greeting was detected (or the watcher cancelled) while we were waiting
+                if (isStale() || pausedAt) {
+                    return;
                 }
 
-                if (currentRetry < maxRetries) {
-                    currentRetry++;
-                    console.log('[AgentforceChat] No agent message after', timeoutMs / 1000, 's, retrying launchChat() (retry', currentRetry, 'of', maxRetries, ')');
+                if (currentRetry >= maxRetries || activeTime() >= budgetMs) {
+                    // Out of retries or time - clean up
+                    this._cancelGreetingWatcher();
+                    console.error('[AgentforceChat] Agent greeting not detected after', currentRetry, 'retries and', activeTime(), 'ms');
+
+                    // Handle timeout - show toast and attempt re-init
+                    this._handleAgentGreetingTimeout();
+                    return;
+                }
 
-                    // Retry launchChat - listener stays active
+                currentRetry++;
+                if (this._loadingStage === AgentforceChat.LOADING_STAGES.BOOTSTRAP_READY) {
+                    // Conversation hasn't started - ask again (listener stays active)
+                    console.log('[AgentforceChat] No conversation after', Math.round(delay), 'ms, retrying launchChat() (retry', currentRetry, 'of', maxRetries, ')');
                     const utilAPI = window.embeddedservice_bootstrap?.utilAPI;
                     if (utilAPI?.launchChat) {
-                        utilAPI.launchChat()
+                        Promise.resolve(utilAPI.launchChat())
                             .then(() => console.log('[AgentforceChat] Retry launchChat() succeeded'))
                             .catch((error) => console.warn('[AgentforceChat] Retry launchChat() failed:', error));
                     }
-
-                    // Schedule next check
-                    scheduleRetry();
                 } else {
-                    // Max retries reached - clean up
-                    window.removeEventListener('onEmbeddedMessageSent', messageHandler);
-                    if (progressInterval) {
-                        clearInterval(progressInterval);
-                    }
-                    this._greetingWatcherActive = false;
-                    console.error('[AgentforceChat] Max retries reached (', maxRetries, '). Agent greeting not detected.');
-
-                    // Handle timeout - show toast and attempt re-init
-                    this._handleAgentGreetingTimeout();
+                    // Relaunching an open conversation doesn't bring the greeting sooner
+                    console.log('[AgentforceChat] Conversation started, still waiting for the greeting (check', currentRetry, 'of', maxRetries, ')');
                 }
-            }, timeoutMs);
+
+                // Schedule next check
+                scheduleRetry();
+            }, delay);
+        };
+
+        // Offline time doesn't count against the retries or budget - the greeting listener stays registered
+        watcher.pause = () => {
+            if (pausedAt) {
+                return;
+            }
+            pausedAt = Date.now();
+            clearTimeout(retryTimeout);
+            console.log('[AgentforceChat] Greeting watcher paused (offline) at retry', currentRetry);
+        };
+        watcher.resume = () => {
+            if (!pausedAt) {
+                return;
+            }
+            pausedMs += Date.now() - pausedAt;
+            pausedAt = null;
+            console.log('[AgentforceChat] Greeting watcher resumed (online)');
+            scheduleRetry();
         };
 
-        // Start the retry loop
+        // Start the retry loop (held until the connection returns when launched offline)
         scheduleRetry();
+        if (!this._isOnline) {
+            watcher.pause();
+        }
 
         console.log('[AgentforceChat] Started watching for agent greeting via events');
     }
 
+    // ==================== LOADING STAGES ====================
+
     /**
-     * Handle timeout when agent greeting is not received after max retries
-     * Shows a warning toast and attempts to re-initialize the chat
+     * Watchdog settings from the CPE (delays in seconds there), falling back to the defaults
      */
-    _handleAgentGreetingTimeout() {
-        console.log('[AgentforceChat] Handling agent greeting timeout');
-
-        const container = window.__agentforceChatInlineContainer;
+    _parseWatchdogConfig(config) {
+        const defaults = AgentforceChat.WATCHDOG_DEFAULTS;
+        const number = (value, fallback, min) => {
+            const parsed = parseFloat(value);
+            return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+        };
+        return {
+            maxRetries: Math.round(number(config.greetingMaxRetries, defaults.maxRetries, 0)),
+            baseDelayMs: number(config.greetingRetryDelay, defaults.baseDelayMs / 1000, 0.5) * 1000,
+            backoffFactor: number(config.greetingBackoffFactor, defaults.backoffFactor, 1),
+            budgetMs: number(config.greetingTimeout, defaults.budgetMs / 1000, 5) * 1000
+        };
+    }
 
-        // Hide the loading screen
+    /**
+     * Move the loading screen to a milestone (never backwards) with that stage's message
+     */
+    _advanceLoadingStage(stage) {
+        const order = Object.values(AgentforceChat.LOADING_STAGES);
+        if (order.indexOf(stage) <= order.indexOf(this._loadingStage)) {
+            return;
+        }
+        if (stage !== AgentforceChat.LOADING_STAGES.BOOTSTRAP_READY && !this._loadingStage) {
+            return; // No loading screen up (e.g. conversation started from the FAB)
+        }
+
+        console.log('[AgentforceChat] Loading stage:', stage);
+        this._loadingStage = stage;
+        this._loadingStageAt = Date.now();
+
+        const container = this._getActiveContainer();
+        if (container?.updateLoadingProgress) {
+            const message = container.getLoadingStageMessage ? container.getLoadingStageMessage(stage) : undefined;
+            container.updateLoadingProgress(AgentforceChat.LOADING_STAGE_PROGRESS[stage], message);
+        }
+    }
+
+    /**
+     * Fill percent for the current stage - eases toward (never reaching) the next
+     * milestone while waiting, so the screen never looks frozen
+     */
+    _getLoadingProgress() {
+        const order = Object.values(AgentforceChat.LOADING_STAGES);
+        const current = AgentforceChat.LOADING_STAGE_PROGRESS[this._loadingStage] || 0;
+        const next = AgentforceChat.LOADING_STAGE_PROGRESS[order[order.indexOf(this._loadingStage) + 1]];
+        if (next === undefined) {
+            return current;
+        }
+        const elapsed = Date.now() - this._loadingStageAt;
+        return current + (next - current) * 0.8 * (1 - Math.exp(-elapsed / (2 * this._watchdogConfig.baseDelayMs)));
+    }
+
+    /**
+     * Stop the active greeting watcher (listener, retry timer and progress animation)
+     */
+    _cancelGreetingWatcher() {
+        if (this._greetingWatcher) {
+            this._greetingWatcher.cancel();
+            this._greetingWatcher = null;
+        }
+    }
+
+    /**
+     * Handle timeout when agent greeting is not received after max retries
+     * Shows a warning toast and attempts to re-initialize the chat
+     */
+    _handleAgentGreetingTimeout() {
+        console.log('[AgentforceChat] Handling agent greeting timeout');
+
+        const container = this._getActiveContainer();
+
+        // Hide the loading screen
         if (container?.hideLoading) {
             container.hideLoading();
         }
 
-        // Show warning toast using platform events or custom event
-        this._showWarningToast('Connection timeout', 'Unable to connect to the AI agent. Please try again.');
+        const labels = this.labels;
+        this._notify(NOTIFICATION_VARIANTS.WARNING, labels.timeoutTitle, labels.timeoutMessage);
 
         // Reset state for retry
+        this._cancelGreetingWatcher();
         this._pendingMessage = null;
-        this._messageSent = false;
-        this._greetingWatcherActive = false;
+        this._pendingAttachment = null;
+        this._loadingStage = null;
+        this._transitionTo(AgentforceChat.STATES.ERROR, 'greeting_timeout');
 
         // Reset projection state
         this._projectionComplete = false;
@@ -1099,101 +1577,13 @@ export default class AgentforceChat extends LightningElement {
     }
 
     /**
-     * Show a warning toast notification
-     */
-    _showWarningToast(title, message) {
-        // Dispatch a custom event that can be caught by a toast handler
-        // In Experience Cloud, we use a custom event since ShowToastEvent isn't available
-        const toastEvent = new CustomEvent('agentforcetoast', {
-            detail: {
-                title: title,
-                message: message,
-                variant: 'warning'
-            },
-            bubbles: true,
-            composed: true
-        });
-        document.dispatchEvent(toastEvent);
-
-        // Also log to console
-        console.warn(`[AgentforceChat] Toast: ${title} - ${message}`);
-
-        // Create a simple DOM-based toast as fallback
-        this._createFallbackToast(title, message);
-    }
-
-    /**
-     * Create a simple DOM-based toast notification as fallback
-     * Uses safe DOM methods instead of innerHTML to prevent XSS
+     * Show a notification via c/agentforceChatNotifications
+     * agentforcetoast is always dispatched first - the host page can take it over with
+     * preventDefault() or the "Host Page Shows Notifications" setting
      */
-    _createFallbackToast(title, message) {
-        const toast = document.createElement('div');
-        toast.className = 'agentforce-toast agentforce-toast-warning';
-
-        const content = document.createElement('div');
-        content.className = 'agentforce-toast-content';
-
-        const titleEl = document.createElement('strong');
-        titleEl.textContent = title;
-
-        const messageEl = document.createElement('p');
-        messageEl.textContent = message;
-
-        content.appendChild(titleEl);
-        content.appendChild(messageEl);
-        toast.appendChild(content);
-
-        // Inject toast styles if not already present
-        if (!document.getElementById('agentforce-toast-styles')) {
-            const styles = document.createElement('style');
-            styles.id = 'agentforce-toast-styles';
-            styles.textContent = `
-                .agentforce-toast {
-                    position: fixed;
-                    top: 20px;
-                    left: 50%;
-                    transform: translateX(-50%);
-                    z-index: 10000;
-                    padding: 16px 24px;
-                    border-radius: 8px;
-                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-                    animation: agentforce-toast-in 0.3s ease-out;
-                    font-family: 'Salesforce Sans', Arial, sans-serif;
-                }
-                .agentforce-toast-warning {
-                    background: #fef3cd;
-                    border: 1px solid #ffc107;
-                    color: #856404;
-                }
-                .agentforce-toast-content strong {
-                    display: block;
-                    margin-bottom: 4px;
-                }
-                .agentforce-toast-content p {
-                    margin: 0;
-                    font-size: 14px;
-                }
-                @keyframes agentforce-toast-in {
-                    from { opacity: 0; transform: translateX(-50%) translateY(-20px); }
-                    to { opacity: 1; transform: translateX(-50%) translateY(0); }
-                }
-                @keyframes agentforce-toast-out {
-                    from { opacity: 1; transform: translateX(-50%) translateY(0); }
-                    to { opacity: 0; transform: translateX(-50%) translateY(-20px); }
-                }
-            `;
-            document.head.appendChild(styles);
-        }
-
-        document.body.appendChild(toast);
-
-        // Auto-remove after 5 seconds
-        // eslint-disable-next-line @lwc/lwc/no-async-operation
-        setTimeout(() => {
-            toast.style.animation = 'agentforce-toast-out 0.3s ease-out forwards';
-            // eslint-disable-next-line @lwc/lwc/no-async-operation
-            setTimeout(() => toast.remove(), 300);
-        }, 5000);
+    _notify(variant, title, message) {
+        console.warn(`[AgentforceChat] Notification (${variant}): ${title} - ${message}`);
+        this._notifier.notify({ variant, title, message, closeLabel: this.labels.close });
     }
 
     /**
@@ -1202,21 +1592,11 @@ export default class AgentforceChat extends LightningElement {
     _attemptReInit() {
         console.log('[AgentforceChat] Attempting to re-initialize chat');
 
-        // Clear any existing conversation state
-        this._conversationEnded = true;
-
         // Reset bootstrap state
-        this._bootstrapInitialized = false;
-        this._apiReady = false;
+        this._transitionTo(AgentforceChat.STATES.BOOTSTRAPPING, 'reinit_after_error');
 
         // Remove existing iframe if present
-        const embeddedMessaging = document.getElementById('embedded-messaging');
-        if (embeddedMessaging) {
-            const iframe = embeddedMessaging.querySelector('iframe');
-            if (iframe) {
-                iframe.remove();
-            }
-        }
+        this._removeEmbeddedIframe();
 
         // Clear embedded service storage
         this._clearEmbeddedServiceStoragePreInit();
@@ -1224,40 +1604,149 @@ export default class AgentforceChat extends LightningElement {
         // Re-initialize after a brief delay
         // eslint-disable-next-line @lwc/lwc/no-async-operation
         setTimeout(() => {
-            this._conversationEnded = false;
             this._initializeChat();
         }, 500);
     }
 
+    _removeEmbeddedIframe() {
+        const embeddedMessaging = document.getElementById('embedded-messaging');
+        if (embeddedMessaging) {
+            const iframe = embeddedMessaging.querySelector('iframe');
+            if (iframe) {
+                iframe.remove();
+            }
+        }
+    }
+
     /**
      * Send the pending message to the agent
+     * An attachment-only start goes straight to the file upload. sendTextMessage is retried
+     * while the API settles, up to PENDING_SEND_MAX_ATTEMPTS, then the message is given up.
      */
-    _sendPendingMessage() {
-        if (!this._pendingMessage || this._messageSent) {
-            console.log('[AgentforceChat] No pending message or already sent');
-            return;
+    _sendPendingMessage(attempt = 1) {
+        if ((!this._pendingMessage && !this._pendingAttachment) || !this._isInState(AgentforceChat.STATES.ACTIVE)) {
+            console.log('[AgentforceChat] No pending message or conversation not active');
+            return Promise.resolve(false);
+        }
+
+        if (!this._pendingMessage) {
+            return this._sendPendingAttachment().then(() => true);
         }
 
         const utilAPI = window.embeddedservice_bootstrap?.utilAPI;
         if (utilAPI?.sendTextMessage) {
             console.log('[AgentforceChat] Sending pending message:', this._pendingMessage);
             try {
-                utilAPI.sendTextMessage(this._pendingMessage);
-                this._messageSent = true;
-                console.log('[AgentforceChat] Pending message sent successfully');
+                // Multi-line messages from the composer keep their line breaks (normalized to \n)
+                const result = utilAPI.sendTextMessage(String(this._pendingMessage).replace(/\r\n?/g, '\n'));
+                this._pendingMessage = null;
+                // A rejected send must not strand the loading screen or drop the queued attachment
+                return Promise.resolve(result)
+                    .then(() => {
+                        console.log('[AgentforceChat] Pending message sent successfully');
+                        return true;
+                    })
+                    .catch(error => {
+                        console.error('[AgentforceChat] Error sending pending message:', error);
+                        this._publishActivityEvent('MESSAGE_SEND_FAILED', { reason: error?.message || 'send_failed' });
+                        return false;
+                    })
+                    .then(sent => this._sendPendingAttachment().then(() => sent));
             } catch (error) {
                 console.error('[AgentforceChat] Error sending pending message:', error);
                 // Retry after a delay
-                // eslint-disable-next-line @lwc/lwc/no-async-operation
-                setTimeout(() => this._sendPendingMessage(), 1000);
+                return this._retrySendPendingMessage(1000, attempt, error?.message || 'send_failed');
             }
-        } else {
-            console.log('[AgentforceChat] sendTextMessage API not available, retrying...');
+        }
+
+        console.log('[AgentforceChat] sendTextMessage API not available, retrying...');
+        return this._retrySendPendingMessage(500, attempt, 'api_unavailable');
+    }
+
+    _retrySendPendingMessage(delay, attempt, reason) {
+        if (attempt >= AgentforceChat.PENDING_SEND_MAX_ATTEMPTS) {
+            console.error('[AgentforceChat] Giving up on the pending message after', attempt, 'attempts:', reason);
+            this._pendingMessage = null;
+            this._publishActivityEvent('MESSAGE_SEND_FAILED', { reason: reason });
+            return this._sendPendingAttachment().then(() => false);
+        }
+        return new Promise(resolve => {
             // eslint-disable-next-line @lwc/lwc/no-async-operation
-            setTimeout(() => this._sendPendingMessage(), 500);
+            setTimeout(() => resolve(this._sendPendingMessage(attempt + 1)), delay);
+        });
+    }
+
+    /**
+     * Look up the Embedded Service file upload (utilAPI.sendFile)
+     * Only some deployments expose it, and on Agentforce reading a missing utilAPI member
+     * can throw - so the lookup is guarded.
+     * @returns {Function|null} Bound upload function
+     */
+    _getFileUploadApi() {
+        try {
+            const utilAPI = window.embeddedservice_bootstrap?.utilAPI;
+            return typeof utilAPI?.sendFile === 'function' ? utilAPI.sendFile.bind(utilAPI) : null;
+        } catch (error) {
+            console.warn('[AgentforceChat] File upload API lookup failed:', error.message);
+            return null;
         }
     }
 
+    /**
+     * Tell the containers whether files can be delivered, so the attach button and
+     * drop zone only appear when an upload will actually happen
+     */
+    _shareAttachmentSupport() {
+        const supported = this._getFileUploadApi() !== null;
+        if (!supported) {
+            console.log('[AgentforceChat] File upload API not available - welcome screen attachments disabled');
+        }
+        setAttachmentSupport(supported);
+        getContainers().forEach(container => {
+            if (container.setAttachmentSupport) {
+                container.setAttachmentSupport(supported);
+            }
+        });
+    }
+
+    /**
+     * Deliver the welcome screen attachment through the Embedded Service file upload
+     * The attach button is hidden unless the upload API exists, so a missing API here means
+     * it disappeared after the file was picked. Failures never block the conversation: the visitor is told to use the chat's own
+     * attachment button instead.
+     */
+    _sendPendingAttachment() {
+        const file = this._pendingAttachment;
+        if (!file) {
+            return Promise.resolve();
+        }
+        this._pendingAttachment = null;
+
+        const upload = this._getFileUploadApi();
+        if (!upload) {
+            console.warn('[AgentforceChat] File upload not supported by this deployment, attachment not sent:', file.name);
+            this._handleAttachmentFailure(file, 'unsupported');
+            return Promise.resolve();
+        }
+
+        console.log('[AgentforceChat] Sending attachment:', file.name, file.type, file.size);
+        return Promise.resolve()
+            .then(() => upload(file))
+            .then(() => {
+                this._publishActivityEvent('ATTACHMENT_SENT', { fileType: file.type, fileSize: file.size });
+            })
+            .catch(error => {
+                console.error('[AgentforceChat] Error sending attachment:', error);
+                this._handleAttachmentFailure(file, error?.message || 'upload_failed');
+            });
+    }
+
+    _handleAttachmentFailure(file, reason) {
+        this._publishActivityEvent('ATTACHMENT_FAILED', { fileType: file.type, fileSize: file.size, reason: reason });
+        const labels = this.labels;
+        this._notify(NOTIFICATION_VARIANTS.WARNING, labels.attachmentFailedTitle, labels.attachmentFailedMessage);
+    }
+
     // ==================== CHAT PROJECTION ====================
 
     /**
@@ -1279,7 +1768,7 @@ export default class AgentforceChat extends LightningElement {
 
         console.log('[AgentforceChat] _projectChatToContainer called, attempt:', this._projectionAttempts);
 
-        const container = window.__agentforceChatInlineContainer;
+        const container = this._getActiveContainer();
         if (!container || !container.element) {
             console.log('[AgentforceChat] Inline container not ready, retrying...');
             this._projectionAttempts++;
@@ -1316,10 +1805,10 @@ export default class AgentforceChat extends LightningElement {
         // Watch for minimize action to end chat and reset to welcome screen
         this._watchForMinimize(embeddedMessaging);
 
-        // Update position immediately and on scroll/resize
-        this._updateChatPosition();
-        window.addEventListener('scroll', () => this._updateChatPosition(), true);
-        window.addEventListener('resize', () => this._updateChatPosition());
+        // Position immediately, then follow the container's geometry
+        // (resizes, layout shifts, nested scrolling, transforms, sticky headers)
+        this._stopProjectionTracking();
+        this._projectionController = createProjectionController(this._containerElement, embeddedMessaging);
 
         // Hide the FAB button directly
         this._hideFabButton();
@@ -1328,6 +1817,25 @@ export default class AgentforceChat extends LightningElement {
         console.log('[AgentforceChat] Chat positioned successfully');
     }
 
+    /**
+     * External target: there's no welcome screen, so nothing starts on its own. A conversation
+     * the visitor already has open moves into the element; a new one moves in when the visitor
+     * opens it from the Embedded Service button or it's started through the API/LMS commands.
+     */
+    _openInExternalContainer() {
+        if (this._projectionComplete || this._inFabModeOverride) {
+            return;
+        }
+        if (this._hasActiveConversation()) {
+            console.log('[AgentforceChat] Moving open conversation into external container:', this._targetContainerId);
+            this._projectChatToContainer();
+            return;
+        }
+        // The button is the way in until then
+        this._updateFabVisibility(false);
+        this._checkAndProjectExistingConversation();
+    }
+
     /**
      * Hide the FAB button using CSS (works even if FAB is in shadow DOM or created later)
      */
@@ -1357,20 +1865,13 @@ export default class AgentforceChat extends LightningElement {
     }
 
     /**
-     * Update the chat position to overlay the container
+     * Stop following the container - removes every observer and listener the projection added
      */
-    _updateChatPosition() {
-        if (!this._containerElement) return;
-
-        const rect = this._containerElement.getBoundingClientRect();
-        const embeddedMessaging = document.getElementById('embedded-messaging');
-        if (!embeddedMessaging) return;
-
-        // Set CSS custom properties for positioning
-        embeddedMessaging.style.setProperty('--container-top', `${rect.top}px`);
-        embeddedMessaging.style.setProperty('--container-left', `${rect.left}px`);
-        embeddedMessaging.style.setProperty('--container-width', `${rect.width}px`);
-        embeddedMessaging.style.setProperty('--container-height', `${rect.height}px`);
+    _stopProjectionTracking() {
+        if (this._projectionController) {
+            this._projectionController.destroy();
+            this._projectionController = null;
+        }
     }
 
     /**
@@ -1409,7 +1910,11 @@ export default class AgentforceChat extends LightningElement {
                             // eslint-disable-next-line @lwc/lwc/no-async-operation
                             setTimeout(() => {
                                 // Re-check - if still not maximized, it's a real minimize
-                                if (!target.classList.contains('isMaximized')) {
+                                if (!target.classList.contains('isMaximized') && this._getActiveContainer()?.external) {
+                                    // No welcome screen to return to - keep the conversation as a FAB
+                                    console.log('[AgentforceChat] Confirmed minimize - external container, switching to FAB');
+                                    this._switchToFabMode();
+                                } else if (!target.classList.contains('isMaximized')) {
                                     console.log('[AgentforceChat] Confirmed minimize - ending chat and resetting');
                                     this._endChatAndReset();
                                 } else {
@@ -1435,8 +1940,10 @@ export default class AgentforceChat extends LightningElement {
 
     /**
      * End the current chat and reset to welcome screen (inline mode only)
+     * @param {string} source - Who ended it (SESSION_ENDED source)
+     * @param {string} reason - Why (SESSION_ENDED / STATE_CHANGED reason)
      */
-    _endChatAndReset() {
+    _endChatAndReset(source = 'user_minimize', reason = 'inline_minimize') {
         console.log('[AgentforceChat] Ending chat and resetting to welcome screen');
 
         // Stop watching for minimize
@@ -1449,24 +1956,30 @@ export default class AgentforceChat extends LightningElement {
         this._cleanupInlineStyles();
 
         // Reset the inline container to show welcome screen
-        const container = window.__agentforceChatInlineContainer;
+        const container = this._getActiveContainer();
         if (container?.reset) {
             container.reset();
         }
 
         // Reset projection state
         this._projectionComplete = false;
+        this._cancelGreetingWatcher();
         this._pendingMessage = null;
-        this._messageSent = false;
+        this._pendingAttachment = null;
+        this._prechatContext = {};
+        if (this._isInState(AgentforceChat.STATES.CONNECTING, AgentforceChat.STATES.ACTIVE)) {
+            this._transitionTo(AgentforceChat.STATES.READY, reason);
+        }
 
         // Publish session ended event
         this._publishActivityEvent('SESSION_ENDED', {
-            source: 'user_minimize',
-            reason: 'inline_minimize'
+            source: source,
+            reason: reason
         });
+        this._publishPerfSummary(reason);
 
         // Reset session for next chat
-        this._sessionId = null;
+        this._clearSession();
         this._messageCount = 0;
 
         console.log('[AgentforceChat] Chat ended and reset complete');
@@ -1484,9 +1997,9 @@ export default class AgentforceChat extends LightningElement {
             this._minimizeObserver = null;
         }
 
-        // Hide the inline container
-        const container = window.__agentforceChatInlineContainer;
-        if (container?.element) {
+        // Hide the inline container (external elements belong to the page layout - leave them)
+        const container = this._getActiveContainer();
+        if (container?.element && !container.external) {
             container.element.style.display = 'none';
             console.log('[AgentforceChat] Hid inline container');
         }
@@ -1498,6 +2011,7 @@ export default class AgentforceChat extends LightningElement {
         // This prevents re-projection until user navigates back
         this._projectionComplete = false;
         this._inFabModeOverride = true;
+        this._isFabMode = true;
 
         console.log('[AgentforceChat] Now in FAB mode');
     }
@@ -1526,6 +2040,8 @@ export default class AgentforceChat extends LightningElement {
                 right: auto !important;
                 bottom: auto !important;
                 z-index: 1000 !important;
+                /* Hide the parts covered by scroll containers or sticky headers */
+                clip-path: var(--container-clip, none) !important;
             }
 
             /* Style the iframe to fill the positioned container */
@@ -1564,17 +2080,47 @@ export default class AgentforceChat extends LightningElement {
      * Handle chatstart event from inline container
      */
     _handleChatStart(event) {
-        const { message, isSearchQuery, searchStartsNewChat: eventSearchStartsNewChat } = event.detail || {};
-        console.log('[AgentforceChat] Chat start requested:', message, 'isSearchQuery:', isSearchQuery);
-        console.log('[AgentforceChat] Current state - conversationEnded:', this._conversationEnded, 'apiReady:', this._apiReady);
+        const { message, isSearchQuery, searchStartsNewChat: eventSearchStartsNewChat, targetContainer, starterId, attachment } = event.detail || {};
+        console.log('[AgentforceChat] Chat start requested:', message, 'isSearchQuery:', isSearchQuery, 'target:', targetContainer);
+        console.log('[AgentforceChat] Current state:', this._state);
+
+        // Outside business hours the offline screen replaces the composer - ignore stray starts
+        if (this._isOfflineBlocked() && !this._isConversationMaximized()) {
+            console.warn('[AgentforceChat] Chat start ignored - outside business hours');
+            return;
+        }
+
+        // No connection - hold the request until the browser is back online
+        // (one start is held - the container locks its composer until it's sent, and later
+        // API/LMS starts never replace the message the visitor sees as waiting)
+        if (!this._isOnline) {
+            if (this._queuedChatStart) {
+                console.warn('[AgentforceChat] Browser offline, a chat start is already queued - ignoring this one');
+                return;
+            }
+            console.log('[AgentforceChat] Browser offline, queuing chat start');
+            this._queuedChatStart = event;
+            return;
+        }
 
         // If API not ready yet, queue this request
-        if (!this._apiReady) {
+        if (!this._isApiReady()) {
             console.log('[AgentforceChat] API not ready, queuing chat start');
             this._queuedChatStart = event;
             return;
         }
 
+        // Which conversation starter chip was clicked (if any) - published once the request runs
+        if (starterId) {
+            this._publishActivityEvent('STARTER_CLICKED', {
+                starterId: starterId,
+                containerId: event.detail.containerId
+            });
+        }
+
+        // Launch into the container the source asked for (falls back to highest priority)
+        this._targetContainer = targetContainer || null;
+
         // Use event detail as source of truth for searchStartsNewChat, fallback to design tokens
         const searchStartsNewChat = eventSearchStartsNewChat !== undefined
             ? eventSearchStartsNewChat
@@ -1585,7 +2131,7 @@ export default class AgentforceChat extends LightningElement {
         console.log('[AgentforceChat] hasMaximizedChat:', hasMaximizedChat, 'searchStartsNewChat:', searchStartsNewChat);
 
         // Bug 2 fix: If previous conversation ended, reset state before starting new chat
-        if (this._conversationEnded) {
+        if (this._isInState(AgentforceChat.STATES.ENDED)) {
             console.log('[AgentforceChat] Previous conversation ended, resetting for fresh start');
             this._resetForNewConversation();
         }
@@ -1594,9 +2140,10 @@ export default class AgentforceChat extends LightningElement {
         // just send the message to existing conversation
         if (isSearchQuery && !searchStartsNewChat && hasMaximizedChat) {
             console.log('[AgentforceChat] Resuming existing chat with search query');
+            this._transitionTo(AgentforceChat.STATES.ACTIVE, 'search_resume');
 
             // Hide the welcome screen
-            const container = window.__agentforceChatInlineContainer;
+            const container = this._getActiveContainer();
             if (container?.hideWelcome) {
                 container.hideWelcome();
             }
@@ -1617,28 +2164,41 @@ export default class AgentforceChat extends LightningElement {
             return;
         }
 
-        // Store the pending message
+        // Store the pending message (and attachment - delivered after the message)
         if (message) {
             this._pendingMessage = message;
-            this._messageSent = false; // Reset flag for new message
         }
+        if (attachment) {
+            this._pendingAttachment = attachment;
+        }
+        if (isSearchQuery && message) {
+            this._rememberSearchTerm(message);
+        }
+        this._transitionTo(AgentforceChat.STATES.CONNECTING, isSearchQuery ? 'search_query' : 'chat_start');
 
         // Show the loading screen in the container (replaces welcome screen)
-        const container = window.__agentforceChatInlineContainer;
+        const container = this._getActiveContainer();
+        this._loadingStage = null;
         if (container?.showLoading) {
             container.showLoading();
         } else if (container?.hideWelcome) {
             // Fallback if showLoading not available
             container.hideWelcome();
         }
+        this._advanceLoadingStage(AgentforceChat.LOADING_STAGES.BOOTSTRAP_READY);
 
         // DON'T position chat yet - wait until loading completes
         // this._projectChatToContainer();
 
+        // Hidden pre-chat fields must be set before launchChat() starts the conversation
+        this._applyHiddenPrechatFields('chat_start');
+
         // Launch the chat - this will start a new conversation if none exists
         const utilAPI = window.embeddedservice_bootstrap?.utilAPI;
         if (utilAPI?.launchChat) {
             console.log('[AgentforceChat] Launching chat (will start new conversation if needed)');
+            this._perf.launchStart = Date.now();
+            this._perf.summaryPublished = false;
             utilAPI.launchChat();
 
             // Start watching for agent greeting immediately
@@ -1679,12 +2239,14 @@ export default class AgentforceChat extends LightningElement {
         console.log('[AgentforceChat] Resetting state for new conversation');
 
         // Reset internal state
-        this._conversationEnded = false;
+        this._cancelGreetingWatcher();
         this._pendingMessage = null;
-        this._messageSent = false;
-        this._sessionId = null;
+        this._pendingAttachment = null;
+        this._clearSession();
         this._messageCount = 0;
-        this._greetingWatcherActive = false;
+        this._perf.turnStart = null;
+        this._perf.launchStart = null;
+        this._transitionTo(AgentforceChat.STATES.READY, 'reset_for_new_conversation');
 
         // Reset projection state to allow fresh projection
         this._projectionComplete = false;
@@ -1748,13 +2310,12 @@ export default class AgentforceChat extends LightningElement {
             console.warn('[AgentforceChat] Error clearing storage:', error);
         }
 
-        // CRITICAL: If we removed the iframe, we MUST reset _bootstrapInitialized
-        // and re-initialize so bootstrap.init() creates a new iframe.
+        // CRITICAL: If we removed the iframe, we MUST re-initialize so bootstrap.init()
+        // creates a new iframe. The lifecycle stays where it is (the caller is about to
+        // connect) - launchChat() retries in the greeting watcher cover the re-init window.
         // This handles SPA navigation where the component stays alive but needs fresh chat.
         if (iframeRemoved) {
-            console.log('[AgentforceChat] Iframe removed, resetting bootstrap state for re-init');
-            this._bootstrapInitialized = false;
-            this._apiReady = false;
+            console.log('[AgentforceChat] Iframe removed, re-initializing bootstrap');
 
             // Re-initialize after a brief delay to let DOM settle
             // eslint-disable-next-line @lwc/lwc/no-async-operation
@@ -1823,9 +2384,11 @@ export default class AgentforceChat extends LightningElement {
      * Called when container detects an active conversation on page load
      */
     _handleProjectChatRequest(event) {
-        const { containerId } = event.detail || {};
+        const { containerId, targetContainer, resume } = event.detail || {};
         console.log('[AgentforceChat] Projection request received from container:', containerId);
 
+        this._targetContainer = targetContainer || containerId || null;
+
         // Reset projection state to allow fresh projection
         this._containerElement = null;
         this._projectionComplete = false;
@@ -1835,112 +2398,420 @@ export default class AgentforceChat extends LightningElement {
         // Hide FAB and project the chat
         this._updateFabVisibility(true);
         this._projectChatToContainer();
+
+        // "Continue" on the resume card - the conversation may be minimized in the FAB
+        if (resume && !this._isConversationMaximized()) {
+            const utilAPI = window.embeddedservice_bootstrap?.utilAPI;
+            if (utilAPI?.launchChat) {
+                console.log('[AgentforceChat] Resuming minimized conversation for inline display');
+                utilAPI.launchChat();
+            }
+        }
     }
 
-    // ==================== ACTIVITY TRACKING ====================
+    /**
+     * Handle "Start new" from the inline container's resume card
+     * Ends the stored conversation on our side and clears Embedded Service so the
+     * next message from the welcome screen starts a fresh one
+     */
+    _handleStartNewChatRequest(event) {
+        console.log('[AgentforceChat] Start new conversation requested from container:', event.detail?.containerId);
+        if (!this._isApiReady()) {
+            // Not initialized yet - just forget the stored session
+            this._clearSession();
+            return;
+        }
+
+        this._publishActivityEvent('SESSION_ENDED', {
+            source: 'resume_card',
+            reason: 'start_new'
+        });
+        this._publishPerfSummary('start_new');
+        this._resetForNewConversation();
+    }
+
+    // ==================== LANGUAGE ====================
 
     /**
-     * Generate a unique session ID for activity tracking
+     * Detect the site language and map it to an Embedded Service language code
      */
-    _generateSessionId() {
-        const timestamp = Date.now().toString(36);
-        const randomPart = Math.random().toString(36).substring(2, 9);
-        return `af-${timestamp}-${randomPart}`;
+    _resolveChatLanguage() {
+        const siteLanguage = detectSiteLanguage(this._languageOverrides.map(override => override.siteLocale));
+        const chatLanguage = resolveEmbeddedServiceLanguage(
+            siteLanguage,
+            this._languageOverrides,
+            this._chatLanguageFallback
+        );
+        console.log('[AgentforceChat] Site language:', siteLanguage, '-> chat language:', chatLanguage);
+        return chatLanguage;
     }
 
     /**
-     * Register Embedded Service event listeners for activity tracking
-     * Called when onEmbeddedMessagingReady fires
+     * Re-initialize the chat when the site language changed during SPA navigation
+     * Compares against the language the Embedded Service was initialized with (which
+     * persists across component instances). Skipped while a conversation is active -
+     * the next navigation re-checks.
      */
-    _setupActivityEventListeners() {
-        console.log('[AgentforceChat] Setting up activity event listeners');
+    _checkLanguageChange() {
+        const bootstrap = window.embeddedservice_bootstrap;
+        if (!bootstrap?.settings?.language || !this._isInState(AgentforceChat.STATES.READY, AgentforceChat.STATES.ENDED)) {
+            return;
+        }
 
-        // Generate session ID when setting up listeners
-        if (!this._sessionId) {
-            this._sessionId = this._generateSessionId();
-            console.log('[AgentforceChat] Generated session ID:', this._sessionId);
+        const chatLanguage = this._resolveChatLanguage();
+        if (chatLanguage === bootstrap.settings.language) {
+            return;
         }
 
-        // Conversation events
-        this._registerEmbeddedEvent('onEmbeddedMessagingConversationStarted', () => {
-            console.log('[AgentforceChat] Conversation started event received');
-            // Reset the ended flag since we have a new active conversation
-            this._conversationEnded = false;
-            this._publishActivityEvent('SESSION_STARTED', {
-                source: 'embedded_service'
-            });
-        });
+        if (this._isConversationMaximized()) {
+            console.log('[AgentforceChat] Chat language changed to', chatLanguage, 'but a conversation is open - keeping', bootstrap.settings.language);
+            return;
+        }
 
-        this._registerEmbeddedEvent('onEmbeddedMessagingConversationClosed', () => {
-            console.log('[AgentforceChat] Conversation closed event received');
-            this._publishActivityEvent('SESSION_ENDED', {
-                source: 'embedded_service',
-                messageCount: this._messageCount
-            });
-            // Reset for next session and mark conversation as ended (Bug 2 fix)
-            this._sessionId = null;
-            this._messageCount = 0;
-            this._conversationEnded = true;
-            console.log('[AgentforceChat] Marked conversation as ended, will reset on next chat start');
-        });
+        console.log('[AgentforceChat] Chat language changed:', bootstrap.settings.language, '->', chatLanguage, '- re-initializing chat');
+        this._transitionTo(AgentforceChat.STATES.BOOTSTRAPPING, 'language_changed');
 
-        // Message events - onEmbeddedMessageSent fires for all messages (user, bot, rep)
-        this._registerEmbeddedEvent('onEmbeddedMessageSent', (event) => {
-            this._messageCount++;
-            const detail = event?.detail || {};
-            const sender = detail.sender || 'unknown';
+        // Remove the iframe so bootstrap.init() builds a new one in the new language
+        this._removeEmbeddedIframe();
+        this._clearEmbeddedServiceStoragePreInit();
 
-            // Determine event type based on sender
-            const eventType = sender === 'EndUser' ? 'MESSAGE_SENT' : 'MESSAGE_RECEIVED';
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        setTimeout(() => {
+            this._initializeChat();
+        }, 100);
+    }
 
-            this._publishActivityEvent(eventType, {
-                sender: sender,
-                messageCount: this._messageCount
-            });
-        });
+    // ==================== PRE-CHAT CONTEXT ====================
 
-        // Link click events
-        this._registerEmbeddedEvent('onEmbeddedMessageLinkClicked', (event) => {
-            const detail = event?.detail || {};
-            this._publishActivityEvent('LINK_CLICK', {
-                url: detail.url,
-                linkText: detail.linkText
-            });
-        });
+    /**
+     * Sources a hidden pre-chat field value can be read from (configured in the CPE)
+     */
+    static PRECHAT_SOURCES = {
+        URL: 'url',                  // Full current URL
+        PATH_SEGMENT: 'pathSegment', // Path segment by index (sourceKey, negative counts from the end)
+        QUERY_PARAM: 'queryParam',   // Query parameter (sourceKey = param name)
+        RECORD_ID: 'recordId',       // Salesforce record ID parsed from the route
+        USER_ID: 'userId',           // Current user ID
+        IS_GUEST: 'isGuest',         // 'true' for guest users, 'false' when authenticated
+        SEARCH_TERM: 'searchTerm',   // Search term that led the user to the chat
+        AGENTS_AVAILABLE: 'agentsAvailable' // 'true' within business hours, 'false' outside them
+    };
 
-        // UI events - window state changes
-        this._registerEmbeddedEvent('onEmbeddedMessagingWindowMinimized', () => {
-            this._publishActivityEvent('WINDOW_MINIMIZED', {});
-        });
+    /**
+     * Resolve the configured hidden pre-chat fields and hand them to the Embedded Service
+     * Fields that resolve to no value are removed so stale page context isn't sent
+     */
+    _applyHiddenPrechatFields(reason) {
+        if (!this._hiddenPrechatFields.length && !Object.keys(this._prechatContext).length) {
+            return;
+        }
 
-        this._registerEmbeddedEvent('onEmbeddedMessagingWindowMaximized', () => {
-            this._publishActivityEvent('WINDOW_MAXIMIZED', {});
-        });
+        const prechatAPI = window.embeddedservice_bootstrap?.prechatAPI;
+        if (!prechatAPI?.setHiddenPrechatFields) {
+            console.warn('[AgentforceChat] prechatAPI.setHiddenPrechatFields not available, skipping hidden fields');
+            return;
+        }
 
-        this._registerEmbeddedEvent('onEmbeddedMessagingWindowClosed', () => {
-            this._publishActivityEvent('WINDOW_CLOSED', {});
+        const fields = {};
+        const emptyFields = [];
+        this._hiddenPrechatFields.forEach(mapping => {
+            if (!mapping?.fieldName) {
+                return;
+            }
+            let value;
+            try {
+                value = this._resolvePrechatSource(mapping.source, mapping.sourceKey);
+            } catch (error) {
+                // One bad source skips its own field, not the chat start
+                console.warn('[AgentforceChat] Could not resolve pre-chat field', mapping.fieldName, error.message);
+                return;
+            }
+            if (value === null || value === undefined || value === '') {
+                emptyFields.push(mapping.fieldName);
+            } else {
+                fields[mapping.fieldName] = String(value);
+            }
         });
 
-        // FAB button click
-        this._registerEmbeddedEvent('onEmbeddedMessagingButtonClicked', () => {
-            this._publishActivityEvent('FAB_CLICKED', {});
+        // Context passed to startConversation() wins over the configured mappings
+        Object.entries(this._prechatContext).forEach(([fieldName, value]) => {
+            if (value !== null && value !== undefined && value !== '') {
+                fields[fieldName] = String(value);
+            }
         });
 
-        console.log('[AgentforceChat] Activity event listeners registered');
+        console.log(`[AgentforceChat] Setting hidden pre-chat fields (${reason}):`, fields);
+
+        try {
+            if (emptyFields.length && prechatAPI.removeHiddenPrechatFields) {
+                prechatAPI.removeHiddenPrechatFields(emptyFields);
+            }
+            if (Object.keys(fields).length) {
+                prechatAPI.setHiddenPrechatFields(fields);
+            }
+        } catch (error) {
+            console.error('[AgentforceChat] Error setting hidden pre-chat fields:', error);
+        }
     }
 
     /**
-     * Register an Embedded Service event handler (with cleanup tracking)
+     * Read a single pre-chat value from the page or user context
      */
-    _registerEmbeddedEvent(eventName, handler) {
-        // Wrap handler to catch errors
-        const wrappedHandler = (event) => {
-            try {
-                handler(event);
-            } catch (error) {
-                console.error(`[AgentforceChat] Error in ${eventName} handler:`, error);
+    _resolvePrechatSource(source, sourceKey) {
+        const SOURCES = AgentforceChat.PRECHAT_SOURCES;
+
+        switch (source) {
+            case SOURCES.URL:
+                return window.location.href;
+            case SOURCES.PATH_SEGMENT: {
+                const segments = window.location.pathname.split('/').filter(Boolean);
+                const index = parseInt(sourceKey, 10);
+                if (isNaN(index)) {
+                    return null;
+                }
+                const segment = segments[index < 0 ? segments.length + index : index];
+                if (!segment) {
+                    return null;
+                }
+                try {
+                    return decodeURIComponent(segment);
+                } catch (error) {
+                    // Malformed escape (e.g. /s/%E0%A4%A) - use the segment as-is
+                    console.warn('[AgentforceChat] Could not decode path segment:', segment, error.message);
+                    return segment;
+                }
             }
-        };
+            case SOURCES.QUERY_PARAM:
+                return sourceKey ? new URLSearchParams(window.location.search).get(sourceKey) : null;
+            case SOURCES.RECORD_ID:
+                return this._parseRecordIdFromRoute();
+            case SOURCES.USER_ID:
+                return USER_ID;
+            case SOURCES.IS_GUEST:
+                return IS_GUEST ? 'true' : 'false';
+            case SOURCES.SEARCH_TERM:
+                return this._getOriginatingSearchTerm();
+            case SOURCES.AGENTS_AVAILABLE:
+                return this._availability.available ? 'true' : 'false';
+            default:
+                console.warn('[AgentforceChat] Unknown pre-chat source:', source);
+                return null;
+        }
+    }
+
+    /**
+     * Find a Salesforce record ID in the current route
+     * Handles Experience Cloud routes like /s/case/500.../subject and ?recordId=...
+     */
+    _parseRecordIdFromRoute() {
+        const fromQuery = new URLSearchParams(window.location.search).get('recordId');
+        if (fromQuery) {
+            return fromQuery;
+        }
+
+        // 15 or 18 alphanumeric characters with at least one digit (skips plain words)
+        const recordIdPattern = /^(?=.*\d)[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+        const segments = window.location.pathname.split('/').filter(Boolean);
+        return segments.find(segment => recordIdPattern.test(segment)) || null;
+    }
+
+    /**
+     * Search term from the current search page, or the last one seen this session
+     */
+    _getOriginatingSearchTerm() {
+        const { searchPagePath, searchQueryParam } = this._getSearchConfig();
+        const searchQuery = this._extractSearchQuery(searchPagePath, searchQueryParam);
+        if (searchQuery) {
+            this._rememberSearchTerm(searchQuery);
+            return searchQuery;
+        }
+        return sessionStorage.getItem('agentforce_search_term');
+    }
+
+    _rememberSearchTerm(term) {
+        sessionStorage.setItem('agentforce_search_term', term);
+    }
+
+    // ==================== ACTIVITY TRACKING ====================
+
+    /**
+     * Generate a unique session ID for activity tracking
+     */
+    _generateSessionId() {
+        const timestamp = Date.now().toString(36);
+        const randomPart = Math.random().toString(36).substring(2, 9);
+        return `af-${timestamp}-${randomPart}`;
+    }
+
+    /**
+     * Current session ID - resumes the stored session (c/agentforceChatSessionStore)
+     * so reloads and new component instances keep the same ID, or starts a new one
+     */
+    _ensureSessionId() {
+        if (this._sessionId) {
+            return this._sessionId;
+        }
+
+        const stored = loadStoredSession();
+        if (stored) {
+            this._sessionId = stored.id;
+            this._pageView = stored.pageViews || 1;
+            console.log('[AgentforceChat] Resumed session ID:', this._sessionId, 'page view:', this._pageView);
+        } else {
+            this._sessionId = this._generateSessionId();
+            this._pageView = 1;
+            storeSession({ id: this._sessionId, startedAt: Date.now(), pageViews: this._pageView });
+            console.log('[AgentforceChat] Generated session ID:', this._sessionId);
+        }
+        return this._sessionId;
+    }
+
+    /**
+     * Count a page view (page load or SPA navigation) against the stored session
+     * Counted once per URL per window so reconnects and re-renders don't inflate it
+     */
+    _countPageView() {
+        const href = window.location.href;
+        if (window.__agentforceChatCountedPageView === href) {
+            return;
+        }
+        window.__agentforceChatCountedPageView = href;
+
+        const stored = loadStoredSession();
+        if (!stored) {
+            return;
+        }
+        stored.pageViews = (stored.pageViews || 0) + 1;
+        storeSession(stored);
+        if (this._sessionId === stored.id) {
+            this._pageView = stored.pageViews;
+        }
+    }
+
+    /**
+     * Forget the session - the next event starts a new one
+     */
+    _clearSession() {
+        this._sessionId = null;
+        this._pageView = 0;
+        clearStoredSession();
+    }
+
+    /**
+     * Register Embedded Service event listeners for activity tracking
+     * Called when onEmbeddedMessagingReady fires
+     */
+    _setupActivityEventListeners() {
+        console.log('[AgentforceChat] Setting up activity event listeners');
+
+        // Resume or start the session when setting up listeners
+        this._ensureSessionId();
+
+        // Conversation events
+        this._registerEmbeddedEvent('onEmbeddedMessagingConversationStarted', () => {
+            console.log('[AgentforceChat] Conversation started event received');
+            this._perf.summaryPublished = false;
+            // Conversations started outside _handleChatStart (e.g. FAB) have no greeting watcher,
+            // and starts without a pending message have nothing to wait for
+            if (this._isInState(AgentforceChat.STATES.READY, AgentforceChat.STATES.ENDED) ||
+                (this._isInState(AgentforceChat.STATES.CONNECTING) && !this._pendingMessage && !this._pendingAttachment)) {
+                this._transitionTo(AgentforceChat.STATES.ACTIVE, 'conversation_started');
+            }
+            this._publishActivityEvent('SESSION_STARTED', {
+                source: 'embedded_service',
+                pageRule: this._getActiveContainer()?.pageRule || null
+            });
+        });
+
+        this._registerEmbeddedEvent('onEmbeddedMessagingConversationClosed', () => {
+            console.log('[AgentforceChat] Conversation closed event received');
+            this._publishActivityEvent('SESSION_ENDED', {
+                source: 'embedded_service',
+                messageCount: this._messageCount
+            });
+            this._publishPerfSummary('conversation_closed');
+            // Reset for next session and mark conversation as ended (Bug 2 fix)
+            this._cancelGreetingWatcher();
+            this._transitionTo(AgentforceChat.STATES.ENDED, 'conversation_closed');
+            this._clearSession();
+            this._messageCount = 0;
+            console.log('[AgentforceChat] Marked conversation as ended, will reset on next chat start');
+        });
+
+        // Message events - onEmbeddedMessageSent fires for all messages (user, bot, rep)
+        this._registerEmbeddedEvent('onEmbeddedMessageSent', (event) => {
+            this._messageCount++;
+            const detail = event?.detail || {};
+            const sender = detail.sender || 'unknown';
+
+            // Determine event type based on sender
+            const eventType = sender === 'EndUser' ? 'MESSAGE_SENT' : 'MESSAGE_RECEIVED';
+
+            this._publishActivityEvent(eventType, {
+                sender: sender,
+                messageCount: this._messageCount
+            });
+            this._trackTurnLatency(sender);
+
+            // Last activity and agent message snippet for the inline container's resume card
+            const text = extractMessageText(detail);
+            recordSessionActivity(this._ensureSessionId(), roleForSender(sender) === 'agent', text);
+
+            if (this._transcriptEnabled) {
+                appendTranscriptEntry(this._sessionId, {
+                    timestamp: Date.now(),
+                    sender: sender,
+                    text: text
+                }, { maxMessages: this._transcriptMaxMessages });
+            }
+        });
+
+        // Link click events
+        this._registerEmbeddedEvent('onEmbeddedMessageLinkClicked', (event) => {
+            const detail = event?.detail || {};
+            this._publishActivityEvent('LINK_CLICK', {
+                url: detail.url,
+                linkText: detail.linkText
+            });
+        });
+
+        // UI events - window state changes
+        this._registerEmbeddedEvent('onEmbeddedMessagingWindowMinimized', () => {
+            this._publishActivityEvent('WINDOW_MINIMIZED', {});
+        });
+
+        this._registerEmbeddedEvent('onEmbeddedMessagingWindowMaximized', () => {
+            this._publishActivityEvent('WINDOW_MAXIMIZED', {});
+        });
+
+        this._registerEmbeddedEvent('onEmbeddedMessagingWindowClosed', () => {
+            this._publishActivityEvent('WINDOW_CLOSED', {});
+        });
+
+        // FAB button click
+        this._registerEmbeddedEvent('onEmbeddedMessagingButtonClicked', () => {
+            this._publishActivityEvent('FAB_CLICKED', {});
+            // External target: the visitor opened the chat - show it inside the element
+            if (this._getActiveContainer()?.external && !this._projectionComplete && !this._inFabModeOverride) {
+                this._projectChatToContainer();
+            }
+        });
+
+        console.log('[AgentforceChat] Activity event listeners registered');
+    }
+
+    /**
+     * Register an Embedded Service event handler (with cleanup tracking)
+     */
+    _registerEmbeddedEvent(eventName, handler) {
+        // Wrap handler to catch errors
+        const wrappedHandler = (event) => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error(`[AgentforceChat] Error in ${eventName} handler:`, error);
+            }
+        };
 
         // Store for cleanup
         this._embeddedEventHandlers[eventName] = wrappedHandler;
@@ -1954,13 +2825,9 @@ export default class AgentforceChat extends LightningElement {
      * Publish an activity event via LMS
      */
     _publishActivityEvent(eventType, data = {}) {
-        // Generate session ID if not present
-        if (!this._sessionId) {
-            this._sessionId = this._generateSessionId();
-        }
-
         const message = {
-            sessionId: this._sessionId,
+            sessionId: this._ensureSessionId(),
+            pageView: this._pageView,
             eventType: eventType,
             timestamp: Date.now(),
             data: JSON.stringify(data)
@@ -1973,6 +2840,27 @@ export default class AgentforceChat extends LightningElement {
         } catch (error) {
             console.error('[AgentforceChat] Error publishing activity event:', error);
         }
+
+        // Forward to the enabled analytics adapters (dataLayer, Adobe, custom callback)
+        this._analytics.track(eventType, message.sessionId, data);
+
+        // Queue for the HTTP sink (batched, persisted until delivered)
+        if (this._beacon) {
+            this._beacon.enqueue(message);
+        }
+
+        // Mirror for non-LWC page scripts (agentforce:message-sent, ...)
+        try {
+            emitWindowEvent(eventType, {
+                eventType: eventType,
+                sessionId: message.sessionId,
+                pageView: message.pageView,
+                timestamp: message.timestamp,
+                data: data
+            });
+        } catch (error) {
+            console.error('[AgentforceChat] Error dispatching window event:', error);
+        }
     }
 
     /**
@@ -1986,6 +2874,524 @@ export default class AgentforceChat extends LightningElement {
         this._embeddedEventHandlers = {};
     }
 
+    // ==================== LMS COMMANDS ====================
+
+    /**
+     * Commands other components can publish on AgentforceSessionChannel:
+     *   { eventType: 'COMMAND', command: 'SEND_MESSAGE', correlationId: 'abc', payload: '{"message":"Hi"}' }
+     * Each command is answered with COMMAND_ACK (data = result) or COMMAND_ERROR (data = { message })
+     * carrying the same command and correlationId.
+     */
+    static LMS_COMMANDS = {
+        OPEN_CHAT: 'OPEN_CHAT',           // payload: { message?, context? }
+        SEND_MESSAGE: 'SEND_MESSAGE',     // payload: { message }
+        END_CHAT: 'END_CHAT',             // payload: none
+        SET_CONTEXT: 'SET_CONTEXT',       // payload: { context } - hidden pre-chat fields for the next start
+        REQUEST_STATE: 'REQUEST_STATE'    // payload: none - ACK data is getSessionInfo()
+    };
+
+    _subscribeToCommands() {
+        if (this._commandSubscription || !this.messageContext) {
+            return;
+        }
+        this._commandSubscription = subscribe(
+            this.messageContext,
+            AGENTFORCE_SESSION_CHANNEL,
+            (message) => this._handleCommandMessage(message)
+        );
+    }
+
+    /**
+     * Run an inbound command - our own activity events on the channel are ignored
+     */
+    _handleCommandMessage(message) {
+        if (message?.eventType !== 'COMMAND' || !message.command) {
+            return;
+        }
+
+        const { command, correlationId } = message;
+        console.log('[AgentforceChat] Command received:', command, 'correlationId:', correlationId);
+
+        let payload = {};
+        try {
+            payload = typeof message.payload === 'string' && message.payload
+                ? JSON.parse(message.payload)
+                : (message.payload || {});
+        } catch (error) {
+            this._replyToCommand('COMMAND_ERROR', command, correlationId, { message: `payload is not valid JSON: ${error.message}` });
+            return;
+        }
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            this._replyToCommand('COMMAND_ERROR', command, correlationId, { message: 'payload must be a JSON object' });
+            return;
+        }
+
+        // Synchronous throws inside a command still get a COMMAND_ERROR reply
+        Promise.resolve()
+            .then(() => this._runCommand(command, payload))
+            .then(result => this._replyToCommand('COMMAND_ACK', command, correlationId, result))
+            .catch(error => {
+                console.error('[AgentforceChat] Command failed:', command, error);
+                this._replyToCommand('COMMAND_ERROR', command, correlationId, { message: error?.message || String(error) });
+            });
+    }
+
+    _runCommand(command, payload) {
+        const COMMANDS = AgentforceChat.LMS_COMMANDS;
+
+        switch (command) {
+            case COMMANDS.OPEN_CHAT:
+                return this.startConversation({ message: payload.message, context: payload.context });
+            case COMMANDS.SEND_MESSAGE:
+                return this.sendMessage(payload.message);
+            case COMMANDS.END_CHAT:
+                return this.endConversation();
+            case COMMANDS.SET_CONTEXT:
+                if (payload.context !== undefined &&
+                    (!payload.context || typeof payload.context !== 'object' || Array.isArray(payload.context))) {
+                    return Promise.reject(new Error('SET_CONTEXT context must be an object'));
+                }
+                this._prechatContext = { ...this._prechatContext, ...(payload.context || {}) };
+                if (this._isApiReady()) {
+                    this._applyHiddenPrechatFields('set_context');
+                }
+                return Promise.resolve({ context: this._prechatContext });
+            case COMMANDS.REQUEST_STATE:
+                return this.getSessionInfo();
+            default:
+                return Promise.reject(new Error(`Unknown command: ${command}`));
+        }
+    }
+
+    _replyToCommand(eventType, command, correlationId, data = {}) {
+        const message = {
+            sessionId: this._sessionId,
+            eventType: eventType,
+            timestamp: Date.now(),
+            command: command,
+            correlationId: correlationId || null,
+            data: JSON.stringify(data)
+        };
+
+        try {
+            publish(this.messageContext, AGENTFORCE_SESSION_CHANNEL, message);
+        } catch (error) {
+            console.error('[AgentforceChat] Error publishing command reply:', error);
+        }
+    }
+
+    // ==================== PERFORMANCE METRICS ====================
+
+    /**
+     * Metrics published as PERF_METRIC events ({ metric, durationMs, ... })
+     * A PERF_SUMMARY event with the session's response latency median/p95 follows SESSION_ENDED.
+     */
+    static PERF_METRICS = {
+        BOOTSTRAP_LOAD: 'bootstrap_load',         // bootstrap.min.js download (or our wait for it)
+        INIT_TO_READY: 'init_to_ready',           // bootstrap.init() → onEmbeddedMessagingReady
+        LAUNCH_TO_GREETING: 'launch_to_greeting', // launchChat() → first agent/bot message
+        RESPONSE_LATENCY: 'response_latency'      // user message → next agent/bot message (per turn)
+    };
+
+    _recordPerfMetric(metric, durationMs, extra = {}) {
+        const rounded = Math.max(0, Math.round(durationMs));
+        if (metric !== AgentforceChat.PERF_METRICS.RESPONSE_LATENCY) {
+            this._perf.metrics[metric] = rounded;
+        }
+        this._publishActivityEvent('PERF_METRIC', { metric, durationMs: rounded, ...extra });
+    }
+
+    /**
+     * Bootstrap script load time - once per page load (the script outlives SPA navigation)
+     * Resource Timing gives the real download time; otherwise report how long we waited for it
+     */
+    _recordBootstrapLoad() {
+        if (window.__agentforceChatBootstrapMeasured) {
+            return;
+        }
+        window.__agentforceChatBootstrapMeasured = true;
+
+        const entries = typeof performance?.getEntriesByType === 'function'
+            ? performance.getEntriesByType('resource')
+            : [];
+        const entry = entries.find(resource => /\/assets\/js\/bootstrap(\.min)?\.js/.test(resource.name));
+        if (entry) {
+            this._recordPerfMetric(AgentforceChat.PERF_METRICS.BOOTSTRAP_LOAD, entry.duration, {
+                source: 'resource_timing',
+                transferSize: entry.transferSize
+            });
+        } else if (this._perf.bootstrapWaitStart) {
+            this._recordPerfMetric(AgentforceChat.PERF_METRICS.BOOTSTRAP_LOAD, Date.now() - this._perf.bootstrapWaitStart, {
+                source: 'wait'
+            });
+        }
+    }
+
+    /**
+     * Per-turn latency: time from an EndUser message to the next agent/bot message
+     */
+    _trackTurnLatency(sender) {
+        if (sender === 'EndUser') {
+            this._perf.turnStart = Date.now();
+            return;
+        }
+        if (!this._perf.turnStart) {
+            return;
+        }
+
+        const latency = Date.now() - this._perf.turnStart;
+        this._perf.turnStart = null;
+        this._perf.turnLatencies.push(latency);
+        this._recordPerfMetric(AgentforceChat.PERF_METRICS.RESPONSE_LATENCY, latency, {
+            turn: this._perf.turnLatencies.length
+        });
+    }
+
+    /**
+     * End-of-session summary, then reset the per-session numbers
+     * Once per session - ending a chat also fires onEmbeddedMessagingConversationClosed
+     */
+    _publishPerfSummary(reason) {
+        if (this._perf.summaryPublished) {
+            return;
+        }
+        this._perf.summaryPublished = true;
+
+        const latencies = [...this._perf.turnLatencies].sort((a, b) => a - b);
+        const percentile = (p) => (latencies.length
+            ? latencies[Math.max(0, Math.ceil(p * latencies.length) - 1)]
+            : null);
+        const middle = Math.floor(latencies.length / 2);
+        const median = latencies.length % 2
+            ? latencies[middle]
+            : (latencies.length ? Math.round((latencies[middle - 1] + latencies[middle]) / 2) : null);
+
+        this._publishActivityEvent('PERF_SUMMARY', {
+            reason: reason,
+            turns: latencies.length,
+            responseLatencyMedianMs: median,
+            responseLatencyP95Ms: percentile(0.95),
+            responseLatencyMaxMs: latencies.length ? latencies[latencies.length - 1] : null,
+            ...Object.fromEntries(Object.entries(this._perf.metrics).map(([metric, value]) => [`${metric}Ms`, value]))
+        });
+
+        this._perf.turnLatencies = [];
+        this._perf.turnStart = null;
+        delete this._perf.metrics[AgentforceChat.PERF_METRICS.LAUNCH_TO_GREETING];
+    }
+
+    // ==================== BUSINESS HOURS ====================
+
+    /**
+     * How often the schedule is re-checked while the page is open
+     */
+    static AVAILABILITY_CHECK_MS = 60000;
+
+    _startAvailabilityChecks() {
+        this._evaluateAvailability('connected');
+        if (this._availabilityInterval) {
+            return;
+        }
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._availabilityInterval = setInterval(() => {
+            this._evaluateAvailability('schedule');
+        }, AgentforceChat.AVAILABILITY_CHECK_MS);
+    }
+
+    /**
+     * Check the schedule and hand the result (with the offline copy) to the containers
+     * AVAILABILITY_CHANGED is published only when the chat goes offline or comes back
+     */
+    _evaluateAvailability(trigger) {
+        const { available, reason, holiday } = this._businessHours
+            ? getAvailability(this._businessHours)
+            : { available: true, reason: 'always', holiday: null };
+        const changed = available !== this._availability.available;
+        const mode = this._offlineConfig.mode || OFFLINE_MODES.OFFLINE;
+        const labels = this.labels;
+
+        this._availability = {
+            available,
+            reason,
+            mode,
+            title: this._offlineConfig.title || labels.offlineTitle,
+            message: this._offlineConfig.message ||
+                (mode === OFFLINE_MODES.BOT_ONLY ? labels.botOnlyMessage : labels.offlineMessage),
+            leaveMessageUrl: this._offlineConfig.leaveMessageUrl || '',
+            leaveMessageLabel: this._offlineConfig.leaveMessageLabel || labels.leaveMessage
+        };
+        setCurrentAvailability(this._availability);
+        getContainers().forEach(container => {
+            if (container.setAvailability) {
+                container.setAvailability(this._availability);
+            }
+        });
+
+        if (!changed) {
+            return;
+        }
+
+        console.log(`[AgentforceChat] Availability: ${available ? 'online' : 'offline'} (${reason}, ${trigger})`);
+        if (available) {
+            this._isOfflinePanelOpen = false;
+        }
+        this._publishActivityEvent('AVAILABILITY_CHANGED', {
+            available,
+            reason,
+            mode,
+            holiday,
+            timezone: this._businessHours?.timezone || null,
+            trigger
+        });
+
+        // Keep the "agents available" pre-chat value current for the next conversation
+        if (this._isApiReady()) {
+            this._applyHiddenPrechatFields('availability');
+        }
+    }
+
+    /**
+     * Offline with the composer replaced - bot-only mode keeps the chat open
+     */
+    _isOfflineBlocked() {
+        return !this._availability.available && this._availability.mode !== OFFLINE_MODES.BOT_ONLY;
+    }
+
+    get showOfflineFab() {
+        return this._isFabMode && this._isOfflineBlocked() &&
+            !this._isInState(AgentforceChat.STATES.CONNECTING, AgentforceChat.STATES.ACTIVE);
+    }
+
+    get isOfflinePanelOpen() {
+        return this._isOfflinePanelOpen;
+    }
+
+    get offlineTitle() {
+        return this._availability.title;
+    }
+
+    get offlineMessage() {
+        return this._availability.message;
+    }
+
+    get leaveMessageUrl() {
+        return this._availability.leaveMessageUrl;
+    }
+
+    get leaveMessageLabel() {
+        return this._availability.leaveMessageLabel;
+    }
+
+    get offlineFabStyle() {
+        return this._offlineConfig.color ? `background-color: ${this._offlineConfig.color};` : '';
+    }
+
+    handleOfflineFabToggle() {
+        this._isOfflinePanelOpen = !this._isOfflinePanelOpen;
+    }
+
+    /**
+     * The offline FAB stands in for the Embedded Service button - hide the real one while it shows
+     */
+    _syncOfflineFabStyles() {
+        if (!this.showOfflineFab) {
+            if (this._offlineFabStyles) {
+                this._offlineFabStyles.remove();
+                this._offlineFabStyles = null;
+            }
+            return;
+        }
+        if (this._offlineFabStyles) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'agentforce-offline-fab-styles';
+        styles.textContent = `
+            /* Outside business hours - the offline FAB replaces the chat button */
+            #embedded-messaging {
+                display: none !important;
+            }
+        `;
+        document.head.appendChild(styles);
+        this._offlineFabStyles = styles;
+    }
+
+    // ==================== NETWORK STATUS ====================
+
+    _setupNetworkListeners() {
+        if (this._networkHandlers) {
+            return;
+        }
+        this._networkHandlers = {
+            online: () => this._handleNetworkChange(true),
+            offline: () => this._handleNetworkChange(false)
+        };
+        window.addEventListener('online', this._networkHandlers.online);
+        window.addEventListener('offline', this._networkHandlers.offline);
+        if (navigator.onLine === false) {
+            this._handleNetworkChange(false);
+        }
+    }
+
+    /**
+     * Connection lost or restored
+     * Offline: the greeting watchdog stops counting retries and chat starts are queued.
+     * Online: the watchdog picks up where it was and the queued chat start runs.
+     */
+    _handleNetworkChange(online) {
+        if (online === this._isOnline) {
+            return;
+        }
+        this._isOnline = online;
+
+        getContainers().forEach(container => {
+            if (container.setNetworkStatus) {
+                container.setNetworkStatus(online);
+            }
+        });
+
+        if (!online) {
+            console.warn('[AgentforceChat] Browser went offline');
+            this._offlineSince = Date.now();
+            if (this._greetingWatcher?.pause) {
+                this._greetingWatcher.pause();
+            }
+            this._publishActivityEvent('NETWORK_OFFLINE', { state: this._state });
+            return;
+        }
+
+        const offlineMs = this._offlineSince ? Date.now() - this._offlineSince : null;
+        this._offlineSince = null;
+        console.log('[AgentforceChat] Browser back online after', offlineMs, 'ms');
+        this._publishActivityEvent('NETWORK_RESTORED', {
+            state: this._state,
+            offlineMs,
+            queuedChatStart: !!this._queuedChatStart
+        });
+
+        if (this._greetingWatcher?.resume) {
+            this._greetingWatcher.resume();
+        }
+
+        // Deliver what was sent from the welcome composer while offline
+        // (before the API is ready, onEmbeddedMessagingReady picks it up instead)
+        if (this._queuedChatStart && this._isApiReady()) {
+            console.log('[AgentforceChat] Processing chat start queued while offline');
+            const event = this._queuedChatStart;
+            this._queuedChatStart = null;
+            this._handleChatStart(event);
+        }
+    }
+
+    // ==================== HTTP BEACON ====================
+
+    /**
+     * Start the HTTP event sink (see c/agentforceChatBeacon) - queued events from
+     * earlier pages are picked up from sessionStorage
+     */
+    _startBeacon() {
+        if (this._beacon || !this._beaconConfig) {
+            return;
+        }
+        console.log('[AgentforceChat] Forwarding activity events to:', this._beaconConfig.endpoint);
+        this._beacon = createBeaconForwarder(this._beaconConfig);
+    }
+
+    // ==================== WINDOW API ====================
+
+    /**
+     * Back window.AgentforceChat with this instance (see c/agentforceChatWindowApi)
+     */
+    _installWindowApi() {
+        this._windowApiController = {
+            isReady: () => this._isApiReady(),
+            open: (options) => this.startConversation(options),
+            send: (text) => this.sendMessage(text),
+            end: () => this.endConversation(),
+            getState: () => this._state
+        };
+        installWindowApi(this._windowApiController);
+    }
+
+    // ==================== COMMANDS ====================
+
+    // How long commands wait for Embedded Service before rejecting
+    static COMMAND_TIMEOUT_MS = 30000;
+    // Longer than the greeting watcher's own retry budget, which ends in ERROR
+    static CONVERSATION_TIMEOUT_MS = 90000;
+
+    /**
+     * Resolve once check() returns true, reject if it returns an Error or time runs out
+     * Checked immediately, then every 100ms (state changes happen in ES callbacks)
+     */
+    _waitFor(check, timeoutMs = AgentforceChat.COMMAND_TIMEOUT_MS, description = 'chat') {
+        return new Promise((resolve, reject) => {
+            const initial = check();
+            if (initial instanceof Error) {
+                reject(initial);
+                return;
+            }
+            if (initial) {
+                resolve();
+                return;
+            }
+
+            const startTime = Date.now();
+            const waiter = {};
+            waiter.settle = (error) => {
+                clearInterval(waiter.interval);
+                this._commandWaiters.delete(waiter);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            waiter.interval = setInterval(() => {
+                const result = check();
+                if (result instanceof Error) {
+                    waiter.settle(result);
+                } else if (result) {
+                    waiter.settle();
+                } else if (Date.now() - startTime > timeoutMs) {
+                    waiter.settle(new Error(`Timed out waiting for ${description}`));
+                }
+            }, 100);
+            this._commandWaiters.add(waiter);
+        });
+    }
+
+    _rejectCommandWaiters(error) {
+        [...this._commandWaiters].forEach(waiter => waiter.settle(error));
+    }
+
+    /**
+     * Wait until the Embedded Service API can take commands
+     */
+    _whenApiReady() {
+        return this._waitFor(() => {
+            if (this._isInState(AgentforceChat.STATES.ERROR)) {
+                return new Error('Embedded Service failed to initialize');
+            }
+            return this._isApiReady() && !!window.embeddedservice_bootstrap?.utilAPI;
+        }, AgentforceChat.COMMAND_TIMEOUT_MS, 'Embedded Service to be ready');
+    }
+
+    /**
+     * Wait for the conversation to be ACTIVE with no queued first message
+     */
+    _whenConversationActive() {
+        const { ACTIVE, CONNECTING } = AgentforceChat.STATES;
+        return this._waitFor(() => {
+            if (this._isInState(ACTIVE)) {
+                return this._pendingMessage === null;
+            }
+            return this._isInState(CONNECTING) ? false : new Error(`Conversation did not start (${this._state})`);
+        }, AgentforceChat.CONVERSATION_TIMEOUT_MS, 'the conversation to start');
+    }
+
     // ==================== PUBLIC API ====================
 
     @api
@@ -1998,6 +3404,217 @@ export default class AgentforceChat extends LightningElement {
 
     @api
     isInitialized() {
-        return this._bootstrapInitialized;
+        return !this._isInState(AgentforceChat.STATES.IDLE, AgentforceChat.STATES.ERROR);
+    }
+
+    /**
+     * Current conversation lifecycle state (one of AgentforceChat.STATES)
+     */
+    @api
+    getState() {
+        return this._state;
+    }
+
+    /**
+     * Send a message - starts a conversation first if none is active
+     * @returns {Promise} Resolves once Embedded Service has sent the message
+     */
+    @api
+    sendMessage(text) {
+        const message = typeof text === 'string' ? text.trim() : '';
+        if (!message) {
+            return Promise.reject(new Error('sendMessage requires a non-empty message'));
+        }
+
+        return this._whenApiReady().then(() => {
+            if (!this._isInState(AgentforceChat.STATES.CONNECTING, AgentforceChat.STATES.ACTIVE)) {
+                return this.startConversation({ message });
+            }
+            // A conversation is starting - wait for its greeting (and first message) before sending
+            return this._whenConversationActive().then(() => {
+                this._pendingMessage = message;
+                return this._sendPendingMessage();
+            });
+        }).then(() => this.getSessionInfo());
+    }
+
+    /**
+     * Start a conversation the same way the inline container's welcome screen does
+     * @param {Object} options
+     * @param {string} options.message - First message, sent once the agent greets
+     * @param {Object} options.context - Extra hidden pre-chat fields ({ fieldName: value })
+     * @returns {Promise<Object>} Resolves with getSessionInfo() once the conversation is active
+     */
+    @api
+    startConversation({ message, context } = {}) {
+        return this._whenApiReady().then(() => {
+            this._prechatContext = context && typeof context === 'object' ? { ...context } : {};
+
+            // Already talking - just deliver the message
+            if (this._isInState(AgentforceChat.STATES.CONNECTING, AgentforceChat.STATES.ACTIVE)) {
+                this._applyHiddenPrechatFields('start_conversation');
+                return message ? this.sendMessage(message) : this._whenConversationActive();
+            }
+
+            if (this._isOfflineBlocked() && !this._isConversationMaximized()) {
+                throw new Error('Chat is offline outside business hours');
+            }
+
+            this._handleChatStart({ detail: { message: message || undefined } });
+            return this._whenConversationActive();
+        }).then(() => this.getSessionInfo());
+    }
+
+    /**
+     * End the current conversation - the next start opens a fresh one
+     * Embedded Service has no end API on Agentforce, so this resets our side (inline
+     * container back to its welcome screen) and marks the conversation ENDED.
+     * @returns {Promise<Object>} Resolves with getSessionInfo()
+     */
+    @api
+    endConversation() {
+        const { CONNECTING, ACTIVE, ENDED } = AgentforceChat.STATES;
+        const hadConversation = this._isInState(CONNECTING, ACTIVE) || this._isConversationMaximized();
+        if (this._isInState(CONNECTING, ACTIVE)) {
+            this._endChatAndReset('api', 'api_end');
+        }
+        if (hadConversation && this._isApiReady() && !this._isInState(ENDED)) {
+            this._transitionTo(ENDED, 'api_end');
+        }
+        return this.getSessionInfo();
+    }
+
+    /**
+     * Minimize the chat - hands a projected chat off to the floating FAB, keeping the
+     * conversation (switchToInline() brings it back; endConversation() ends it)
+     * @returns {Promise<Object>} Resolves with getSessionInfo()
+     */
+    @api
+    minimize() {
+        if (!this._projectionComplete) {
+            return Promise.reject(new Error('Embedded Service cannot minimize the floating chat programmatically'));
+        }
+
+        this._switchToFabMode();
+        this._publishActivityEvent('WINDOW_MINIMIZED', { source: 'api' });
+        return this.getSessionInfo();
+    }
+
+    /**
+     * Open the chat window (projected into the inline container when there is one)
+     * @returns {Promise<Object>} Resolves with getSessionInfo() once launchChat() completes
+     */
+    @api
+    maximize() {
+        return this._whenApiReady().then(() => {
+            if (this.hasInlineContainer && !this._inFabModeOverride) {
+                const container = this._getActiveContainer();
+                if (container?.hideWelcome) {
+                    container.hideWelcome();
+                }
+                this._projectChatToContainer();
+            }
+            return Promise.resolve(window.embeddedservice_bootstrap.utilAPI.launchChat());
+        }).then(() => this.getSessionInfo());
+    }
+
+    /**
+     * Move the chat back into the inline container (undo switchToFab / FAB minimize)
+     * @returns {Promise<Object>} Resolves with getSessionInfo() once the chat is projected
+     */
+    @api
+    switchToInline() {
+        this._inFabModeOverride = false;
+        getContainers().forEach(container => {
+            if (container.element && container.element.style.display === 'none') {
+                container.element.style.display = '';
+            }
+        });
+
+        if (!this.hasInlineContainer) {
+            return Promise.reject(new Error('No visible inline container on this page'));
+        }
+
+        this._containerElement = null;
+        this._projectionComplete = false;
+        this._projectionAttempts = 0;
+        const hasConversation = this._hasActiveConversation();
+        this._updateFabVisibility(!this._getActiveContainer()?.external || hasConversation);
+
+        if (hasConversation) {
+            const container = this._getActiveContainer();
+            if (container?.hideWelcome) {
+                container.hideWelcome();
+            }
+            this._projectChatToContainer();
+            return this._waitFor(() => this._projectionComplete, AgentforceChat.COMMAND_TIMEOUT_MS, 'projection')
+                .then(() => this.getSessionInfo());
+        }
+
+        // No conversation yet - the container shows its welcome screen (external: the button)
+        return this.getSessionInfo();
+    }
+
+    /**
+     * Move the chat out of the inline container into the floating FAB
+     * @returns {Promise<Object>} Resolves with getSessionInfo()
+     */
+    @api
+    switchToFab() {
+        this._switchToFabMode();
+        return this.getSessionInfo();
+    }
+
+    /**
+     * Snapshot of the current session
+     * @returns {Promise<Object>} { sessionId, pageView, state, messageCount, displayMode, container, language, available, online }
+     */
+    @api
+    getSessionInfo() {
+        const container = this._projectionComplete ? this._getActiveContainer() : null;
+        return Promise.resolve({
+            sessionId: this._sessionId,
+            pageView: this._pageView,
+            state: this._state,
+            messageCount: this._messageCount,
+            displayMode: container ? 'inline' : 'fab',
+            container: container ? (container.name || container.id) : null,
+            language: window.embeddedservice_bootstrap?.settings?.language || null,
+            available: this._availability.available,
+            online: this._isOnline
+        });
+    }
+
+    /**
+     * Messages recorded in the local transcript (most recent conversation, oldest first)
+     * Empty unless the transcript is enabled in the CPE
+     * @returns {Promise<Array>} [{ timestamp, role ('user' | 'agent' | 'system'), sender, text }]
+     */
+    @api
+    getTranscript() {
+        return Promise.resolve(getTranscript());
+    }
+
+    /**
+     * Throw away the current conversation and Embedded Service state, back to a fresh start
+     * @returns {Promise<Object>} Resolves with getSessionInfo() once Embedded Service is ready again
+     */
+    @api
+    reset() {
+        const { CONNECTING, ACTIVE } = AgentforceChat.STATES;
+        if (this._isInState(CONNECTING, ACTIVE)) {
+            this._endChatAndReset('api', 'api_reset');
+        } else {
+            const container = this._getActiveContainer();
+            if (container?.reset) {
+                container.reset();
+            }
+        }
+
+        this._prechatContext = {};
+        if (this._isApiReady()) {
+            this._resetForNewConversation();
+        }
+        return this._whenApiReady().then(() => this.getSessionInfo());
     }
 }
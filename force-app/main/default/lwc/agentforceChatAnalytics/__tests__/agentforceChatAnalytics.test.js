@@ -0,0 +1,128 @@
+import { ANALYTICS_EVENT_TYPES, createAnalyticsForwarder, defaultEventName } from 'c/agentforceChatAnalytics';
+
+describe('c-agentforce-chat-analytics', () => {
+    afterEach(() => {
+        delete window.dataLayer;
+        delete window._satellite;
+        delete window.myAnalytics;
+        jest.restoreAllMocks();
+    });
+
+    it('derives the default event name from the event type', () => {
+        expect(defaultEventName('MESSAGE_SENT')).toBe('agentforce_message_sent');
+    });
+
+    it('lists each event type once', () => {
+        expect(new Set(ANALYTICS_EVENT_TYPES).size).toBe(ANALYTICS_EVENT_TYPES.length);
+        expect(ANALYTICS_EVENT_TYPES).toContain('SESSION_STARTED');
+    });
+
+    it('is disabled and silent without adapters', () => {
+        const forwarder = createAnalyticsForwarder({});
+        expect(forwarder.enabled).toBe(false);
+        forwarder.track('MESSAGE_SENT', 's1', {});
+        expect(window.dataLayer).toBeUndefined();
+    });
+
+    describe('dataLayer', () => {
+        it('pushes the event with the session and data', () => {
+            const forwarder = createAnalyticsForwarder({ analyticsDataLayerEnabled: true });
+            expect(forwarder.enabled).toBe(true);
+            forwarder.track('MESSAGE_SENT', 's1', { length: 12 });
+            expect(window.dataLayer).toEqual([
+                { event: 'agentforce_message_sent', eventType: 'MESSAGE_SENT', sessionId: 's1', length: 12 }
+            ]);
+        });
+
+        it('appends to an existing dataLayer', () => {
+            window.dataLayer = [{ event: 'page_view' }];
+            createAnalyticsForwarder({ analyticsDataLayerEnabled: true }).track('FAB_CLICKED', 's1');
+            expect(window.dataLayer).toHaveLength(2);
+        });
+    });
+
+    describe('Adobe Launch', () => {
+        it('calls _satellite.track', () => {
+            window._satellite = { track: jest.fn() };
+            createAnalyticsForwarder({ analyticsAdobeEnabled: true }).track('SESSION_ENDED', 's1', { reason: 'closed' });
+            expect(window._satellite.track).toHaveBeenCalledWith('agentforce_session_ended', {
+                eventType: 'SESSION_ENDED',
+                sessionId: 's1',
+                reason: 'closed'
+            });
+        });
+
+        it('skips events until Launch has loaded', () => {
+            const forwarder = createAnalyticsForwarder({ analyticsAdobeEnabled: true });
+            expect(() => forwarder.track('SESSION_ENDED', 's1')).not.toThrow();
+        });
+    });
+
+    describe('callback', () => {
+        it('calls a nested global function with its owner as this', () => {
+            window.myAnalytics = {
+                events: [],
+                trackChat(eventName, properties) {
+                    this.events.push([eventName, properties.eventType]);
+                }
+            };
+            createAnalyticsForwarder({
+                analyticsCallbackEnabled: true,
+                analyticsCallbackName: ' myAnalytics . trackChat '
+            }).track('LINK_CLICK', 's1');
+            expect(window.myAnalytics.events).toEqual([['agentforce_link_click', 'LINK_CLICK']]);
+        });
+
+        it('needs a callback name to be enabled', () => {
+            expect(createAnalyticsForwarder({ analyticsCallbackEnabled: true }).enabled).toBe(false);
+        });
+
+        it('ignores a path that is not a function', () => {
+            window.myAnalytics = { trackChat: 'nope' };
+            const forwarder = createAnalyticsForwarder({ analyticsCallbackEnabled: true, analyticsCallbackName: 'myAnalytics.trackChat' });
+            expect(() => forwarder.track('LINK_CLICK', 's1')).not.toThrow();
+        });
+    });
+
+    it('uses mapped event names and trims them', () => {
+        const forwarder = createAnalyticsForwarder({
+            analyticsDataLayerEnabled: true,
+            analyticsEventMappings: [
+                { id: '1', eventType: 'SESSION_STARTED', eventName: ' chat_start ' },
+                { id: '2', eventType: 'SESSION_ENDED', eventName: '' },
+                null
+            ]
+        });
+        forwarder.track('SESSION_STARTED', 's1');
+        forwarder.track('SESSION_ENDED', 's1');
+        expect(window.dataLayer.map(entry => entry.event)).toEqual(['chat_start', 'agentforce_session_ended']);
+    });
+
+    it('only sends allowlisted data properties', () => {
+        const forwarder = createAnalyticsForwarder({
+            analyticsDataLayerEnabled: true,
+            analyticsPropertyAllowlist: 'reason, missing'
+        });
+        forwarder.track('SESSION_ENDED', 's1', { reason: 'closed', message: 'private text' });
+        expect(window.dataLayer[0]).toEqual({
+            event: 'agentforce_session_ended',
+            eventType: 'SESSION_ENDED',
+            sessionId: 's1',
+            reason: 'closed'
+        });
+    });
+
+    it('keeps sending to other adapters when one throws', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        window.dataLayer = {
+            push: () => {
+                throw new Error('broken tag');
+            }
+        };
+        window._satellite = { track: jest.fn() };
+        createAnalyticsForwarder({ analyticsDataLayerEnabled: true, analyticsAdobeEnabled: true }).track('FAB_CLICKED', 's1');
+
+        expect(window._satellite.track).toHaveBeenCalledWith('agentforce_fab_clicked', expect.any(Object));
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('"dataLayer" failed'), expect.any(Error));
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * @description Agentforce Chat - Analytics Adapters
+ * Forwards activity events (the ones published on AgentforceSessionChannel) to
+ * marketing tools that live on the page:
+ *
+ * - dataLayer: window.dataLayer.push({ event, ...properties })   (GTM / GA4)
+ * - adobe:     window._satellite.track(event, properties)         (Adobe Launch)
+ * - callback:  window.<path>(event, properties)                   (any global function)
+ *
+ * Configured from agentforceChatCPE:
+ *   analyticsDataLayerEnabled / analyticsAdobeEnabled / analyticsCallbackEnabled - per-adapter toggle
+ *   analyticsCallbackName      - global function path, e.g. 'myAnalytics.trackChat'
+ *   analyticsEventMappings     - [{ id, eventType, eventName }] (unmapped → agentforce_<event_type>)
+ *   analyticsPropertyAllowlist - comma-separated event data properties to send (empty = all)
+ */
+
+export const ANALYTICS_EVENT_TYPES = [
+    'SESSION_STARTED',
+    'SESSION_ENDED',
+    'MESSAGE_SENT',
+    'MESSAGE_RECEIVED',
+    'LINK_CLICK',
+    'WINDOW_MINIMIZED',
+    'WINDOW_MAXIMIZED',
+    'WINDOW_CLOSED',
+    'FAB_CLICKED',
+    'STARTER_CLICKED',
+    'ATTACHMENT_SENT',
+    'ATTACHMENT_FAILED',
+    'MESSAGE_SEND_FAILED',
+    'STATE_CHANGED',
+    'AVAILABILITY_CHANGED',
+    'NETWORK_OFFLINE',
+    'NETWORK_RESTORED',
+    'PERF_METRIC',
+    'PERF_SUMMARY'
+];
+
+/**
+ * Default analytics event name (MESSAGE_SENT → agentforce_message_sent)
+ */
+export function defaultEventName(eventType) {
+    return 'agentforce_' + String(eventType).toLowerCase();
+}
+
+function resolveGlobal(path) {
+    const parts = String(path || '').split('.').map(part => part.trim()).filter(Boolean);
+    let owner = window;
+    let value = window;
+    for (const part of parts) {
+        owner = value;
+        value = value?.[part];
+    }
+    return parts.length && typeof value === 'function' ? { fn: value, owner } : null;
+}
+
+const ADAPTERS = [
+    {
+        key: 'dataLayer',
+        isEnabled: config => config.analyticsDataLayerEnabled === true,
+        send: (eventName, properties) => {
+            window.dataLayer = window.dataLayer || [];
+            window.dataLayer.push({ event: eventName, ...properties });
+        }
+    },
+    {
+        key: 'adobe',
+        isEnabled: config => config.analyticsAdobeEnabled === true,
+        send: (eventName, properties) => {
+            // Launch may load after the chat - skip until it's there
+            if (typeof window._satellite?.track === 'function') {
+                window._satellite.track(eventName, properties);
+            }
+        }
+    },
+    {
+        key: 'callback',
+        isEnabled: config => config.analyticsCallbackEnabled === true && !!config.analyticsCallbackName,
+        send: (eventName, properties, config) => {
+            const callback = resolveGlobal(config.analyticsCallbackName);
+            if (callback) {
+                callback.fn.call(callback.owner, eventName, properties);
+            }
+        }
+    }
+];
+
+/**
+ * Build a forwarder from the CPE config
+ * @returns {{ enabled: boolean, track: Function }} track(eventType, sessionId, data) sends to every enabled adapter
+ */
+export function createAnalyticsForwarder(config = {}) {
+    const adapters = ADAPTERS.filter(adapter => adapter.isEnabled(config));
+
+    const eventNames = {};
+    (config.analyticsEventMappings || []).forEach(mapping => {
+        if (mapping?.eventType && mapping.eventName) {
+            eventNames[mapping.eventType] = mapping.eventName.trim();
+        }
+    });
+
+    const allowlist = String(config.analyticsPropertyAllowlist || '')
+        .split(',')
+        .map(property => property.trim())
+        .filter(Boolean);
+
+    const pickProperties = (data) => {
+        if (!allowlist.length) {
+            return { ...data };
+        }
+        return allowlist.reduce((picked, property) => {
+            if (data[property] !== undefined) {
+                picked[property] = data[property];
+            }
+            return picked;
+        }, {});
+    };
+
+    const track = (eventType, sessionId, data = {}) => {
+        if (!adapters.length) {
+            return;
+        }
+
+        const eventName = eventNames[eventType] || defaultEventName(eventType);
+        const properties = {
+            eventType: eventType,
+            sessionId: sessionId,
+            ...pickProperties(data || {})
+        };
+
+        adapters.forEach(adapter => {
+            // One broken tag must not stop the others (or the chat)
+            try {
+                adapter.send(eventName, properties, config);
+            } catch (error) {
+                console.error(`[AgentforceChat] Analytics adapter "${adapter.key}" failed:`, error);
+            }
+        });
+    };
+
+    return { enabled: adapters.length > 0, track };
+}
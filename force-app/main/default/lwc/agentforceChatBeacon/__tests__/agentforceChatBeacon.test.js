@@ -0,0 +1,202 @@
+import { createBeaconForwarder } from 'c/agentforceChatBeacon';
+
+const STORAGE_KEY = 'agentforce_beacon_queue';
+const ENDPOINT = 'https://collector.example.com/events';
+
+const event = (n) => ({ sessionId: 's1', eventType: 'MESSAGE_SENT', timestamp: n, data: '{}' });
+const storedQueue = () => JSON.parse(sessionStorage.getItem(STORAGE_KEY) || '[]');
+const sentEvents = (call) => JSON.parse(call[1].body).events;
+const beaconEvents = () => navigator.sendBeacon.mock.calls.map(([, blob]) => JSON.parse(blob.parts[0]).events);
+
+// jsdom can't read Blob contents synchronously - keep the parts instead
+class TestBlob {
+    constructor(parts, options = {}) {
+        this.parts = parts;
+        this.type = options.type;
+    }
+}
+
+// Let promise chains (fetch → then → catch → finally) run - timers are faked, microtasks aren't
+const settle = () => Array.from({ length: 10 }).reduce(chain => chain.then(() => undefined), Promise.resolve());
+
+/**
+ * fetch stand-in whose responses the test resolves one by one
+ */
+function deferredFetch() {
+    const pending = [];
+    const fetchMock = jest.fn(() => new Promise((resolve, reject) => pending.push({ resolve, reject })));
+    fetchMock.respond = (ok = true) => pending.shift().resolve({ ok, status: ok ? 200 : 500 });
+    fetchMock.fail = (error = new Error('network down')) => pending.shift().reject(error);
+    return fetchMock;
+}
+
+describe('c-agentforce-chat-beacon', () => {
+    let forwarder;
+    const NativeBlob = global.Blob;
+
+    beforeEach(() => {
+        global.Blob = TestBlob;
+        jest.useFakeTimers();
+        sessionStorage.clear();
+        global.fetch = deferredFetch();
+        navigator.sendBeacon = jest.fn(() => true);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        if (forwarder) {
+            forwarder.destroy();
+            forwarder = null;
+        }
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        global.Blob = NativeBlob;
+        delete global.fetch;
+        delete navigator.sendBeacon;
+    });
+
+    it('sends a batch once batchSize events are queued', async () => {
+        forwarder = createBeaconForwarder({ endpoint: ENDPOINT, batchSize: 2 });
+        forwarder.enqueue(event(1));
+        expect(fetch).not.toHaveBeenCalled();
+        expect(storedQueue()).toHaveLength(1);
+
+        forwarder.enqueue(event(2));
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(fetch.mock.calls[0][0]).toBe(ENDPOINT);
+        expect(sentEvents(fetch.mock.calls[0])).toEqual([event(1), event(2)]);
+
+        fetch.respond();
+        await settle();
+        expect(sessionStorage.getItem(STORAGE_KEY)).toBeNull();
+    });
+
+    it('sends a partial batch after the flush interval', () => {
+        forwarder = createBeaconForwarder({ endpoint: ENDPOINT, batchSize: 20, flushInterval: 5 });
+        forwarder.enqueue(event(1));
+
+        jest.advanceTimersByTime(4999);
+        expect(fetch).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1);
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps the in-flight batch out of storage and keeps events queued during the request', async () => {
+        forwarder = createBeaconForwarder({ endpoint: ENDPOINT, batchSize: 2 });
+        forwarder.enqueue(event(1));
+        forwarder.enqueue(event(2));
+        expect(storedQueue()).toEqual([]);
+
+        forwarder.enqueue(event(3));
+        expect(storedQueue()).toEqual([event(3)]);
+
+        fetch.respond();
+        await settle();
+        expect(storedQueue()).toEqual([event(3)]);
+    });
+
+    it('puts a failed batch back ahead of newer events and retries with backoff', async () => {
+        forwarder = createBeaconForwarder({ endpoint: ENDPOINT, batchSize: 2, maxRetries: 3 });
+        forwarder.enqueue(event(1));
+        forwarder.enqueue(event(2));
+        forwarder.enqueue(event(3));
+
+        fetch.respond(false);
+        await settle();
+        expect(storedQueue()).toEqual([event(1), event(2), event(3)]);
+
+        jest.advanceTimersByTime(999);
+        expect(fetch).toHaveBeenCalledTimes(1);
+        jest.advanceTimersByTime(1);
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(sentEvents(fetch.mock.calls[1])).toEqual([event(1), event(2)]);
+
+        fetch.fail();
+        await settle();
+        // Second failure waits twice as long
+        jest.advanceTimersByTime(1999);
+        expect(fetch).toHaveBeenCalledTimes(2);
+        jest.advanceTimersByTime(1);
+        expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('drops a batch after maxRetries failures', async () => {
+        forwarder = createBeaconForwarder({ endpoint: ENDPOINT, batchSize: 1, maxRetries: 0 });
+        forwarder.enqueue(event(1));
+
+        fetch.respond(false);
+        await settle();
+        expect(sessionStorage.getItem(STORAGE_KEY)).toBeNull();
+        expect(console.error).toHaveBeenCalled();
+    });
+
+    it('hands only queued events to sendBeacon on pagehide while a batch is in flight', async () => {
+        forwarder = createBeaconForwarder({ endpoint: ENDPOINT, batchSize: 2 });
+        forwarder.enqueue(event(1));
+        forwarder.enqueue(event(2));
+        forwarder.enqueue(event(3));
+
+        window.dispatchEvent(new CustomEvent('pagehide'));
+        expect(beaconEvents()).toEqual([[event(3)]]);
+        const [url, blob] = navigator.sendBeacon.mock.calls[0];
+        expect(url).toBe(ENDPOINT);
+        expect(blob.type).toBe('text/plain;charset=UTF-8');
+        expect(sessionStorage.getItem(STORAGE_KEY)).toBeNull();
+
+        // The in-flight batch completing must not bring anything back
+        fetch.respond();
+        await settle();
+        expect(sessionStorage.getItem(STORAGE_KEY)).toBeNull();
+    });
+
+    it('keeps events sendBeacon refused, in order', () => {
+        // Stored queue - the resume flush only runs once timers advance
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify([event(1), event(2), event(3)]));
+        forwarder = createBeaconForwarder({ endpoint: ENDPOINT, batchSize: 2 });
+        navigator.sendBeacon = jest.fn()
+            .mockReturnValueOnce(false)
+            .mockReturnValueOnce(true);
+
+        window.dispatchEvent(new CustomEvent('pagehide'));
+        expect(beaconEvents()).toEqual([[event(1), event(2)], [event(3)]]);
+        expect(storedQueue()).toEqual([event(1), event(2)]);
+    });
+
+    it('leaves storage to the next instance after destroy', async () => {
+        forwarder = createBeaconForwarder({ endpoint: ENDPOINT, batchSize: 2 });
+        forwarder.enqueue(event(1));
+        forwarder.enqueue(event(2));
+        forwarder.destroy();
+
+        // A newer instance (SPA navigation) takes over the stored queue
+        const next = createBeaconForwarder({ endpoint: ENDPOINT, batchSize: 10, flushInterval: 60 });
+        next.enqueue(event(3));
+
+        fetch.fail();
+        await settle();
+        expect(storedQueue()).toEqual([event(3)]);
+
+        // pagehide is no longer handled by the destroyed instance
+        window.dispatchEvent(new CustomEvent('pagehide'));
+        expect(beaconEvents()).toEqual([[event(3)]]);
+        next.destroy();
+    });
+
+    it('resumes a queue stored by a previous instance', () => {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify([event(1)]));
+        forwarder = createBeaconForwarder({ endpoint: ENDPOINT });
+
+        jest.advanceTimersByTime(0);
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(sentEvents(fetch.mock.calls[0])).toEqual([event(1)]);
+    });
+
+    it('ignores events after destroy', () => {
+        forwarder = createBeaconForwarder({ endpoint: ENDPOINT, batchSize: 1 });
+        forwarder.destroy();
+        forwarder.enqueue(event(1));
+        expect(fetch).not.toHaveBeenCalled();
+        expect(sessionStorage.getItem(STORAGE_KEY)).toBeNull();
+    });
+});
@@ -0,0 +1,211 @@
+/**
+ * @description Agentforce Chat - HTTP Beacon Forwarder
+ * POSTs activity events (the AgentforceSessionChannel payloads) to an endpoint in batches:
+ *
+ *   POST <endpoint>
+ *   { "events": [{ sessionId, eventType, timestamp, data }, ...], "sentAt": 1700000000000 }
+ *
+ * - A batch is sent when batchSize events are queued or every flushInterval seconds
+ * - Failed batches are retried with exponential backoff (1s, 2s, 4s ... max 60s), then dropped
+ * - On pagehide the queued events go out with navigator.sendBeacon
+ * - The queue lives in sessionStorage, so events survive SPA navigation (component
+ *   re-creation) and reloads until the endpoint accepts them
+ * - The batch being POSTed is held apart from the queue: it is never persisted or handed
+ *   to sendBeacon (the keepalive fetch outlives the page), so nothing is sent twice
+ *
+ * The endpoint must be a CSP Trusted URL in Experience Builder and accept CORS requests.
+ */
+
+const STORAGE_KEY = 'agentforce_beacon_queue';
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60000;
+// Keep sessionStorage bounded if the endpoint is down for a long time
+const MAX_QUEUE_LENGTH = 500;
+
+export const BEACON_DEFAULTS = {
+    batchSize: 20,
+    flushInterval: 10, // seconds
+    maxRetries: 5
+};
+
+function loadQueue() {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        console.warn('[AgentforceChat] Ignoring unreadable beacon queue:', error);
+        return [];
+    }
+}
+
+function trimQueue(queue) {
+    return queue.length > MAX_QUEUE_LENGTH ? queue.slice(queue.length - MAX_QUEUE_LENGTH) : queue;
+}
+
+function saveQueue(queue) {
+    try {
+        if (queue.length) {
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+        } else {
+            sessionStorage.removeItem(STORAGE_KEY);
+        }
+    } catch (error) {
+        console.warn('[AgentforceChat] Could not persist beacon queue:', error);
+    }
+}
+
+/**
+ * Start forwarding to an endpoint
+ * @param {Object} options - { endpoint, batchSize, flushInterval (seconds), maxRetries }
+ * @returns {{ enqueue: Function, flush: Function, destroy: Function }}
+ */
+export function createBeaconForwarder(options) {
+    const endpoint = options.endpoint;
+    const batchSize = Math.max(1, parseInt(options.batchSize, 10) || BEACON_DEFAULTS.batchSize);
+    const flushIntervalMs = Math.max(1, parseInt(options.flushInterval, 10) || BEACON_DEFAULTS.flushInterval) * 1000;
+    const configuredRetries = parseInt(options.maxRetries, 10);
+    const maxRetries = Number.isNaN(configuredRetries) ? BEACON_DEFAULTS.maxRetries : Math.max(0, configuredRetries);
+
+    // Events stay in the queue (and storage) until they are sent
+    let queue = loadQueue();
+    let inFlight = null; // Batch currently being POSTed - not in queue or storage
+    let retries = 0;
+    let flushTimer = null;
+    let destroyed = false;
+
+    const scheduleFlush = (delay) => {
+        if (destroyed || flushTimer) {
+            return;
+        }
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flush();
+        }, delay);
+    };
+
+    const buildBody = (events) => JSON.stringify({ events, sentAt: Date.now() });
+
+    function flush() {
+        if (destroyed || inFlight || !queue.length) {
+            return Promise.resolve();
+        }
+
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+
+        const batch = queue.splice(0, batchSize);
+        inFlight = batch;
+        saveQueue(queue);
+
+        return fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: buildBody(batch),
+            credentials: 'omit',
+            keepalive: true
+        })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Beacon endpoint responded ${response.status}`);
+                }
+                retries = 0;
+            })
+            .catch(error => {
+                retries++;
+                if (retries > maxRetries) {
+                    console.error('[AgentforceChat] Dropping', batch.length, 'beacon event(s) after', maxRetries, 'retries:', error);
+                    retries = 0;
+                } else {
+                    console.warn('[AgentforceChat] Beacon batch failed (retry', retries, 'of', maxRetries, '):', error);
+                    if (!destroyed) {
+                        // Back to the front of the queue, ahead of anything enqueued meanwhile
+                        queue = trimQueue(batch.concat(queue));
+                    }
+                }
+            })
+            .finally(() => {
+                inFlight = null;
+                // A newer instance owns the stored queue now
+                if (destroyed) {
+                    return;
+                }
+                saveQueue(queue);
+                if (!queue.length) {
+                    return;
+                }
+                // More to send: right away after a success, after a backoff after a failure.
+                // Replaces any interval flush an enqueue scheduled while the batch was in flight.
+                if (flushTimer) {
+                    clearTimeout(flushTimer);
+                    flushTimer = null;
+                }
+                const delay = retries
+                    ? Math.min(BACKOFF_BASE_MS * Math.pow(2, retries - 1), BACKOFF_MAX_MS)
+                    : (queue.length >= batchSize ? 0 : flushIntervalMs);
+                scheduleFlush(delay);
+            });
+    }
+
+    const enqueue = (event) => {
+        if (destroyed) {
+            return;
+        }
+        queue.push(event);
+        queue = trimQueue(queue);
+        saveQueue(queue);
+
+        if (queue.length >= batchSize && !retries) {
+            flush();
+        } else {
+            scheduleFlush(flushIntervalMs);
+        }
+    };
+
+    /**
+     * Page is going away - hand the queue to sendBeacon (fire-and-forget)
+     * The in-flight batch is left to its keepalive fetch
+     * text/plain keeps the request CORS-simple, which sendBeacon requires
+     */
+    const handlePageHide = () => {
+        if (!queue.length || typeof navigator.sendBeacon !== 'function') {
+            return;
+        }
+
+        const sent = new Set();
+        for (let i = 0; i < queue.length; i += batchSize) {
+            const batch = queue.slice(i, i + batchSize);
+            const blob = new Blob([buildBody(batch)], { type: 'text/plain;charset=UTF-8' });
+            if (navigator.sendBeacon(endpoint, blob)) {
+                batch.forEach(event => sent.add(event));
+            }
+        }
+        queue = queue.filter(event => !sent.has(event));
+        saveQueue(queue);
+    };
+
+    window.addEventListener('pagehide', handlePageHide);
+
+    const destroy = () => {
+        if (destroyed) {
+            return;
+        }
+        destroyed = true;
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        window.removeEventListener('pagehide', handlePageHide);
+        // Anything unsent stays in sessionStorage for the next instance
+        saveQueue(queue);
+    };
+
+    // Events persisted by a previous page/instance
+    if (queue.length) {
+        scheduleFlush(0);
+    }
+
+    return { enqueue, flush, destroy };
+}
@@ -0,0 +1,164 @@
+import {
+    getAvailability,
+    parseTime,
+    setCurrentAvailability,
+    getCurrentAvailability
+} from 'c/agentforceChatBusinessHours';
+
+// 2026-10-23 is a Friday
+const FRIDAY = '2026-10-23';
+const SATURDAY = '2026-10-24';
+
+const at = (isoUtc) => new Date(isoUtc);
+
+describe('c-agentforce-chat-business-hours', () => {
+    describe('parseTime', () => {
+        it('parses HH:MM and lightning-input time values', () => {
+            expect(parseTime('09:30')).toBe(570);
+            expect(parseTime('9:05')).toBe(545);
+            expect(parseTime('17:00:00.000')).toBe(1020);
+        });
+
+        it('rejects empty and out-of-range values', () => {
+            expect(parseTime('')).toBeNull();
+            expect(parseTime(null)).toBeNull();
+            expect(parseTime('24:00')).toBeNull();
+            expect(parseTime('12:60')).toBeNull();
+            expect(parseTime('noon')).toBeNull();
+        });
+    });
+
+    describe('weekly hours', () => {
+        const schedule = {
+            timezone: 'UTC',
+            weeklyHours: [
+                { id: 'a', day: 'fri', open: '09:00', close: '12:00' },
+                { id: 'b', day: 'fri', open: '13:00', close: '17:00' }
+            ],
+            holidays: []
+        };
+
+        it('is open inside a range and closed at the closing minute', () => {
+            expect(getAvailability(schedule, at(`${FRIDAY}T09:00:00Z`))).toEqual({ available: true, reason: 'open', holiday: null });
+            expect(getAvailability(schedule, at(`${FRIDAY}T12:00:00Z`)).available).toBe(false);
+        });
+
+        it('supports split shifts on the same day', () => {
+            expect(getAvailability(schedule, at(`${FRIDAY}T12:30:00Z`)).reason).toBe('closed');
+            expect(getAvailability(schedule, at(`${FRIDAY}T16:59:00Z`)).available).toBe(true);
+        });
+
+        it('is closed on days without hours', () => {
+            expect(getAvailability(schedule, at(`${SATURDAY}T10:00:00Z`)).available).toBe(false);
+        });
+
+        it('treats an empty schedule as closed', () => {
+            expect(getAvailability({ timezone: 'UTC' }, at(`${FRIDAY}T10:00:00Z`)).available).toBe(false);
+        });
+    });
+
+    describe('overnight ranges', () => {
+        const schedule = {
+            timezone: 'UTC',
+            weeklyHours: [{ id: 'a', day: 'fri', open: '22:00', close: '02:00' }],
+            holidays: []
+        };
+
+        it('is open before midnight on the range day', () => {
+            expect(getAvailability(schedule, at(`${FRIDAY}T23:30:00Z`)).available).toBe(true);
+            expect(getAvailability(schedule, at(`${FRIDAY}T01:00:00Z`)).available).toBe(false);
+        });
+
+        it('runs into the next morning until the closing time', () => {
+            expect(getAvailability(schedule, at(`${SATURDAY}T01:59:00Z`)).available).toBe(true);
+            expect(getAvailability(schedule, at(`${SATURDAY}T02:00:00Z`)).available).toBe(false);
+        });
+
+        it('keeps the previous night\'s shift on a holiday morning', () => {
+            const withHoliday = { ...schedule, holidays: [{ id: 'h', date: SATURDAY, name: 'Festival' }] };
+            expect(getAvailability(withHoliday, at(`${SATURDAY}T00:30:00Z`))).toEqual({ available: true, reason: 'open', holiday: 'Festival' });
+            expect(getAvailability(withHoliday, at(`${SATURDAY}T03:00:00Z`))).toEqual({ available: false, reason: 'holiday', holiday: 'Festival' });
+        });
+
+        it('drops the spillover when the shift day itself is a closed holiday', () => {
+            const withHoliday = { ...schedule, holidays: [{ id: 'h', date: FRIDAY }] };
+            expect(getAvailability(withHoliday, at(`${SATURDAY}T00:30:00Z`)).available).toBe(false);
+        });
+    });
+
+    describe('holidays', () => {
+        const schedule = {
+            timezone: 'UTC',
+            weeklyHours: [{ id: 'a', day: 'fri', open: '09:00', close: '17:00' }],
+            holidays: []
+        };
+
+        it('closes all day when no hours are set, reporting the name or date', () => {
+            const named = { ...schedule, holidays: [{ id: 'h', date: FRIDAY, name: 'Founders Day' }] };
+            expect(getAvailability(named, at(`${FRIDAY}T10:00:00Z`))).toEqual({ available: false, reason: 'holiday', holiday: 'Founders Day' });
+
+            const unnamed = { ...schedule, holidays: [{ id: 'h', date: FRIDAY }] };
+            expect(getAvailability(unnamed, at(`${FRIDAY}T10:00:00Z`)).holiday).toBe(FRIDAY);
+        });
+
+        it('replaces the weekly hours with its own range', () => {
+            const shortDay = { ...schedule, holidays: [{ id: 'h', date: FRIDAY, open: '10:00', close: '12:00' }] };
+            expect(getAvailability(shortDay, at(`${FRIDAY}T09:30:00Z`)).available).toBe(false);
+            expect(getAvailability(shortDay, at(`${FRIDAY}T11:00:00Z`)).available).toBe(true);
+            expect(getAvailability(shortDay, at(`${FRIDAY}T13:00:00Z`)).reason).toBe('holiday');
+        });
+
+        it('follows the overnight rules for ranges past midnight', () => {
+            const newYear = {
+                timezone: 'UTC',
+                weeklyHours: [],
+                holidays: [{ id: 'h', date: '2026-12-31', name: 'New Year\'s Eve', open: '20:00', close: '03:00' }]
+            };
+            expect(getAvailability(newYear, at('2026-12-31T21:00:00Z')).available).toBe(true);
+            expect(getAvailability(newYear, at('2027-01-01T01:00:00Z')).available).toBe(true);
+            expect(getAvailability(newYear, at('2027-01-01T04:00:00Z')).available).toBe(false);
+        });
+    });
+
+    describe('time zones', () => {
+        const schedule = {
+            timezone: 'America/New_York',
+            weeklyHours: [{ id: 'a', day: 'fri', open: '09:00', close: '17:00' }],
+            holidays: []
+        };
+
+        it('evaluates hours in the schedule\'s time zone', () => {
+            // 13:30 UTC is 09:30 in New York (EDT, UTC-4)
+            expect(getAvailability(schedule, at(`${FRIDAY}T13:30:00Z`)).available).toBe(true);
+            // 22:00 UTC is 18:00 in New York
+            expect(getAvailability(schedule, at(`${FRIDAY}T22:00:00Z`)).available).toBe(false);
+        });
+
+        it('uses the schedule\'s date when it differs from UTC', () => {
+            // 02:00 UTC Saturday is still Friday 22:00 in New York
+            const evening = { ...schedule, weeklyHours: [{ id: 'a', day: 'fri', open: '21:00', close: '23:00' }] };
+            expect(getAvailability(evening, at(`${SATURDAY}T02:00:00Z`)).available).toBe(true);
+        });
+
+        it('falls back to the visitor\'s time zone when the name is invalid', () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const invalid = { ...schedule, timezone: 'Not/AZone' };
+            expect(() => getAvailability(invalid, at(`${FRIDAY}T13:30:00Z`))).not.toThrow();
+            expect(warn).toHaveBeenCalled();
+            warn.mockRestore();
+        });
+    });
+
+    describe('shared availability', () => {
+        afterEach(() => {
+            setCurrentAvailability(null);
+        });
+
+        it('defaults to always available and stores what the core shares', () => {
+            expect(getCurrentAvailability()).toEqual({ available: true, reason: 'always' });
+            const offline = { available: false, reason: 'closed', mode: 'offline' };
+            setCurrentAvailability(offline);
+            expect(getCurrentAvailability()).toBe(offline);
+        });
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * @description Agentforce Chat - Business Hours
+ * Decides whether the chat is staffed right now, from the schedule configured in the
+ * agentforceChat CPE:
+ *
+ *   { timezone, weeklyHours: [{ id, day, open, close }], holidays: [{ id, date, name, open, close }] }
+ *
+ * - timezone: IANA name ('America/New_York'); empty or invalid = the visitor's time zone
+ * - weeklyHours: 'HH:MM' ranges per day ('sun' ... 'sat'). Several rows per day are allowed
+ *   (split shifts); a close at or before the open runs past midnight into the next day
+ * - holidays: 'YYYY-MM-DD' dates that replace that day's hours - closed all day when
+ *   open/close are empty, otherwise open for that range only (overnight ranges follow the
+ *   weekly rules). The previous day's overnight shift still runs into a holiday morning.
+ *
+ * The core component evaluates the schedule and shares the result here so inline
+ * containers that connect later start in the right state.
+ */
+
+export const OFFLINE_MODES = {
+    OFFLINE: 'offline',  // Offline copy instead of the composer (optional leave-a-message link)
+    BOT_ONLY: 'botOnly'  // Chat stays open with a notice - the agent can route on availability
+};
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const ALWAYS_AVAILABLE = { available: true, reason: 'always' };
+
+// Availability last shared by the core component (module state is page-wide)
+let currentAvailability = ALWAYS_AVAILABLE;
+
+/**
+ * 'HH:MM' (or the 'HH:MM:SS.sss' lightning-input type="time" returns) → minutes after midnight
+ */
+export function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(String(value || '').trim());
+    if (!match) {
+        return null;
+    }
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    return hours > 23 || minutes > 59 ? null : hours * 60 + minutes;
+}
+
+/**
+ * Weekday, date and time of day in the schedule's time zone
+ */
+function getZonedTime(date, timezone) {
+    const options = {
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    };
+
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-US', { ...options, timeZone: timezone || undefined }).formatToParts(date);
+    } catch (error) {
+        console.warn('[AgentforceChat] Invalid business hours time zone, using the visitor\'s:', timezone, error);
+        parts = new Intl.DateTimeFormat('en-US', options).formatToParts(date);
+    }
+
+    const values = Object.fromEntries(parts.map(part => [part.type, part.value]));
+    return {
+        dayIndex: WEEKDAYS.indexOf(values.weekday.toLowerCase().substring(0, 3)),
+        date: `${values.year}-${values.month}-${values.day}`,
+        minutes: (parseInt(values.hour, 10) % 24) * 60 + parseInt(values.minute, 10)
+    };
+}
+
+function isOvernight(open, close) {
+    return close <= open;
+}
+
+/**
+ * Is the time inside the range's own day (the part before midnight for overnight ranges)?
+ */
+function isWithinRange(minutes, range) {
+    const open = parseTime(range.open);
+    const close = parseTime(range.close);
+    if (open === null || close === null) {
+        return false;
+    }
+    return isOvernight(open, close) ? minutes >= open : minutes >= open && minutes < close;
+}
+
+/**
+ * Is the time inside the after-midnight part of the previous day's overnight range?
+ */
+function isWithinSpillover(minutes, range) {
+    const open = parseTime(range.open);
+    const close = parseTime(range.close);
+    return open !== null && close !== null && isOvernight(open, close) && minutes < close;
+}
+
+/**
+ * 'YYYY-MM-DD' of the day before
+ */
+function previousDate(date) {
+    const [year, month, day] = date.split('-').map(value => parseInt(value, 10));
+    return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().substring(0, 10);
+}
+
+function findHoliday(schedule, date) {
+    return (schedule?.holidays || []).find(entry => entry?.date === date) || null;
+}
+
+/**
+ * Ranges in effect on a day: the holiday's hours (none when closed all day) or the weekly hours
+ */
+function getRangesForDay(schedule, dayIndex, date) {
+    const holiday = findHoliday(schedule, date);
+    if (holiday) {
+        return parseTime(holiday.open) !== null && parseTime(holiday.close) !== null ? [holiday] : [];
+    }
+    return (schedule?.weeklyHours || []).filter(range => range?.day === WEEKDAYS[dayIndex]);
+}
+
+/**
+ * Availability at a point in time
+ * @returns {Object} { available, reason: 'open' | 'closed' | 'holiday', holiday }
+ */
+export function getAvailability(schedule, now = new Date()) {
+    const { dayIndex, date, minutes } = getZonedTime(now, schedule?.timezone);
+
+    // Yesterday's overnight shift counts even when today is a holiday
+    const available = getRangesForDay(schedule, dayIndex, date).some(range => isWithinRange(minutes, range)) ||
+        getRangesForDay(schedule, (dayIndex + 6) % 7, previousDate(date)).some(range => isWithinSpillover(minutes, range));
+
+    const holiday = findHoliday(schedule, date);
+    if (holiday) {
+        return { available, reason: available ? 'open' : 'holiday', holiday: holiday.name || date };
+    }
+    return { available, reason: available ? 'open' : 'closed', holiday: null };
+}
+
+/**
+ * Share the availability (and offline copy) the core component resolved
+ * @param {Object} availability - { available, reason, mode, title, message, leaveMessageUrl, leaveMessageLabel }
+ */
+export function setCurrentAvailability(availability) {
+    currentAvailability = availability || ALWAYS_AVAILABLE;
+}
+
+export function getCurrentAvailability() {
+    return currentAvailability;
+}
@@ -1,4 +1,26 @@
 import { LightningElement, api, track } from 'lwc';
+import { EMBEDDED_SERVICE_LANGUAGES, STRING_DEFINITIONS } from 'c/agentforceChatI18n';
+import { ANALYTICS_EVENT_TYPES, defaultEventName } from 'c/agentforceChatAnalytics';
+import { OFFLINE_MODES, WEEKDAYS } from 'c/agentforceChatBusinessHours';
+
+// Used when the browser can't list its time zones (Intl.supportedValuesOf)
+const FALLBACK_TIMEZONES = [
+    'America/New_York', 'America/Chicago', 'America/Denver', 'America/Phoenix', 'America/Los_Angeles',
+    'America/Anchorage', 'Pacific/Honolulu', 'America/Toronto', 'America/Vancouver', 'America/Mexico_City',
+    'America/Sao_Paulo', 'Europe/London', 'Europe/Dublin', 'Europe/Paris', 'Europe/Berlin', 'Europe/Madrid',
+    'Europe/Amsterdam', 'Asia/Dubai', 'Asia/Kolkata', 'Asia/Singapore', 'Asia/Tokyo', 'Australia/Sydney',
+    'Pacific/Auckland', 'UTC'
+];
+
+const WEEKDAY_LABELS = {
+    sun: 'Sunday',
+    mon: 'Monday',
+    tue: 'Tuesday',
+    wed: 'Wednesday',
+    thu: 'Thursday',
+    fri: 'Friday',
+    sat: 'Saturday'
+};
 
 /**
  * Custom Property Editor for Agentforce Chat (Inline) component
@@ -28,6 +50,8 @@ export default class AgentforceChatCPE extends LightningElement {
         height: 600,
         widthPercent: 100,
         showHeader: false,
+        targetContainerId: '', // Project into any page element with this id (no inline container needed)
+        hostHandlesNotifications: false, // Skip built-in toasts - the page handles agentforcetoast itself
         // Welcome Screen Configuration
         gradientStartColor: '#e8f4fd',
         gradientMidColor: '#f5f9fc',
@@ -43,7 +67,51 @@ export default class AgentforceChatCPE extends LightningElement {
         customizeCalloutWord: false,
         welcomeMessage: 'Ask questions, get personalized answers, and take action with Agentforce.',
         agentPrimaryColor: '#0176d3',
-        sendButtonColor: '#0176d3'
+        sendButtonColor: '#0176d3',
+        // Pre-Chat Context - [{ id, fieldName, source, sourceKey }]
+        hiddenPrechatFields: [],
+        // Language - chat language follows the site locale
+        chatLanguageFallback: 'en_US',
+        languageOverrides: [], // [{ id, siteLocale, language }]
+        // Translations - per-locale overrides of the Custom Label strings
+        stringOverrides: [], // [{ id, locale, key, value }]
+        // Analytics - forward activity events to page analytics tools
+        analyticsDataLayerEnabled: false,
+        analyticsAdobeEnabled: false,
+        analyticsCallbackEnabled: false,
+        analyticsCallbackName: '',
+        analyticsEventMappings: [], // [{ id, eventType, eventName }]
+        analyticsPropertyAllowlist: '',
+        // HTTP endpoint - batched POSTs of the raw activity events
+        beaconEnabled: false,
+        beaconEndpoint: '',
+        beaconBatchSize: 20,
+        beaconFlushInterval: 10, // seconds
+        beaconMaxRetries: 5,
+        // Transcript - local copy of the conversation for download (sessionStorage only)
+        transcriptEnabled: false,
+        transcriptMaxMessages: 200,
+        // Business Hours - offline state outside the schedule (see c/agentforceChatBusinessHours)
+        businessHoursEnabled: false,
+        businessHoursTimezone: '', // IANA name (empty = visitor's time zone)
+        weeklyHours: [
+            { id: 'hours-mon', day: 'mon', open: '09:00', close: '17:00' },
+            { id: 'hours-tue', day: 'tue', open: '09:00', close: '17:00' },
+            { id: 'hours-wed', day: 'wed', open: '09:00', close: '17:00' },
+            { id: 'hours-thu', day: 'thu', open: '09:00', close: '17:00' },
+            { id: 'hours-fri', day: 'fri', open: '09:00', close: '17:00' }
+        ],
+        holidays: [], // [{ id, name, date, open, close }] - empty open/close = closed all day
+        offlineMode: 'offline', // 'offline' | 'botOnly'
+        offlineTitle: '', // Empty = Custom Label (AgentforceChat_OfflineTitle)
+        offlineMessage: '', // Empty = Custom Label (AgentforceChat_OfflineMessage / _BotOnlyMessage)
+        leaveMessageUrl: '',
+        leaveMessageLabel: '', // Empty = Custom Label (AgentforceChat_LeaveMessage)
+        // Greeting Watchdog - how long to wait for the agent's greeting before giving up
+        greetingMaxRetries: 10,
+        greetingRetryDelay: 2, // seconds before the first retry
+        greetingBackoffFactor: 1.5, // each wait is this many times the last
+        greetingTimeout: 60 // seconds in total (time offline doesn't count)
     };
 
     // Experience Cloud CPE Contract - value getter/setter
@@ -83,6 +151,13 @@ export default class AgentforceChatCPE extends LightningElement {
     @track isDisplayExpanded = true;
     @track isAppearanceExpanded = false;
     @track isWelcomeExpanded = false;
+    @track isPrechatExpanded = false;
+    @track isLanguageExpanded = false;
+    @track isTranslationsExpanded = false;
+    @track isAnalyticsExpanded = false;
+    @track isTranscriptExpanded = false;
+    @track isBusinessHoursExpanded = false;
+    @track isWatchdogExpanded = false;
 
     // ==================== OPTIONS ====================
 
@@ -110,6 +185,52 @@ export default class AgentforceChatCPE extends LightningElement {
         ];
     }
 
+    get prechatSourceOptions() {
+        return [
+            { label: 'Current URL', value: 'url' },
+            { label: 'Path Segment', value: 'pathSegment' },
+            { label: 'Query Parameter', value: 'queryParam' },
+            { label: 'Record ID (from route)', value: 'recordId' },
+            { label: 'User ID', value: 'userId' },
+            { label: 'Is Guest User', value: 'isGuest' },
+            { label: 'Search Term', value: 'searchTerm' },
+            { label: 'Agents Available (business hours)', value: 'agentsAvailable' }
+        ];
+    }
+
+    get chatLanguageOptions() {
+        return EMBEDDED_SERVICE_LANGUAGES;
+    }
+
+    get stringKeyOptions() {
+        return STRING_DEFINITIONS
+            .filter(definition => definition.component === 'chat')
+            .map(definition => ({ label: definition.label, value: definition.key }));
+    }
+
+    get analyticsEventOptions() {
+        return ANALYTICS_EVENT_TYPES.map(eventType => ({ label: eventType, value: eventType }));
+    }
+
+    get timezoneOptions() {
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : FALLBACK_TIMEZONES;
+        return [
+            { label: "Visitor's time zone", value: '' },
+            ...zones.map(zone => ({ label: zone.replace(/_/g, ' '), value: zone }))
+        ];
+    }
+
+    get weekdayOptions() {
+        return WEEKDAYS.map(day => ({ label: WEEKDAY_LABELS[day], value: day }));
+    }
+
+    get offlineModeOptions() {
+        return [
+            { label: 'Offline message (chat closed)', value: OFFLINE_MODES.OFFLINE },
+            { label: 'Bot only (chat stays open)', value: OFFLINE_MODES.BOT_ONLY }
+        ];
+    }
+
     // ==================== SECTION ICONS ====================
 
     get deploymentIconName() {
@@ -128,6 +249,34 @@ export default class AgentforceChatCPE extends LightningElement {
         return this.isWelcomeExpanded ? 'utility:chevrondown' : 'utility:chevronright';
     }
 
+    get prechatIconName() {
+        return this.isPrechatExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
+    get languageIconName() {
+        return this.isLanguageExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
+    get translationsIconName() {
+        return this.isTranslationsExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
+    get analyticsIconName() {
+        return this.isAnalyticsExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
+    get transcriptIconName() {
+        return this.isTranscriptExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
+    get businessHoursIconName() {
+        return this.isBusinessHoursExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
+    get watchdogIconName() {
+        return this.isWatchdogExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
     // ==================== TEMPLATE BINDINGS ====================
 
     get orgId() { return this._config.orgId; }
@@ -138,6 +287,8 @@ export default class AgentforceChatCPE extends LightningElement {
     get height() { return this._config.height; }
     get widthPercent() { return this._config.widthPercent; }
     get showHeader() { return this._config.showHeader; }
+    get targetContainerId() { return this._config.targetContainerId; }
+    get hostHandlesNotifications() { return this._config.hostHandlesNotifications; }
 
     // Welcome screen bindings
     get gradientStartColor() { return this._config.gradientStartColor; }
@@ -156,6 +307,53 @@ export default class AgentforceChatCPE extends LightningElement {
     get welcomeMessage() { return this._config.welcomeMessage; }
     get agentPrimaryColor() { return this._config.agentPrimaryColor; }
     get sendButtonColor() { return this._config.sendButtonColor; }
+    get chatLanguageFallback() { return this._config.chatLanguageFallback; }
+    get languageOverrides() { return this._config.languageOverrides || []; }
+    get stringOverrides() { return this._config.stringOverrides || []; }
+    get analyticsDataLayerEnabled() { return this._config.analyticsDataLayerEnabled; }
+    get analyticsAdobeEnabled() { return this._config.analyticsAdobeEnabled; }
+    get analyticsCallbackEnabled() { return this._config.analyticsCallbackEnabled; }
+    get analyticsCallbackName() { return this._config.analyticsCallbackName; }
+    get analyticsPropertyAllowlist() { return this._config.analyticsPropertyAllowlist; }
+    get beaconEnabled() { return this._config.beaconEnabled; }
+    get beaconEndpoint() { return this._config.beaconEndpoint; }
+    get beaconBatchSize() { return this._config.beaconBatchSize; }
+    get beaconFlushInterval() { return this._config.beaconFlushInterval; }
+    get beaconMaxRetries() { return this._config.beaconMaxRetries; }
+    get transcriptEnabled() { return this._config.transcriptEnabled; }
+    get transcriptMaxMessages() { return this._config.transcriptMaxMessages; }
+    get businessHoursEnabled() { return this._config.businessHoursEnabled; }
+    get businessHoursTimezone() { return this._config.businessHoursTimezone; }
+    get weeklyHours() { return this._config.weeklyHours || []; }
+    get holidays() { return this._config.holidays || []; }
+    get offlineMode() { return this._config.offlineMode; }
+    get isOfflineMessageMode() { return this._config.offlineMode !== OFFLINE_MODES.BOT_ONLY; }
+    get offlineTitle() { return this._config.offlineTitle; }
+    get offlineMessage() { return this._config.offlineMessage; }
+    get leaveMessageUrl() { return this._config.leaveMessageUrl; }
+    get leaveMessageLabel() { return this._config.leaveMessageLabel; }
+    get greetingMaxRetries() { return this._config.greetingMaxRetries; }
+    get greetingRetryDelay() { return this._config.greetingRetryDelay; }
+    get greetingBackoffFactor() { return this._config.greetingBackoffFactor; }
+    get greetingTimeout() { return this._config.greetingTimeout; }
+
+    // Event mapping rows, with the default name as the placeholder
+    get analyticsEventMappingRows() {
+        return (this._config.analyticsEventMappings || []).map(mapping => ({
+            ...mapping,
+            defaultName: defaultEventName(mapping.eventType)
+        }));
+    }
+
+    // Pre-chat field rows, with the source key input only where the source needs one
+    get prechatFieldRows() {
+        return (this._config.hiddenPrechatFields || []).map(field => ({
+            ...field,
+            needsSourceKey: field.source === 'pathSegment' || field.source === 'queryParam',
+            sourceKeyLabel: field.source === 'pathSegment' ? 'Segment Index' : 'Parameter Name',
+            sourceKeyPlaceholder: field.source === 'pathSegment' ? '0 (first), -1 (last)' : 'utm_source'
+        }));
+    }
 
     // Stateful button variants for Bold/Italic
     get boldButtonVariant() {
@@ -209,6 +407,34 @@ export default class AgentforceChatCPE extends LightningElement {
         this.isWelcomeExpanded = !this.isWelcomeExpanded;
     }
 
+    togglePrechat() {
+        this.isPrechatExpanded = !this.isPrechatExpanded;
+    }
+
+    toggleLanguage() {
+        this.isLanguageExpanded = !this.isLanguageExpanded;
+    }
+
+    toggleTranslations() {
+        this.isTranslationsExpanded = !this.isTranslationsExpanded;
+    }
+
+    toggleAnalytics() {
+        this.isAnalyticsExpanded = !this.isAnalyticsExpanded;
+    }
+
+    toggleTranscript() {
+        this.isTranscriptExpanded = !this.isTranscriptExpanded;
+    }
+
+    toggleBusinessHours() {
+        this.isBusinessHoursExpanded = !this.isBusinessHoursExpanded;
+    }
+
+    toggleWatchdog() {
+        this.isWatchdogExpanded = !this.isWatchdogExpanded;
+    }
+
     // ==================== DEPLOYMENT HANDLERS ====================
 
     handleOrgIdChange(event) {
@@ -245,6 +471,14 @@ export default class AgentforceChatCPE extends LightningElement {
         this.updateProperty('showHeader', event.target.checked);
     }
 
+    handleTargetContainerIdChange(event) {
+        this.updateProperty('targetContainerId', event.detail.value.trim().replace(/^#/, ''));
+    }
+
+    handleHostHandlesNotificationsChange(event) {
+        this.updateProperty('hostHandlesNotifications', event.target.checked);
+    }
+
     // ==================== APPEARANCE HANDLERS ====================
 
     handleSendButtonColorChange(event) {
@@ -335,4 +569,331 @@ export default class AgentforceChatCPE extends LightningElement {
     handleCalloutFontWeightChange(event) {
         this.updateProperty('calloutFontWeight', event.detail.value);
     }
+
+    // ==================== PRE-CHAT HANDLERS ====================
+
+    handleAddPrechatField() {
+        const fields = [...(this._config.hiddenPrechatFields || [])];
+        fields.push({
+            id: 'field-' + Date.now(),
+            fieldName: '',
+            source: 'url',
+            sourceKey: ''
+        });
+        this.updateProperty('hiddenPrechatFields', fields);
+    }
+
+    handleRemovePrechatField(event) {
+        const id = event.currentTarget.dataset.id;
+        const fields = (this._config.hiddenPrechatFields || []).filter(field => field.id !== id);
+        this.updateProperty('hiddenPrechatFields', fields);
+    }
+
+    handlePrechatFieldNameChange(event) {
+        this._updatePrechatField(event.target.dataset.id, { fieldName: event.detail.value });
+    }
+
+    handlePrechatSourceChange(event) {
+        this._updatePrechatField(event.target.dataset.id, { source: event.detail.value, sourceKey: '' });
+    }
+
+    handlePrechatSourceKeyChange(event) {
+        this._updatePrechatField(event.target.dataset.id, { sourceKey: event.detail.value });
+    }
+
+    _updatePrechatField(id, changes) {
+        const fields = (this._config.hiddenPrechatFields || []).map(field => (
+            field.id === id ? { ...field, ...changes } : field
+        ));
+        this.updateProperty('hiddenPrechatFields', fields);
+    }
+
+    // ==================== LANGUAGE HANDLERS ====================
+
+    handleChatLanguageFallbackChange(event) {
+        this.updateProperty('chatLanguageFallback', event.detail.value);
+    }
+
+    handleAddLanguageOverride() {
+        const overrides = [...this.languageOverrides];
+        overrides.push({
+            id: 'locale-' + Date.now(),
+            siteLocale: '',
+            language: this._config.chatLanguageFallback || 'en_US'
+        });
+        this.updateProperty('languageOverrides', overrides);
+    }
+
+    handleRemoveLanguageOverride(event) {
+        const id = event.currentTarget.dataset.id;
+        this.updateProperty('languageOverrides', this.languageOverrides.filter(override => override.id !== id));
+    }
+
+    handleOverrideSiteLocaleChange(event) {
+        this._updateLanguageOverride(event.target.dataset.id, { siteLocale: event.detail.value });
+    }
+
+    handleOverrideLanguageChange(event) {
+        this._updateLanguageOverride(event.target.dataset.id, { language: event.detail.value });
+    }
+
+    _updateLanguageOverride(id, changes) {
+        const overrides = this.languageOverrides.map(override => (
+            override.id === id ? { ...override, ...changes } : override
+        ));
+        this.updateProperty('languageOverrides', overrides);
+    }
+
+    // ==================== TRANSLATION HANDLERS ====================
+
+    handleAddStringOverride() {
+        const overrides = [...this.stringOverrides];
+        overrides.push({
+            id: 'string-' + Date.now(),
+            locale: '',
+            key: this.stringKeyOptions[0].value,
+            value: ''
+        });
+        this.updateProperty('stringOverrides', overrides);
+    }
+
+    handleRemoveStringOverride(event) {
+        const id = event.currentTarget.dataset.id;
+        this.updateProperty('stringOverrides', this.stringOverrides.filter(override => override.id !== id));
+    }
+
+    handleStringOverrideLocaleChange(event) {
+        this._updateStringOverride(event.target.dataset.id, { locale: event.detail.value });
+    }
+
+    handleStringOverrideKeyChange(event) {
+        this._updateStringOverride(event.target.dataset.id, { key: event.detail.value });
+    }
+
+    handleStringOverrideValueChange(event) {
+        this._updateStringOverride(event.target.dataset.id, { value: event.detail.value });
+    }
+
+    _updateStringOverride(id, changes) {
+        const overrides = this.stringOverrides.map(override => (
+            override.id === id ? { ...override, ...changes } : override
+        ));
+        this.updateProperty('stringOverrides', overrides);
+    }
+
+    // ==================== ANALYTICS HANDLERS ====================
+
+    handleAnalyticsDataLayerToggle(event) {
+        this.updateProperty('analyticsDataLayerEnabled', event.target.checked);
+    }
+
+    handleAnalyticsAdobeToggle(event) {
+        this.updateProperty('analyticsAdobeEnabled', event.target.checked);
+    }
+
+    handleAnalyticsCallbackToggle(event) {
+        this.updateProperty('analyticsCallbackEnabled', event.target.checked);
+    }
+
+    handleAnalyticsCallbackNameChange(event) {
+        this.updateProperty('analyticsCallbackName', event.detail.value.trim());
+    }
+
+    handleAnalyticsPropertyAllowlistChange(event) {
+        this.updateProperty('analyticsPropertyAllowlist', event.detail.value);
+    }
+
+    handleAddAnalyticsEventMapping() {
+        const mappings = [...(this._config.analyticsEventMappings || [])];
+        mappings.push({
+            id: 'event-' + Date.now(),
+            eventType: ANALYTICS_EVENT_TYPES[0],
+            eventName: ''
+        });
+        this.updateProperty('analyticsEventMappings', mappings);
+    }
+
+    handleRemoveAnalyticsEventMapping(event) {
+        const id = event.currentTarget.dataset.id;
+        const mappings = (this._config.analyticsEventMappings || []).filter(mapping => mapping.id !== id);
+        this.updateProperty('analyticsEventMappings', mappings);
+    }
+
+    handleAnalyticsEventTypeChange(event) {
+        this._updateAnalyticsEventMapping(event.target.dataset.id, { eventType: event.detail.value });
+    }
+
+    handleAnalyticsEventNameChange(event) {
+        this._updateAnalyticsEventMapping(event.target.dataset.id, { eventName: event.detail.value });
+    }
+
+    handleBeaconToggle(event) {
+        this.updateProperty('beaconEnabled', event.target.checked);
+    }
+
+    handleBeaconEndpointChange(event) {
+        this.updateProperty('beaconEndpoint', event.detail.value.trim());
+    }
+
+    handleBeaconBatchSizeChange(event) {
+        this.updateProperty('beaconBatchSize', parseInt(event.detail.value, 10) || 20);
+    }
+
+    handleBeaconFlushIntervalChange(event) {
+        this.updateProperty('beaconFlushInterval', parseInt(event.detail.value, 10) || 10);
+    }
+
+    handleBeaconMaxRetriesChange(event) {
+        const value = parseInt(event.detail.value, 10);
+        this.updateProperty('beaconMaxRetries', Number.isNaN(value) ? 5 : value);
+    }
+
+    _updateAnalyticsEventMapping(id, changes) {
+        const mappings = (this._config.analyticsEventMappings || []).map(mapping => (
+            mapping.id === id ? { ...mapping, ...changes } : mapping
+        ));
+        this.updateProperty('analyticsEventMappings', mappings);
+    }
+
+    // ==================== TRANSCRIPT HANDLERS ====================
+
+    handleTranscriptToggle(event) {
+        this.updateProperty('transcriptEnabled', event.target.checked);
+    }
+
+    handleTranscriptMaxMessagesChange(event) {
+        this.updateProperty('transcriptMaxMessages', parseInt(event.detail.value, 10) || 200);
+    }
+
+    // ==================== BUSINESS HOURS HANDLERS ====================
+
+    handleBusinessHoursToggle(event) {
+        const checked = event.target.checked;
+        // Start from the editor's own time zone
+        const timezone = this._config.businessHoursTimezone || Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+        this._config = {
+            ...this._config,
+            businessHoursEnabled: checked,
+            businessHoursTimezone: checked ? timezone : this._config.businessHoursTimezone
+        };
+        this.dispatchValueChange();
+    }
+
+    handleBusinessHoursTimezoneChange(event) {
+        this.updateProperty('businessHoursTimezone', event.detail.value);
+    }
+
+    handleAddWeeklyHours() {
+        const hours = [...this.weeklyHours];
+        hours.push({
+            id: 'hours-' + Date.now(),
+            day: 'mon',
+            open: '09:00',
+            close: '17:00'
+        });
+        this.updateProperty('weeklyHours', hours);
+    }
+
+    handleRemoveWeeklyHours(event) {
+        const id = event.currentTarget.dataset.id;
+        this.updateProperty('weeklyHours', this.weeklyHours.filter(hours => hours.id !== id));
+    }
+
+    handleWeeklyHoursDayChange(event) {
+        this._updateWeeklyHours(event.target.dataset.id, { day: event.detail.value });
+    }
+
+    handleWeeklyHoursOpenChange(event) {
+        this._updateWeeklyHours(event.target.dataset.id, { open: (event.detail.value || '').substring(0, 5) });
+    }
+
+    handleWeeklyHoursCloseChange(event) {
+        this._updateWeeklyHours(event.target.dataset.id, { close: (event.detail.value || '').substring(0, 5) });
+    }
+
+    _updateWeeklyHours(id, changes) {
+        const hours = this.weeklyHours.map(row => (
+            row.id === id ? { ...row, ...changes } : row
+        ));
+        this.updateProperty('weeklyHours', hours);
+    }
+
+    handleAddHoliday() {
+        const holidays = [...this.holidays];
+        holidays.push({
+            id: 'holiday-' + Date.now(),
+            name: '',
+            date: '',
+            open: '',
+            close: ''
+        });
+        this.updateProperty('holidays', holidays);
+    }
+
+    handleRemoveHoliday(event) {
+        const id = event.currentTarget.dataset.id;
+        this.updateProperty('holidays', this.holidays.filter(holiday => holiday.id !== id));
+    }
+
+    handleHolidayNameChange(event) {
+        this._updateHoliday(event.target.dataset.id, { name: event.detail.value });
+    }
+
+    handleHolidayDateChange(event) {
+        this._updateHoliday(event.target.dataset.id, { date: event.detail.value || '' });
+    }
+
+    handleHolidayOpenChange(event) {
+        this._updateHoliday(event.target.dataset.id, { open: (event.detail.value || '').substring(0, 5) });
+    }
+
+    handleHolidayCloseChange(event) {
+        this._updateHoliday(event.target.dataset.id, { close: (event.detail.value || '').substring(0, 5) });
+    }
+
+    _updateHoliday(id, changes) {
+        const holidays = this.holidays.map(holiday => (
+            holiday.id === id ? { ...holiday, ...changes } : holiday
+        ));
+        this.updateProperty('holidays', holidays);
+    }
+
+    handleOfflineModeChange(event) {
+        this.updateProperty('offlineMode', event.detail.value);
+    }
+
+    handleOfflineTitleChange(event) {
+        this.updateProperty('offlineTitle', event.detail.value);
+    }
+
+    handleOfflineMessageChange(event) {
+        this.updateProperty('offlineMessage', event.detail.value);
+    }
+
+    handleLeaveMessageUrlChange(event) {
+        this.updateProperty('leaveMessageUrl', event.detail.value.trim());
+    }
+
+    handleLeaveMessageLabelChange(event) {
+        this.updateProperty('leaveMessageLabel', event.detail.value);
+    }
+
+    // ==================== GREETING WATCHDOG HANDLERS ====================
+
+    handleGreetingMaxRetriesChange(event) {
+        const value = parseInt(event.detail.value, 10);
+        this.updateProperty('greetingMaxRetries', Number.isNaN(value) ? 10 : value);
+    }
+
+    handleGreetingRetryDelayChange(event) {
+        this.updateProperty('greetingRetryDelay', parseFloat(event.detail.value) || 2);
+    }
+
+    handleGreetingBackoffFactorChange(event) {
+        this.updateProperty('greetingBackoffFactor', parseFloat(event.detail.value) || 1.5);
+    }
+
+    handleGreetingTimeoutChange(event) {
+        this.updateProperty('greetingTimeout', parseInt(event.detail.value, 10) || 60);
+    }
 }
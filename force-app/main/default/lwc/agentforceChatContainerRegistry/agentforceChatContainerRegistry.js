@@ -0,0 +1,141 @@
+/**
+ * @description Agentforce Chat - Inline Container Registry
+ * Tracks every agentforceChatInlineContainer on the page so several containers
+ * (e.g. a hero section and a sidebar) can coexist.
+ *
+ * Each container registers an entry:
+ *   { id, name, priority, element, hideWelcome(), showLoading(), reset(), ... }
+ *
+ * agentforceChat picks the visible container with the highest priority, or a
+ * specific container when a launch targets one by name or id.
+ *
+ * The registry lives on window so every bundle on the page shares the same list.
+ */
+
+function getStore() {
+    if (!window.__agentforceChatContainerRegistry) {
+        window.__agentforceChatContainerRegistry = { entries: [], sequence: 0, attachmentsSupported: false };
+    }
+    return window.__agentforceChatContainerRegistry;
+}
+
+/**
+ * Add (or replace) a container entry
+ * @returns {Object} The stored entry - mutate it to update the element reference
+ */
+export function registerContainer(entry) {
+    const store = getStore();
+    const stored = {
+        name: '',
+        priority: 0,
+        element: null,
+        ...entry,
+        registeredAt: ++store.sequence
+    };
+    store.entries = [...store.entries.filter(existing => existing.id !== entry.id), stored];
+    return stored;
+}
+
+/**
+ * Remove a container entry - only the container itself, never the others
+ */
+export function unregisterContainer(id) {
+    const store = getStore();
+    store.entries = store.entries.filter(entry => entry.id !== id);
+}
+
+/**
+ * All registered containers, highest priority first (ties: first registered wins)
+ */
+export function getContainers() {
+    return [...getStore().entries].sort((a, b) =>
+        (Number(b.priority) || 0) - (Number(a.priority) || 0) || a.registeredAt - b.registeredAt
+    );
+}
+
+/**
+ * Share whether the deployment exposes a file upload API (utilAPI.sendFile)
+ * Unknown until the Embedded Service API is ready, so containers start with it off.
+ */
+export function setAttachmentSupport(supported) {
+    getStore().attachmentsSupported = supported === true;
+}
+
+export function isAttachmentSupported() {
+    return getStore().attachmentsSupported === true;
+}
+
+/**
+ * Find a registered container by name or id
+ */
+export function getContainer(nameOrId) {
+    if (!nameOrId) {
+        return null;
+    }
+    return getContainers().find(entry => entry.id === nameOrId || entry.name === nameOrId) || null;
+}
+
+/**
+ * Check if an element is in the DOM AND visible on the page
+ * In Experience Cloud SPA, components may stay registered even when not visible
+ */
+export function isElementVisible(element) {
+    if (!element) {
+        return false;
+    }
+
+    // Check if element is connected to DOM
+    if (!element.isConnected) {
+        return false;
+    }
+
+    // Check if element has dimensions (not collapsed)
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) {
+        return false;
+    }
+
+    // Walk up the DOM tree to check if ANY parent is hidden
+    // Experience Cloud SPA hides pages by hiding parent containers
+    let current = element;
+    while (current && current !== document.body) {
+        const style = window.getComputedStyle(current);
+        if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
+            return false;
+        }
+        // Also check for common SPA hiding patterns
+        if (current.hasAttribute('hidden') || current.classList.contains('slds-hide')) {
+            return false;
+        }
+        current = current.parentElement;
+    }
+
+    // Final check: is the element actually visible in viewport or at least rendered?
+    // An element with rect but off-screen is still "on this page"
+    // But if rect.top is extremely large negative, page might have scrolled away
+    if (rect.bottom < -5000 || rect.top > 10000) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * A container's DOM element - null until its renderedCallback stores it (not rendered, so not visible)
+ */
+export function getContainerElement(entry) {
+    return entry?.element || null;
+}
+
+/**
+ * Pick the container the chat should use
+ * @param {string} targetNameOrId - Preferred container (used if it's visible)
+ * @returns {Object|null} The targeted container, else the visible container with the highest priority
+ */
+export function findActiveContainer(targetNameOrId) {
+    const target = getContainer(targetNameOrId);
+    if (target && isElementVisible(getContainerElement(target))) {
+        return target;
+    }
+    return getContainers().find(entry => isElementVisible(getContainerElement(entry))) || null;
+}
@@ -0,0 +1,162 @@
+import { isDictationSupported, punctuate, startDictation, toSpeechLanguage } from 'c/agentforceChatDictation';
+
+// Minimal SpeechRecognition stand-in - tests drive the handlers directly
+class FakeRecognition {
+    constructor() {
+        FakeRecognition.instance = this;
+        this.start = jest.fn();
+        this.stop = jest.fn();
+    }
+}
+
+// SpeechRecognition result event: [[transcript, isFinal], ...]
+const resultEvent = (results) => ({
+    resultIndex: 0,
+    results: results.map(([transcript, isFinal]) => Object.assign([{ transcript }], { isFinal }))
+});
+
+describe('c-agentforce-chat-dictation', () => {
+    afterEach(() => {
+        delete window.SpeechRecognition;
+        delete window.webkitSpeechRecognition;
+        FakeRecognition.instance = null;
+        jest.restoreAllMocks();
+    });
+
+    describe('toSpeechLanguage', () => {
+        it('converts a Salesforce locale to a BCP 47 tag', () => {
+            expect(toSpeechLanguage('fr_CA')).toBe('fr-CA');
+            expect(toSpeechLanguage('de')).toBe('de');
+        });
+
+        it('defaults to US English', () => {
+            expect(toSpeechLanguage('')).toBe('en-US');
+            expect(toSpeechLanguage(undefined)).toBe('en-US');
+        });
+    });
+
+    describe('punctuate', () => {
+        it('capitalizes and ends the sentence', () => {
+            expect(punctuate('hello there')).toBe('Hello there.');
+        });
+
+        it('keeps a mark the engine already added', () => {
+            expect(punctuate('is it open?')).toBe('Is it open?');
+        });
+
+        it('returns an empty string for silence', () => {
+            expect(punctuate('   ')).toBe('');
+            expect(punctuate(null)).toBe('');
+        });
+
+        it('replaces unambiguous spoken punctuation anywhere', () => {
+            expect(punctuate('is my order late question mark')).toBe('Is my order late?');
+            expect(punctuate('thanks exclamation point')).toBe('Thanks!');
+            expect(punctuate('done full stop see you')).toBe('Done. See you.');
+        });
+
+        it('turns new line into a line break', () => {
+            expect(punctuate('first new line second')).toBe('First\nsecond.');
+        });
+
+        it('leaves period, comma and colon as words inside a sentence', () => {
+            expect(punctuate('my billing period ended last week')).toBe('My billing period ended last week.');
+            expect(punctuate('add a comma separated list')).toBe('Add a comma separated list.');
+            expect(punctuate('the colon is inflamed')).toBe('The colon is inflamed.');
+            expect(punctuate('what is my billing period')).toBe('What is my billing period.');
+        });
+
+        it('returns just the mark when period, comma or colon is spoken alone', () => {
+            expect(punctuate('period')).toBe('.');
+            expect(punctuate('Comma')).toBe(',');
+            expect(punctuate('colon.')).toBe(':');
+        });
+
+        it('only applies spoken punctuation to English', () => {
+            expect(punctuate('question mark', 'fr-FR')).toBe('Question mark.');
+            expect(punctuate('period', 'de-DE')).toBe('Period.');
+        });
+
+        it('ends Japanese and Chinese with an ideographic full stop', () => {
+            expect(punctuate('こんにちは', 'ja-JP')).toBe('こんにちは。');
+            expect(punctuate('你好', 'zh-CN')).toBe('你好。');
+        });
+    });
+
+    describe('startDictation', () => {
+        const handlers = () => ({
+            language: 'en-US',
+            onInterim: jest.fn(),
+            onFinal: jest.fn(),
+            onError: jest.fn(),
+            onEnd: jest.fn()
+        });
+
+        it('returns null without speech recognition', () => {
+            expect(isDictationSupported()).toBe(false);
+            expect(startDictation(handlers())).toBeNull();
+        });
+
+        it('uses the prefixed implementation when needed', () => {
+            window.webkitSpeechRecognition = FakeRecognition;
+            expect(isDictationSupported()).toBe(true);
+            expect(startDictation(handlers())).not.toBeNull();
+        });
+
+        it('configures a single-utterance session in the given language', () => {
+            window.SpeechRecognition = FakeRecognition;
+            startDictation({ ...handlers(), language: 'fr-FR' });
+            const recognition = FakeRecognition.instance;
+            expect(recognition.lang).toBe('fr-FR');
+            expect(recognition.interimResults).toBe(true);
+            expect(recognition.continuous).toBe(false);
+            expect(recognition.start).toHaveBeenCalled();
+        });
+
+        it('streams interim text and punctuates the final result', () => {
+            window.SpeechRecognition = FakeRecognition;
+            const options = handlers();
+            startDictation(options);
+            const recognition = FakeRecognition.instance;
+
+            recognition.onresult(resultEvent([[' where is my ', false]]));
+            expect(options.onInterim).toHaveBeenCalledWith('where is my');
+
+            recognition.onresult(resultEvent([['where is my order question mark', true]]));
+            expect(options.onFinal).toHaveBeenCalledWith('Where is my order?');
+        });
+
+        it('forwards errors and the end of the session', () => {
+            window.SpeechRecognition = FakeRecognition;
+            const options = handlers();
+            startDictation(options);
+            FakeRecognition.instance.onerror({ error: 'not-allowed' });
+            FakeRecognition.instance.onend();
+            expect(options.onError).toHaveBeenCalledWith('not-allowed');
+            expect(options.onEnd).toHaveBeenCalled();
+        });
+
+        it('stops the recognition session', () => {
+            window.SpeechRecognition = FakeRecognition;
+            const session = startDictation(handlers());
+            session.stop();
+            expect(FakeRecognition.instance.stop).toHaveBeenCalled();
+        });
+
+        it('reports a session that cannot start', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            window.SpeechRecognition = class extends FakeRecognition {
+                constructor() {
+                    super();
+                    this.start = () => {
+                        throw new Error('already started');
+                    };
+                }
+            };
+            const options = handlers();
+            expect(startDictation(options)).toBeNull();
+            expect(options.onError).toHaveBeenCalledWith('start-failed');
+            expect(options.onEnd).toHaveBeenCalled();
+        });
+    });
+});
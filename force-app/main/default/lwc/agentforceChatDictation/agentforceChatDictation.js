@@ -0,0 +1,136 @@
+/**
+ * @description Agentforce Chat - Voice Dictation
+ * Thin wrapper around the Web Speech API (SpeechRecognition / webkitSpeechRecognition)
+ * used by agentforceChatInlineContainer's microphone button.
+ *
+ * One utterance per session: interim results stream in while the visitor speaks and
+ * the session ends on the first final result (or when stopped).
+ *
+ * Recognition engines return bare words, so final text is punctuated here: spoken
+ * punctuation ("question mark", "full stop" ...) is replaced for English, the first letter
+ * is capitalized and a sentence-ending mark is added when missing.
+ *
+ * Words that are also ordinary vocabulary ("period", "comma", "colon") only count as
+ * punctuation when spoken on their own - "my billing period ended" stays as said.
+ */
+
+// Spoken punctuation (English) replaced anywhere - phrases nobody says in a sentence
+const SPOKEN_PUNCTUATION = [
+    [/\s*\bquestion mark\b/gi, '?'],
+    [/\s*\bexclamation (?:mark|point)\b/gi, '!'],
+    [/\s*\bfull stop\b/gi, '.'],
+    [/\s*\bnew line\b\s*/gi, '\n']
+];
+
+// Spoken punctuation (English) that is only a command as the whole utterance
+const SPOKEN_PUNCTUATION_ALONE = {
+    period: '.',
+    comma: ',',
+    colon: ':'
+};
+
+// Languages whose sentences end with an ideographic full stop
+const IDEOGRAPHIC_LANGUAGES = ['ja', 'zh'];
+
+function getRecognitionClass() {
+    return typeof window !== 'undefined'
+        ? window.SpeechRecognition || window.webkitSpeechRecognition || null
+        : null;
+}
+
+export function isDictationSupported() {
+    return !!getRecognitionClass();
+}
+
+/**
+ * Salesforce locale ('fr_CA') → BCP 47 tag ('fr-CA') for SpeechRecognition.lang
+ */
+export function toSpeechLanguage(locale) {
+    return (locale || 'en_US').replace('_', '-');
+}
+
+/**
+ * Punctuate a final transcript for the given BCP 47 language
+ * @returns {string} Capitalized sentence, or just the mark when punctuation was spoken alone
+ */
+export function punctuate(text, language = 'en-US') {
+    const base = language.split('-')[0].toLowerCase();
+    let result = (text || '').trim();
+    if (!result) {
+        return '';
+    }
+
+    if (base === 'en') {
+        const alone = SPOKEN_PUNCTUATION_ALONE[result.toLowerCase().replace(/[.!?]$/, '')];
+        if (alone) {
+            return alone;
+        }
+        SPOKEN_PUNCTUATION.forEach(([pattern, mark]) => {
+            result = result.replace(pattern, mark);
+        });
+        result = result.replace(/([.!?]\s+)([a-z])/g, (match, end, letter) => end + letter.toUpperCase());
+    }
+
+    result = result.charAt(0).toLocaleUpperCase(language) + result.slice(1);
+    if (!/[.!?,:;。！？]$/.test(result)) {
+        result += IDEOGRAPHIC_LANGUAGES.includes(base) ? '。' : '.';
+    }
+    return result;
+}
+
+/**
+ * Start listening
+ * @param {Object} options
+ * @param {string} options.language - BCP 47 tag (see toSpeechLanguage)
+ * @param {Function} options.onInterim - (text) while speaking
+ * @param {Function} options.onFinal - (punctuatedText) once the utterance is recognized
+ * @param {Function} options.onError - (errorCode) e.g. 'not-allowed', 'no-speech'
+ * @param {Function} options.onEnd - () when the session is over (after onFinal/onError)
+ * @returns {{ stop: Function }|null} null when the browser has no speech recognition
+ */
+export function startDictation({ language, onInterim, onFinal, onError, onEnd }) {
+    const Recognition = getRecognitionClass();
+    if (!Recognition) {
+        return null;
+    }
+
+    const recognition = new Recognition();
+    recognition.lang = language;
+    recognition.interimResults = true;
+    recognition.continuous = false;
+    recognition.maxAlternatives = 1;
+
+    recognition.onresult = (event) => {
+        let interim = '';
+        let final = '';
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+            const transcript = event.results[i][0].transcript;
+            if (event.results[i].isFinal) {
+                final += transcript;
+            } else {
+                interim += transcript;
+            }
+        }
+        if (final) {
+            onFinal(punctuate(final, language));
+        } else if (interim) {
+            onInterim(interim.trim());
+        }
+    };
+    recognition.onerror = (event) => onError(event.error);
+    recognition.onend = () => onEnd();
+
+    try {
+        recognition.start();
+    } catch (error) {
+        // start() throws if a session is already running or the page isn't allowed to listen
+        console.warn('[AgentforceChat] Dictation could not start:', error.message);
+        onError('start-failed');
+        onEnd();
+        return null;
+    }
+
+    return {
+        stop: () => recognition.stop()
+    };
+}
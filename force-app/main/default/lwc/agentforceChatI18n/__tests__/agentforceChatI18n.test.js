@@ -0,0 +1,126 @@
+import {
+    detectSiteLanguage,
+    getStringOverrides,
+    getStrings,
+    normalizeLocale,
+    resolveEmbeddedServiceLanguage,
+    STRING_DEFINITIONS
+} from 'c/agentforceChatI18n';
+
+describe('c-agentforce-chat-i18n', () => {
+    afterEach(() => {
+        window.history.pushState({}, '', '/');
+        document.documentElement.lang = '';
+    });
+
+    describe('normalizeLocale', () => {
+        it('converts locales to Salesforce format', () => {
+            expect(normalizeLocale('fr-ca')).toBe('fr_CA');
+            expect(normalizeLocale('FR_ca')).toBe('fr_CA');
+            expect(normalizeLocale(' DE ')).toBe('de');
+        });
+
+        it('returns null for values that are not locales', () => {
+            expect(normalizeLocale('')).toBeNull();
+            expect(normalizeLocale(undefined)).toBeNull();
+            expect(normalizeLocale('english')).toBeNull();
+            expect(normalizeLocale('s')).toBeNull();
+        });
+    });
+
+    describe('detectSiteLanguage', () => {
+        it('prefers the ?language= parameter', () => {
+            window.history.pushState({}, '', '/fr/s/?language=de');
+            expect(detectSiteLanguage()).toBe('de');
+        });
+
+        it('uses a known language prefix in the path', () => {
+            window.history.pushState({}, '', '/fr_CA/s/article');
+            expect(detectSiteLanguage()).toBe('fr_CA');
+        });
+
+        it('ignores short path segments that are not known languages', () => {
+            window.history.pushState({}, '', '/xx/s/');
+            document.documentElement.lang = 'es';
+            expect(detectSiteLanguage()).toBe('es');
+        });
+
+        it('accepts extra locales as path prefixes', () => {
+            window.history.pushState({}, '', '/uk/s/');
+            expect(detectSiteLanguage(['uk'])).toBe('uk');
+        });
+
+        it('falls back to the html lang attribute', () => {
+            window.history.pushState({}, '', '/s/');
+            document.documentElement.lang = 'pt-BR';
+            expect(detectSiteLanguage()).toBe('pt_BR');
+        });
+    });
+
+    describe('resolveEmbeddedServiceLanguage', () => {
+        it('uses an exact supported language', () => {
+            expect(resolveEmbeddedServiceLanguage('fr_CA')).toBe('fr_CA');
+        });
+
+        it('falls back to a supported language with the same base', () => {
+            expect(resolveEmbeddedServiceLanguage('de_AT')).toBe('de');
+            expect(resolveEmbeddedServiceLanguage('en_AU')).toBe('en_US');
+        });
+
+        it('uses the fallback for unsupported or invalid locales', () => {
+            expect(resolveEmbeddedServiceLanguage('uk', [], 'en_GB')).toBe('en_GB');
+            expect(resolveEmbeddedServiceLanguage('not a locale')).toBe('en_US');
+        });
+
+        it('prefers an exact override, then a base-language override', () => {
+            const overrides = [
+                { siteLocale: 'fr', language: 'fr' },
+                { siteLocale: 'fr_BE', language: 'nl_NL' }
+            ];
+            expect(resolveEmbeddedServiceLanguage('fr_BE', overrides)).toBe('nl_NL');
+            expect(resolveEmbeddedServiceLanguage('fr_CA', overrides)).toBe('fr');
+        });
+
+        it('skips incomplete overrides', () => {
+            const overrides = [{ siteLocale: 'de', language: '' }, { siteLocale: '', language: 'ja' }, null];
+            expect(resolveEmbeddedServiceLanguage('de', overrides)).toBe('de');
+        });
+    });
+
+    describe('strings', () => {
+        const overrides = [
+            { id: '1', locale: 'fr', key: 'welcomeTitle', value: 'Bonjour' },
+            { id: '2', locale: 'fr_CA', key: 'welcomeTitle', value: 'Allô' },
+            { id: '3', locale: 'fr', key: 'sendButtonLabel', value: 'Envoyer' },
+            { id: '4', locale: 'de', key: 'welcomeTitle', value: 'Hallo' },
+            { id: '5', locale: 'fr', key: 'welcomeMessage', value: '' }
+        ];
+
+        it('applies base-language overrides to every country', () => {
+            expect(getStringOverrides(overrides, 'fr_FR')).toEqual({ welcomeTitle: 'Bonjour', sendButtonLabel: 'Envoyer' });
+        });
+
+        it('lets an exact locale override win over the base language', () => {
+            expect(getStringOverrides(overrides, 'fr_CA')).toEqual({ welcomeTitle: 'Allô', sendButtonLabel: 'Envoyer' });
+        });
+
+        it('returns nothing for an invalid locale', () => {
+            expect(getStringOverrides(overrides, '??')).toEqual({});
+        });
+
+        it('layers overrides on top of the Custom Labels', () => {
+            const strings = getStrings(overrides, 'de');
+            expect(strings.welcomeTitle).toBe('Hallo');
+            expect(strings.welcomeMessage).toBe('c.AgentforceChat_WelcomeMessage');
+        });
+
+        it('defines a label for every translatable string', () => {
+            const strings = getStrings([], 'en_US');
+            STRING_DEFINITIONS.forEach(definition => {
+                expect(strings[definition.key]).toBeTruthy();
+                expect(['inlineContainer', 'chat']).toContain(definition.component);
+            });
+            expect(new Set(STRING_DEFINITIONS.map(definition => definition.key)).size).toBe(STRING_DEFINITIONS.length);
+        });
+    });
+});
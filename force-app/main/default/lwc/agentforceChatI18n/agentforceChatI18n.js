@@ -0,0 +1,270 @@
+import SITE_LANG from '@salesforce/i18n/lang';
+import WELCOME_TITLE from '@salesforce/label/c.AgentforceChat_WelcomeTitle';
+import WELCOME_MESSAGE from '@salesforce/label/c.AgentforceChat_WelcomeMessage';
+import INPUT_PLACEHOLDER from '@salesforce/label/c.AgentforceChat_InputPlaceholder';
+import SEND_BUTTON from '@salesforce/label/c.AgentforceChat_SendButton';
+import LOADING_MESSAGE from '@salesforce/label/c.AgentforceChat_LoadingMessage';
+import TIMEOUT_TITLE from '@salesforce/label/c.AgentforceChat_TimeoutTitle';
+import TIMEOUT_MESSAGE from '@salesforce/label/c.AgentforceChat_TimeoutMessage';
+import TRY_AGAIN from '@salesforce/label/c.AgentforceChat_TryAgain';
+import CONFIG_REQUIRED from '@salesforce/label/c.AgentforceChat_ConfigRequired';
+import DOWNLOAD_TRANSCRIPT from '@salesforce/label/c.AgentforceChat_DownloadTranscript';
+import TRANSCRIPT_FORMAT_TEXT from '@salesforce/label/c.AgentforceChat_TranscriptFormatText';
+import TRANSCRIPT_FORMAT_MARKDOWN from '@salesforce/label/c.AgentforceChat_TranscriptFormatMarkdown';
+import TRANSCRIPT_FORMAT_JSON from '@salesforce/label/c.AgentforceChat_TranscriptFormatJson';
+import RESUME_TITLE from '@salesforce/label/c.AgentforceChat_ResumeTitle';
+import RESUME_CONTINUE from '@salesforce/label/c.AgentforceChat_ResumeContinue';
+import RESUME_START_NEW from '@salesforce/label/c.AgentforceChat_ResumeStartNew';
+import ATTACH_FILE from '@salesforce/label/c.AgentforceChat_AttachFile';
+import REMOVE_ATTACHMENT from '@salesforce/label/c.AgentforceChat_RemoveAttachment';
+import DROP_FILE from '@salesforce/label/c.AgentforceChat_DropFile';
+import ATTACHMENT_TYPE_ERROR from '@salesforce/label/c.AgentforceChat_AttachmentTypeError';
+import ATTACHMENT_SIZE_ERROR from '@salesforce/label/c.AgentforceChat_AttachmentSizeError';
+import ATTACHMENT_FAILED_TITLE from '@salesforce/label/c.AgentforceChat_AttachmentFailedTitle';
+import ATTACHMENT_FAILED_MESSAGE from '@salesforce/label/c.AgentforceChat_AttachmentFailedMessage';
+import START_DICTATION from '@salesforce/label/c.AgentforceChat_StartDictation';
+import STOP_DICTATION from '@salesforce/label/c.AgentforceChat_StopDictation';
+import DICTATION_ERROR from '@salesforce/label/c.AgentforceChat_DictationError';
+import OFFLINE_TITLE from '@salesforce/label/c.AgentforceChat_OfflineTitle';
+import OFFLINE_MESSAGE from '@salesforce/label/c.AgentforceChat_OfflineMessage';
+import BOT_ONLY_MESSAGE from '@salesforce/label/c.AgentforceChat_BotOnlyMessage';
+import LEAVE_MESSAGE from '@salesforce/label/c.AgentforceChat_LeaveMessage';
+import CLOSE from '@salesforce/label/c.AgentforceChat_Close';
+import NETWORK_OFFLINE from '@salesforce/label/c.AgentforceChat_NetworkOffline';
+import MESSAGE_QUEUED from '@salesforce/label/c.AgentforceChat_MessageQueued';
+import LOADING_CONVERSATION_STARTED from '@salesforce/label/c.AgentforceChat_LoadingConversationStarted';
+import LOADING_GREETING_RECEIVED from '@salesforce/label/c.AgentforceChat_LoadingGreetingReceived';
+import LOADING_MESSAGE_SENT from '@salesforce/label/c.AgentforceChat_LoadingMessageSent';
+
+/**
+ * @description Agentforce Chat - Locale helpers and string bundle
+ * Shared by agentforceChat (Embedded Service language, toasts), agentforceChatInlineContainer
+ * (welcome/loading text) and the CPEs (language pickers, translation overrides).
+ *
+ * Locales are normalized to Salesforce format (language_COUNTRY, e.g. 'fr_CA').
+ *
+ * STRINGS:
+ * Custom Labels are the base (translate them with Translation Workbench). Each CPE can
+ * add per-locale overrides - [{ id, locale, key, value }] - which win over the label
+ * for visitors in that locale ('fr' applies to fr_FR and fr_CA, 'fr_CA' only to fr_CA).
+ */
+
+/**
+ * Embedded Service (Messaging for Web) language codes offered in the CPE
+ */
+export const EMBEDDED_SERVICE_LANGUAGES = [
+    { label: 'English (US)', value: 'en_US' },
+    { label: 'English (UK)', value: 'en_GB' },
+    { label: 'French', value: 'fr' },
+    { label: 'French (Canada)', value: 'fr_CA' },
+    { label: 'German', value: 'de' },
+    { label: 'Spanish', value: 'es' },
+    { label: 'Spanish (Mexico)', value: 'es_MX' },
+    { label: 'Italian', value: 'it' },
+    { label: 'Portuguese (Brazil)', value: 'pt_BR' },
+    { label: 'Portuguese (Portugal)', value: 'pt_PT' },
+    { label: 'Dutch', value: 'nl_NL' },
+    { label: 'Japanese', value: 'ja' },
+    { label: 'Korean', value: 'ko' },
+    { label: 'Chinese (Simplified)', value: 'zh_CN' },
+    { label: 'Chinese (Traditional)', value: 'zh_TW' },
+    { label: 'Swedish', value: 'sv' },
+    { label: 'Danish', value: 'da' },
+    { label: 'Finnish', value: 'fi' },
+    { label: 'Norwegian', value: 'no' },
+    { label: 'Polish', value: 'pl' },
+    { label: 'Russian', value: 'ru' },
+    { label: 'Turkish', value: 'tr' },
+    { label: 'Thai', value: 'th' }
+];
+
+const LOCALE_PATTERN = /^([a-zA-Z]{2,3})(?:[-_]([a-zA-Z]{2}))?$/;
+
+/**
+ * Normalize 'fr-ca', 'fr_CA', 'FR' etc. to Salesforce format ('fr_CA', 'fr')
+ * @returns {string|null} null if the value doesn't look like a locale
+ */
+export function normalizeLocale(locale) {
+    const match = LOCALE_PATTERN.exec((locale || '').trim());
+    if (!match) {
+        return null;
+    }
+    const language = match[1].toLowerCase();
+    return match[2] ? `${language}_${match[2].toUpperCase()}` : language;
+}
+
+function baseLanguage(locale) {
+    return locale.split('_')[0];
+}
+
+/**
+ * Detect the active Experience Cloud site language
+ * Checked in order so SPA language switches are picked up:
+ * ?language= param → URL language prefix → <html lang> → @salesforce/i18n/lang
+ * @param {string[]} knownLocales - Extra locales (e.g. CPE overrides) accepted as URL prefixes
+ * @returns {string} Normalized locale
+ */
+export function detectSiteLanguage(knownLocales = []) {
+    const fromParam = normalizeLocale(new URLSearchParams(window.location.search).get('language'));
+    if (fromParam) {
+        return fromParam;
+    }
+
+    // Only accept a path prefix we know about - short path segments are often not locales
+    const known = new Set([
+        ...EMBEDDED_SERVICE_LANGUAGES.map(option => baseLanguage(option.value)),
+        ...knownLocales.map(normalizeLocale).filter(Boolean).map(baseLanguage)
+    ]);
+    const segments = window.location.pathname.split('/').filter(Boolean).slice(0, 2);
+    const fromPath = segments
+        .map(normalizeLocale)
+        .find(locale => locale && known.has(baseLanguage(locale)));
+    if (fromPath) {
+        return fromPath;
+    }
+
+    return normalizeLocale(document.documentElement.lang) || normalizeLocale(SITE_LANG) || 'en_US';
+}
+
+/**
+ * Map a site locale to a supported Embedded Service language code
+ * Order: CPE override (exact, then base language) → exact supported → same base language → fallback
+ * @param {string} siteLanguage - Normalized site locale
+ * @param {Array<{siteLocale: string, language: string}>} overrides - Per-locale override table
+ * @param {string} fallback - Language used when nothing matches
+ */
+export function resolveEmbeddedServiceLanguage(siteLanguage, overrides = [], fallback = 'en_US') {
+    const locale = normalizeLocale(siteLanguage);
+    if (!locale) {
+        return fallback;
+    }
+
+    const validOverrides = overrides.filter(override => override?.language && normalizeLocale(override.siteLocale));
+    const override = validOverrides.find(o => normalizeLocale(o.siteLocale) === locale) ||
+        validOverrides.find(o => normalizeLocale(o.siteLocale) === baseLanguage(locale));
+    if (override) {
+        return override.language;
+    }
+
+    const supported = EMBEDDED_SERVICE_LANGUAGES.map(option => option.value);
+    if (supported.includes(locale)) {
+        return locale;
+    }
+
+    const sameLanguage = supported.find(code => baseLanguage(code) === baseLanguage(locale));
+    return sameLanguage || fallback;
+}
+
+// ==================== STRING BUNDLE ====================
+
+const LABELS = {
+    welcomeTitle: WELCOME_TITLE,
+    welcomeMessage: WELCOME_MESSAGE,
+    inputPlaceholder: INPUT_PLACEHOLDER,
+    sendButtonLabel: SEND_BUTTON,
+    loadingMessage: LOADING_MESSAGE,
+    timeoutTitle: TIMEOUT_TITLE,
+    timeoutMessage: TIMEOUT_MESSAGE,
+    tryAgain: TRY_AGAIN,
+    configRequired: CONFIG_REQUIRED,
+    downloadTranscript: DOWNLOAD_TRANSCRIPT,
+    transcriptFormatText: TRANSCRIPT_FORMAT_TEXT,
+    transcriptFormatMarkdown: TRANSCRIPT_FORMAT_MARKDOWN,
+    transcriptFormatJson: TRANSCRIPT_FORMAT_JSON,
+    resumeTitle: RESUME_TITLE,
+    resumeContinue: RESUME_CONTINUE,
+    resumeStartNew: RESUME_START_NEW,
+    attachFile: ATTACH_FILE,
+    removeAttachment: REMOVE_ATTACHMENT,
+    dropFile: DROP_FILE,
+    attachmentTypeError: ATTACHMENT_TYPE_ERROR,
+    attachmentSizeError: ATTACHMENT_SIZE_ERROR,
+    attachmentFailedTitle: ATTACHMENT_FAILED_TITLE,
+    attachmentFailedMessage: ATTACHMENT_FAILED_MESSAGE,
+    startDictation: START_DICTATION,
+    stopDictation: STOP_DICTATION,
+    dictationError: DICTATION_ERROR,
+    offlineTitle: OFFLINE_TITLE,
+    offlineMessage: OFFLINE_MESSAGE,
+    botOnlyMessage: BOT_ONLY_MESSAGE,
+    leaveMessage: LEAVE_MESSAGE,
+    close: CLOSE,
+    networkOffline: NETWORK_OFFLINE,
+    messageQueued: MESSAGE_QUEUED,
+    loadingConversationStarted: LOADING_CONVERSATION_STARTED,
+    loadingGreetingReceived: LOADING_GREETING_RECEIVED,
+    loadingMessageSent: LOADING_MESSAGE_SENT
+};
+
+/**
+ * Translatable strings, grouped by the component that renders them (for the CPE pickers)
+ */
+export const STRING_DEFINITIONS = [
+    { key: 'welcomeTitle', label: 'Welcome Title', component: 'inlineContainer' },
+    { key: 'welcomeMessage', label: 'Welcome Message', component: 'inlineContainer' },
+    { key: 'inputPlaceholder', label: 'Input Placeholder', component: 'inlineContainer' },
+    { key: 'sendButtonLabel', label: 'Send Button (screen reader)', component: 'inlineContainer' },
+    { key: 'loadingMessage', label: 'Loading Message', component: 'inlineContainer' },
+    { key: 'loadingConversationStarted', label: 'Loading - Conversation Started', component: 'inlineContainer' },
+    { key: 'loadingGreetingReceived', label: 'Loading - Agent Joined', component: 'inlineContainer' },
+    { key: 'loadingMessageSent', label: 'Loading - Message Sent', component: 'inlineContainer' },
+    { key: 'downloadTranscript', label: 'Download Transcript Menu', component: 'inlineContainer' },
+    { key: 'transcriptFormatText', label: 'Transcript Menu - Text Option', component: 'inlineContainer' },
+    { key: 'transcriptFormatMarkdown', label: 'Transcript Menu - Markdown Option', component: 'inlineContainer' },
+    { key: 'transcriptFormatJson', label: 'Transcript Menu - JSON Option', component: 'inlineContainer' },
+    { key: 'resumeTitle', label: 'Resume Card Title', component: 'inlineContainer' },
+    { key: 'resumeContinue', label: 'Resume Card Continue Button', component: 'inlineContainer' },
+    { key: 'resumeStartNew', label: 'Resume Card Start New Button', component: 'inlineContainer' },
+    { key: 'attachFile', label: 'Attach Button (screen reader)', component: 'inlineContainer' },
+    { key: 'removeAttachment', label: 'Remove Attachment (screen reader)', component: 'inlineContainer' },
+    { key: 'dropFile', label: 'Drop File Hint', component: 'inlineContainer' },
+    { key: 'attachmentTypeError', label: 'Unsupported File Type Error', component: 'inlineContainer' },
+    { key: 'attachmentSizeError', label: 'File Too Large Error ({0} = MB)', component: 'inlineContainer' },
+    { key: 'startDictation', label: 'Microphone Button (screen reader)', component: 'inlineContainer' },
+    { key: 'stopDictation', label: 'Stop Dictation Button (screen reader)', component: 'inlineContainer' },
+    { key: 'dictationError', label: 'Voice Input Error', component: 'inlineContainer' },
+    { key: 'networkOffline', label: 'Offline Banner', component: 'inlineContainer' },
+    { key: 'messageQueued', label: 'Queued Message Hint', component: 'inlineContainer' },
+    { key: 'timeoutTitle', label: 'Connection Timeout Title', component: 'chat' },
+    { key: 'timeoutMessage', label: 'Connection Timeout Message', component: 'chat' },
+    { key: 'tryAgain', label: 'Try Again Button', component: 'chat' },
+    { key: 'configRequired', label: 'Configuration Required', component: 'chat' },
+    { key: 'attachmentFailedTitle', label: 'Attachment Not Sent Title', component: 'chat' },
+    { key: 'attachmentFailedMessage', label: 'Attachment Not Sent Message', component: 'chat' },
+    { key: 'offlineTitle', label: 'Offline Title', component: 'chat' },
+    { key: 'offlineMessage', label: 'Offline Message', component: 'chat' },
+    { key: 'botOnlyMessage', label: 'Bot-Only Notice', component: 'chat' },
+    { key: 'leaveMessage', label: 'Leave a Message Link', component: 'chat' },
+    { key: 'close', label: 'Close Button (screen reader)', component: 'chat' }
+];
+
+/**
+ * Per-locale overrides that apply to a locale - base language first, exact locale wins
+ * @param {Array<{locale: string, key: string, value: string}>} overrides
+ * @param {string} locale - Normalized site locale
+ * @returns {Object} key → override text (only keys that have an override)
+ */
+export function getStringOverrides(overrides = [], locale = detectSiteLanguage()) {
+    const target = normalizeLocale(locale);
+    const result = {};
+    if (!target) {
+        return result;
+    }
+
+    const applicable = overrides.filter(override => override?.key && override.value);
+    [baseLanguage(target), target].forEach(candidate => {
+        applicable
+            .filter(override => normalizeLocale(override.locale) === candidate)
+            .forEach(override => {
+                result[override.key] = override.value;
+            });
+    });
+    return result;
+}
+
+/**
+ * Full string bundle for a locale: Custom Labels with the locale's overrides applied
+ */
+export function getStrings(overrides = [], locale = detectSiteLanguage()) {
+    return { ...LABELS, ...getStringOverrides(overrides, locale) };
+}
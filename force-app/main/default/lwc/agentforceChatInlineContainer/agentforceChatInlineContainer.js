@@ -1,4 +1,11 @@
 import { LightningElement, api, track } from 'lwc';
+import { detectSiteLanguage, getStrings, getStringOverrides } from 'c/agentforceChatI18n';
+import { registerContainer, unregisterContainer, isAttachmentSupported } from 'c/agentforceChatContainerRegistry';
+import { formatTranscript, getTranscript } from 'c/agentforceChatTranscript';
+import { getResumeInfo } from 'c/agentforceChatSessionStore';
+import { matchPageRule, parseStarterPrompts } from 'c/agentforceChatPageRules';
+import { isDictationSupported, startDictation, toSpeechLanguage } from 'c/agentforceChatDictation';
+import { OFFLINE_MODES, getCurrentAvailability } from 'c/agentforceChatBusinessHours';
 
 /**
  * @description Agentforce Chat Inline Container
@@ -9,6 +16,14 @@ import { LightningElement, api, track } from 'lwc';
  * the chat UI into it.
  *
  * If no container exists on the page, the chat will appear in floating (FAB) mode.
+ * Several containers can share a page - the core component uses the visible one
+ * with the highest priority, unless a launch targets a container by name.
+ *
+ * Page rules (c/agentforceChatPageRules) can swap the welcome copy and starters per
+ * page; they're re-checked when the core component sees an SPA navigation.
+ *
+ * Outside the business hours configured on agentforceChat, the composer is replaced by
+ * the offline copy (or, in bot-only mode, shown with a notice above it).
  *
  * CONFIGURATION:
  * Configure via the Custom Property Editor (CPE) in Experience Builder.
@@ -41,36 +56,87 @@ export default class AgentforceChatInlineContainer extends LightningElement {
         gradientStartColor: '#e8f4fd',
         gradientMidColor: '#f5f9fc',
         gradientEndColor: '#ffffff',
-        welcomeTitle: 'How can Agentforce help?',
+        welcomeTitle: '', // Empty = Custom Label (AgentforceChat_WelcomeTitle)
         welcomeTitleColor: '#032d60',
         calloutWord: 'Agentforce',
         calloutColor: '#0176d3',
         calloutBold: true,
         calloutItalic: false,
         calloutFontWeight: '700',
-        welcomeMessage: 'Ask questions, get personalized answers, and take action with Agentforce.',
+        welcomeMessage: '', // Empty = Custom Label (AgentforceChat_WelcomeMessage)
         agentPrimaryColor: '#0176d3',
         sendButtonColor: '#0176d3',
         autoDetectSearchQuery: false,
         searchPagePath: '/global-search',
         searchQueryParam: 'term',
-        searchStartsNewChat: true
+        searchStartsNewChat: true,
+        containerName: '', // Name other containers can target (empty = generated id only)
+        containerPriority: 0, // Higher wins when several containers are visible
+        launchTargetName: '', // Container that displays chats launched here (empty = this one)
+        showTranscriptDownload: false, // Needs "Record Transcript" in the Agentforce Chat CPE
+        maxMessageLength: 2000, // Composer character limit (0 = no limit)
+        allowAttachments: false, // Attach button + drag-and-drop (needs file uploads in the deployment)
+        attachmentTypes: 'image/png,image/jpeg,image/gif,application/pdf', // MIME types, 'image/*' or '.ext'
+        attachmentMaxSizeMb: 5,
+        voiceInputEnabled: false, // Microphone button (hidden where the Web Speech API is missing)
+        voiceAutoSend: false, // Send as soon as the spoken message is recognized
+        starters: [], // [{ id, label, message }] - chips under the input (empty message = label)
+        pageRules: [], // See c/agentforceChatPageRules - first matching rule overrides the welcome copy
+        stringOverrides: [] // [{ id, locale, key, value }]
+    };
+
+    // Loading message per milestone reported by the core component (LOADING_STAGES there)
+    static LOADING_STAGE_LABELS = {
+        bootstrap_ready: 'loadingMessage',
+        conversation_started: 'loadingConversationStarted',
+        greeting_received: 'loadingGreetingReceived',
+        message_sent: 'loadingMessageSent'
     };
 
+    // How often the resume card's "5 minutes ago" is re-rendered
+    static RESUME_CLOCK_MS = 30000;
+
     // Internal tracked config (merged from CPE or @api properties)
     @track _config = { ...AgentforceChatInlineContainer.DEFAULTS };
     _configApplied = false;
 
     // Internal state
     _containerId = null;
+    _registryEntry = null;
     _isWelcomeVisible = true;
     _inputMessage = '';
+    _resumeInfo = null; // { lastActivityAt, lastAgentMessage } when a conversation can be continued
+    _resumeClock = Date.now(); // Reference time for resumeTimeAgo (ticks while the resume card shows)
+    _resumeClockInterval = null;
+    _pageRule = null; // Page rule matching the current URL
+    _availability = getCurrentAvailability(); // { available, mode, title, message, leaveMessageUrl, leaveMessageLabel }
+
+    // Welcome screen attachment - handed to the core component with the chatstart event
+    _attachment = null; // File
+    _attachmentPreviewUrl = null; // Object URL for image thumbnails
+    _attachmentError = '';
+    _isDragging = false;
+    _attachmentsSupported = false; // Deployment exposes a file upload API - pushed by the core component
+
+    // Browser connectivity - pushed by the core component, which queues chat starts while offline
+    _isNetworkOffline = false;
+    _queuedMessage = ''; // Welcome message waiting for the connection to return (composer locked meanwhile)
+
+    // Voice dictation (c/agentforceChatDictation)
+    _dictation = null; // { stop } while listening
+    _dictationError = '';
+    _resizeComposerOnRender = false;
 
     // Loading state
     _isLoadingVisible = false;
     _loadingProgress = 0; // 0-100
     _isCompleting = false;
-    _loadingMessage = 'Connecting you to our AI Agent! We\'ll be right with you.';
+    _loadingMessage = '';
+
+    // Strings for the active site language
+    _siteLanguage = null;
+    _labels = getStrings();
+    _localeOverrides = {};
 
     // ==================== LIFECYCLE ====================
 
@@ -81,9 +147,16 @@ export default class AgentforceChatInlineContainer extends LightningElement {
         // Generate unique container ID
         this._containerId = 'agentforce-inline-container-' + Date.now() + '-' + Math.random().toString(36).substring(2, 9);
 
-        // Register this container globally so the core component can find it
-        window.__agentforceChatInlineContainer = {
+        // Business hours state as last shared by the core component (pushed on change after this)
+        this._availability = getCurrentAvailability();
+        this._isNetworkOffline = navigator.onLine === false;
+        this._attachmentsSupported = isAttachmentSupported();
+
+        // Register this container so the core component can find it
+        this._registryEntry = registerContainer({
             id: this._containerId,
+            name: this._config.containerName,
+            priority: Number(this._config.containerPriority) || 0,
             element: null, // Will be set in renderedCallback
             showChat: () => this._showChat(),
             hideWelcome: () => this._hideWelcome(),
@@ -93,8 +166,18 @@ export default class AgentforceChatInlineContainer extends LightningElement {
             // Loading screen methods
             showLoading: () => this._showLoading(),
             updateLoadingProgress: (percent, message) => this._updateLoadingProgress(percent, message),
+            getLoadingStageMessage: (stage) => this._labels[AgentforceChatInlineContainer.LOADING_STAGE_LABELS[stage]],
             completeLoading: (callback) => this._completeLoading(callback),
             hideLoading: () => this._hideLoading(),
+            // Page rules - re-checked by the core component after SPA navigation
+            refreshPageRules: () => this._evaluatePageRules(),
+            pageRule: null,
+            // Business hours - pushed by the core component when availability or the offline copy changes
+            setAvailability: (availability) => { this._availability = availability; },
+            // Offline banner - the core component holds the chat start until the connection returns
+            setNetworkStatus: (online) => this._setNetworkStatus(online),
+            // File uploads - the attach button stays hidden until the core component confirms support
+            setAttachmentSupport: (supported) => this._setAttachmentSupport(supported),
             // Share search config so core component can auto-detect
             searchConfig: {
                 autoDetectSearchQuery: this._config.autoDetectSearchQuery,
@@ -102,14 +185,20 @@ export default class AgentforceChatInlineContainer extends LightningElement {
                 searchQueryParam: this._config.searchQueryParam,
                 searchStartsNewChat: this._config.searchStartsNewChat
             }
-        };
+        });
+
+        console.log('[AgentforceChatInlineContainer] Registered container:', this._containerId,
+            'name:', this._config.containerName, 'priority:', this._registryEntry.priority);
 
-        console.log('[AgentforceChatInlineContainer] Registered container:', this._containerId);
+        this._evaluatePageRules();
 
         // Check if there's already an active conversation to display
         // This handles navigation from FAB mode or other inline pages
         this._checkForActiveConversation();
 
+        // Otherwise offer to continue it from the welcome screen
+        this._refreshResumeInfo();
+
         // Check for search query if on search page
         this._detectSearchQuery();
     }
@@ -117,17 +206,29 @@ export default class AgentforceChatInlineContainer extends LightningElement {
     renderedCallback() {
         // Update the element reference
         const container = document.getElementById(this._containerId);
-        if (container && window.__agentforceChatInlineContainer) {
-            window.__agentforceChatInlineContainer.element = container;
+        if (container && this._registryEntry) {
+            this._registryEntry.element = container;
+        }
+
+        // Text set from code (dictation) doesn't fire input events - resize once it's rendered
+        if (this._resizeComposerOnRender) {
+            this._resizeComposerOnRender = false;
+            const composer = this.querySelector('.message-input');
+            if (composer) {
+                this._resizeComposer(composer);
+            }
         }
     }
 
     disconnectedCallback() {
-        // Clean up global registration
-        if (window.__agentforceChatInlineContainer?.id === this._containerId) {
-            window.__agentforceChatInlineContainer = null;
-            console.log('[AgentforceChatInlineContainer] Unregistered container');
-        }
+        this._clearAttachment();
+        this._stopDictation();
+        this._stopResumeClock();
+
+        // Clean up registration - other containers stay registered
+        unregisterContainer(this._containerId);
+        this._registryEntry = null;
+        console.log('[AgentforceChatInlineContainer] Unregistered container:', this._containerId);
     }
 
     // ==================== CONFIGURATION ====================
@@ -158,6 +259,34 @@ export default class AgentforceChatInlineContainer extends LightningElement {
 
         this._config = config;
         this._configApplied = true;
+        this._applyStrings();
+        this._evaluatePageRules();
+    }
+
+    /**
+     * Pick the page rule for the current URL and share it with the core component
+     * (included in SESSION_STARTED so conversations can be attributed to the rule)
+     */
+    _evaluatePageRules() {
+        const rule = matchPageRule(this._config.pageRules || []);
+        if (rule?.id !== this._pageRule?.id) {
+            console.log('[AgentforceChatInlineContainer] Page rule:', rule ? (rule.name || rule.id) : 'none');
+        }
+        this._pageRule = rule;
+        if (this._registryEntry) {
+            this._registryEntry.pageRule = rule ? { id: rule.id, name: rule.name || '' } : null;
+        }
+    }
+
+    /**
+     * Pick the string bundle for the active site language
+     * Locale overrides win over the configured welcome title/message, which win over the labels
+     */
+    _applyStrings() {
+        this._siteLanguage = detectSiteLanguage();
+        const overrides = this._config.stringOverrides || [];
+        this._labels = getStrings(overrides, this._siteLanguage);
+        this._localeOverrides = getStringOverrides(overrides, this._siteLanguage);
     }
 
     // ==================== ACTIVE CONVERSATION DETECTION ====================
@@ -209,7 +338,7 @@ export default class AgentforceChatInlineContainer extends LightningElement {
             // Dispatch event to trigger projection from core component
             // Use a custom event that the core component listens for
             document.dispatchEvent(new CustomEvent('agentforceProjectChat', {
-                detail: { containerId: this._containerId },
+                detail: { containerId: this._containerId, targetContainer: this._containerId },
                 bubbles: true,
                 composed: true
             }));
@@ -267,6 +396,10 @@ export default class AgentforceChatInlineContainer extends LightningElement {
      * Auto-send the search query to the chat
      */
     _autoSendSearchQuery(query) {
+        if (this.isOffline) {
+            console.log('[AgentforceChatInlineContainer] Outside business hours, not auto-sending search query');
+            return;
+        }
         console.log('[AgentforceChatInlineContainer] Auto-sending search query:', query);
 
         // Dispatch chatstart event with the search query
@@ -274,14 +407,17 @@ export default class AgentforceChatInlineContainer extends LightningElement {
             detail: {
                 message: query,
                 isSearchQuery: true,
-                searchStartsNewChat: this._config.searchStartsNewChat
+                searchStartsNewChat: this._config.searchStartsNewChat,
+                targetContainer: this._launchTarget
             },
             bubbles: true,
             composed: true
         }));
 
-        // Hide welcome screen
-        this._hideWelcome();
+        // Hide welcome screen - unless the chat is launching into another container
+        if (this._launchesHere) {
+            this._hideWelcome();
+        }
     }
 
     // ==================== COMPUTED PROPERTIES ====================
@@ -312,6 +448,18 @@ export default class AgentforceChatInlineContainer extends LightningElement {
         return this._isLoadingVisible;
     }
 
+    get showTranscriptDownload() {
+        return this._config.showTranscriptDownload === true;
+    }
+
+    get isTranscriptBarVisible() {
+        return this.showTranscriptDownload && !this.isWelcomeVisible && !this._isLoadingVisible;
+    }
+
+    get wrapperClass() {
+        return this.showTranscriptDownload ? 'agentforce-inline-wrapper has-transcript-bar' : 'agentforce-inline-wrapper';
+    }
+
     get loadingAvatarStyle() {
         const color = this._config.agentPrimaryColor;
         // Create a semi-transparent version of the primary color for the background
@@ -328,14 +476,151 @@ export default class AgentforceChatInlineContainer extends LightningElement {
         return this._loadingMessage;
     }
 
+    get labels() {
+        return this._labels;
+    }
+
+    get welcomeTitleText() {
+        return this._pageRule?.welcomeTitle || this._localeOverrides.welcomeTitle ||
+            this._config.welcomeTitle || this._labels.welcomeTitle;
+    }
+
+    get starterChips() {
+        const ruleStarters = parseStarterPrompts(this._pageRule);
+        const starters = ruleStarters.length ? ruleStarters : (this._config.starters || []);
+        return starters.filter(starter => starter.label && starter.label.trim());
+    }
+
+    get hasStarters() {
+        return this.starterChips.length > 0;
+    }
+
+    get starterChipStyle() {
+        return `--starter-color: ${this._config.sendButtonColor};`;
+    }
+
     get isSendDisabled() {
-        return !this._inputMessage || this._inputMessage.trim() === '';
+        return this.isMessageQueued || ((!this._inputMessage || this._inputMessage.trim() === '') && !this._attachment);
+    }
+
+    get allowAttachments() {
+        return this._config.allowAttachments === true && this._attachmentsSupported && !this.isOffline;
+    }
+
+    get attachmentAccept() {
+        return this._config.attachmentTypes;
+    }
+
+    get hasAttachment() {
+        return !!this._attachment;
+    }
+
+    get attachmentName() {
+        return this._attachment?.name;
+    }
+
+    get attachmentPreviewUrl() {
+        return this._attachmentPreviewUrl;
+    }
+
+    get attachmentError() {
+        return this._attachmentError;
+    }
+
+    get isDragging() {
+        return this._isDragging;
+    }
+
+    get isNetworkOffline() {
+        return this._isNetworkOffline;
+    }
+
+    get queuedMessage() {
+        return this._queuedMessage;
+    }
+
+    /**
+     * The core component holds a single chat start while offline, so nothing more is
+     * accepted until it has been sent
+     */
+    get isMessageQueued() {
+        return !!this._queuedMessage;
+    }
+
+    get isOffline() {
+        return this._availability.available === false && this._availability.mode !== OFFLINE_MODES.BOT_ONLY;
+    }
+
+    get isBotOnly() {
+        return this._availability.available === false && this._availability.mode === OFFLINE_MODES.BOT_ONLY;
+    }
+
+    get offlineTitle() {
+        return this._availability.title;
+    }
+
+    get offlineMessage() {
+        return this._availability.message;
+    }
+
+    get leaveMessageUrl() {
+        return this._availability.leaveMessageUrl;
+    }
+
+    get leaveMessageLabel() {
+        return this._availability.leaveMessageLabel;
+    }
+
+    get leaveMessageStyle() {
+        return `background-color: ${this._config.sendButtonColor};`;
+    }
+
+    get showDictation() {
+        return this._config.voiceInputEnabled === true && isDictationSupported();
+    }
+
+    get isListening() {
+        return !!this._dictation;
+    }
+
+    get dictationIconName() {
+        return this._dictation ? 'utility:stop' : 'utility:unmuted';
+    }
+
+    get dictationLabel() {
+        return this._dictation ? this._labels.stopDictation : this._labels.startDictation;
+    }
+
+    get dictationButtonClass() {
+        return this._dictation ? 'dictation-button is-listening' : 'dictation-button';
+    }
+
+    get dictationError() {
+        return this._dictationError;
+    }
+
+    get welcomeScreenClass() {
+        return this._isDragging ? 'welcome-screen is-dragging' : 'welcome-screen';
     }
 
     get inputMessage() {
         return this._inputMessage;
     }
 
+    get maxMessageLength() {
+        const max = parseInt(this._config.maxMessageLength, 10);
+        return max > 0 ? max : null;
+    }
+
+    get characterCount() {
+        return this._inputMessage.length;
+    }
+
+    get characterCounterClass() {
+        const max = this.maxMessageLength;
+        return max && this._inputMessage.length >= max * 0.9 ? 'character-counter near-limit' : 'character-counter';
+    }
+
     get welcomeTitleStyle() {
         return `color: ${this._config.welcomeTitleColor};`;
     }
@@ -367,8 +652,8 @@ export default class AgentforceChatInlineContainer extends LightningElement {
      * Parses the welcome title and splits it into parts for rendering
      */
     get titleParts() {
-        const title = this._config.welcomeTitle || '';
-        const callout = this._config.calloutWord || '';
+        const title = this.welcomeTitleText || '';
+        const callout = this._pageRule?.calloutWord || this._config.calloutWord || '';
 
         if (!callout) {
             return [{ text: title, isCallout: false }];
@@ -400,21 +685,97 @@ export default class AgentforceChatInlineContainer extends LightningElement {
     }
 
     get displayWelcomeMessage() {
-        return this._config.welcomeMessage;
+        return this._pageRule?.welcomeMessage || this._localeOverrides.welcomeMessage ||
+            this._config.welcomeMessage || this._labels.welcomeMessage;
+    }
+
+    get hasResumeCard() {
+        return !!this._resumeInfo;
+    }
+
+    get resumeButtonStyle() {
+        return `background-color: ${this._config.sendButtonColor};`;
+    }
+
+    get resumeSnippet() {
+        return this._resumeInfo?.lastAgentMessage;
+    }
+
+    /**
+     * Time since the last message, in the site language ("5 minutes ago")
+     */
+    get resumeTimeAgo() {
+        if (!this._resumeInfo) {
+            return '';
+        }
+        const seconds = Math.round((this._resumeInfo.lastActivityAt - this._resumeClock) / 1000);
+        let value = Math.round(seconds / 3600);
+        let unit = 'hour';
+        if (Math.abs(seconds) < 60) {
+            value = seconds;
+            unit = 'second';
+        } else if (Math.abs(seconds) < 3600) {
+            value = Math.round(seconds / 60);
+            unit = 'minute';
+        }
+        try {
+            const locale = (this._siteLanguage || 'en_US').replace('_', '-');
+            return new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(value, unit);
+        } catch (error) {
+            console.warn('[AgentforceChatInlineContainer] Relative time unavailable:', error.message);
+            return new Date(this._resumeInfo.lastActivityAt).toLocaleTimeString();
+        }
     }
 
     // ==================== EVENT HANDLERS ====================
 
     handleInputChange(event) {
         this._inputMessage = event.target.value;
+        this._resizeComposer(event.target);
     }
 
-    handleKeyUp(event) {
-        if (event.key === 'Enter' && !this.isSendDisabled) {
+    /**
+     * Enter sends, Shift+Enter inserts a newline (as does Enter while an IME is composing)
+     */
+    handleKeyDown(event) {
+        if (event.key !== 'Enter' || event.shiftKey || event.isComposing) {
+            return;
+        }
+        event.preventDefault();
+        if (!this.isSendDisabled) {
             this.handleSendMessage();
         }
     }
 
+    /**
+     * Paste normalization - trailing spaces trimmed, runs of blank lines collapsed to one
+     * and the pasted text trimmed, then inserted at the cursor within the length limit
+     */
+    handlePaste(event) {
+        const pasted = event.clipboardData?.getData('text/plain');
+        if (!pasted) {
+            return;
+        }
+        event.preventDefault();
+
+        const textarea = event.target;
+        let text = pasted
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t]+$/gm, '')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+
+        const max = this.maxMessageLength;
+        if (max) {
+            const selected = textarea.selectionEnd - textarea.selectionStart;
+            text = text.substring(0, Math.max(0, max - textarea.value.length + selected));
+        }
+
+        textarea.setRangeText(text, textarea.selectionStart, textarea.selectionEnd, 'end');
+        this._inputMessage = textarea.value;
+        this._resizeComposer(textarea);
+    }
+
     handleSendMessage() {
         if (this.isSendDisabled) {
             return;
@@ -422,29 +783,322 @@ export default class AgentforceChatInlineContainer extends LightningElement {
 
         const messageText = this._inputMessage.trim();
         console.log('[AgentforceChatInlineContainer] User sent message:', messageText);
+        this._startChat({ message: messageText });
+    }
+
+    /**
+     * Conversation starter chip - sends its message as if typed
+     * starterId lets the core component publish STARTER_CLICKED
+     */
+    handleStarterClick(event) {
+        if (this.isMessageQueued) {
+            return;
+        }
+        const starter = this.starterChips.find(item => item.id === event.currentTarget.dataset.id);
+        if (!starter) {
+            return;
+        }
+
+        const messageText = (starter.message || starter.label).trim();
+        console.log('[AgentforceChatInlineContainer] Starter clicked:', starter.id, messageText);
+        this._startChat({ message: messageText, starterId: starter.id, containerId: this._containerId });
+    }
 
-        // Dispatch event to notify the core component
+    _startChat(detail) {
+        const attachmentName = this._attachment?.name || '';
+
+        // Dispatch event to notify the core component (it queues the attachment with the message)
         this.dispatchEvent(new CustomEvent('chatstart', {
-            detail: { message: messageText },
+            detail: { ...detail, attachment: this._attachment, targetContainer: this._launchTarget },
             bubbles: true,
             composed: true
         }));
+        this._clearAttachment();
+
+        // Offline - the core component holds the request, so keep the welcome screen up
+        // and show what's waiting until the loading screen takes over
+        if (this._isNetworkOffline) {
+            this._stopDictation();
+            this._queuedMessage = detail.message || attachmentName;
+            this._inputMessage = '';
+            const composer = this.querySelector('.message-input');
+            if (composer) {
+                composer.style.height = '';
+            }
+            return;
+        }
+
+        // Hide welcome screen - unless the chat is launching into another container
+        if (this._launchesHere) {
+            this._hideWelcome();
+        } else {
+            this._inputMessage = '';
+            const composer = this.querySelector('.message-input');
+            if (composer) {
+                composer.style.height = '';
+            }
+        }
+    }
+
+    // ==================== NETWORK STATUS ====================
+
+    _setNetworkStatus(online) {
+        console.log('[AgentforceChatInlineContainer] Network', online ? 'online' : 'offline');
+        this._isNetworkOffline = !online;
+        if (online) {
+            // The core component sends the queued message now
+            this._queuedMessage = '';
+        }
+    }
+
+    // ==================== VOICE DICTATION ====================
+
+    handleDictationToggle() {
+        if (this._dictation) {
+            this._stopDictation();
+            return;
+        }
+
+        // Follow the chat language (set by the core component), then the site language
+        const language = toSpeechLanguage(window.embeddedservice_bootstrap?.settings?.language || this._siteLanguage);
+        const base = this._inputMessage.trim();
+        const compose = (text) => {
+            // Punctuation spoken on its own attaches to the previous word
+            const separator = /^[.,:;!?]/.test(text) ? '' : ' ';
+            const message = base ? `${base}${separator}${text}` : text;
+            return this.maxMessageLength ? message.substring(0, this.maxMessageLength) : message;
+        };
+        let finalText = '';
+
+        this._dictationError = '';
+        console.log('[AgentforceChatInlineContainer] Starting dictation, language:', language);
+        this._dictation = startDictation({
+            language,
+            onInterim: (text) => {
+                this._inputMessage = compose(text);
+                this._resizeComposerOnRender = true;
+            },
+            onFinal: (text) => {
+                finalText = text;
+                this._inputMessage = compose(text);
+                this._resizeComposerOnRender = true;
+            },
+            onError: (error) => {
+                console.warn('[AgentforceChatInlineContainer] Dictation error:', error);
+                // Silence and stopping aren't failures
+                if (error !== 'no-speech' && error !== 'aborted') {
+                    this._dictationError = this._labels.dictationError;
+                }
+            },
+            onEnd: () => {
+                this._dictation = null;
+                if (!finalText) {
+                    // Drop unconfirmed interim text
+                    this._inputMessage = base;
+                    this._resizeComposerOnRender = true;
+                } else if (this._config.voiceAutoSend && !this.isSendDisabled) {
+                    this.handleSendMessage();
+                }
+            }
+        });
+    }
 
-        // Hide welcome screen
-        this._hideWelcome();
+    _stopDictation() {
+        if (this._dictation) {
+            this._dictation.stop();
+        }
+    }
+
+    // ==================== ATTACHMENTS ====================
+
+    handleAttachClick() {
+        const input = this.querySelector('.attachment-input');
+        if (input) {
+            input.click();
+        }
+    }
+
+    handleAttachmentSelected(event) {
+        const file = event.target.files?.[0];
+        // Allow picking the same file again after removing it
+        event.target.value = '';
+        if (file) {
+            this._setAttachment(file);
+        }
+    }
+
+    handleRemoveAttachment() {
+        this._clearAttachment();
+    }
+
+    handleDragOver(event) {
+        if (!this.allowAttachments || this.isMessageQueued || !Array.from(event.dataTransfer?.types || []).includes('Files')) {
+            return;
+        }
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        this._isDragging = true;
+    }
+
+    handleDragLeave(event) {
+        // Ignore leaving for a child element of the welcome screen
+        if (!event.currentTarget.contains(event.relatedTarget)) {
+            this._isDragging = false;
+        }
+    }
+
+    handleDrop(event) {
+        if (!this.allowAttachments || this.isMessageQueued) {
+            return;
+        }
+        event.preventDefault();
+        this._isDragging = false;
+        const file = event.dataTransfer?.files?.[0];
+        if (file) {
+            this._setAttachment(file);
+        }
+    }
+
+    /**
+     * Validate against the configured types and size, then show the preview
+     */
+    _setAttachment(file) {
+        const error = this._validateAttachment(file);
+        if (error) {
+            console.warn('[AgentforceChatInlineContainer] Attachment rejected:', file.name, error);
+            this._attachmentError = error;
+            return;
+        }
+
+        this._clearAttachment();
+        this._attachment = file;
+        this._attachmentPreviewUrl = file.type.startsWith('image/') ? URL.createObjectURL(file) : null;
+        console.log('[AgentforceChatInlineContainer] Attachment added:', file.name, file.type, file.size);
+    }
+
+    _validateAttachment(file) {
+        const accepted = (this._config.attachmentTypes || '').split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+        const name = file.name.toLowerCase();
+        const type = (file.type || '').toLowerCase();
+        const typeAllowed = !accepted.length || accepted.some(entry => {
+            if (entry.startsWith('.')) {
+                return name.endsWith(entry);
+            }
+            if (entry.endsWith('/*')) {
+                return type.startsWith(entry.slice(0, -1));
+            }
+            return type === entry;
+        });
+        if (!typeAllowed) {
+            return this._labels.attachmentTypeError;
+        }
+
+        const maxMb = Number(this._config.attachmentMaxSizeMb) || 5;
+        if (file.size > maxMb * 1024 * 1024) {
+            return this._labels.attachmentSizeError.replace('{0}', maxMb);
+        }
+        return '';
+    }
+
+    _setAttachmentSupport(supported) {
+        this._attachmentsSupported = supported;
+        if (!supported) {
+            // A file picked earlier could never be delivered
+            this._clearAttachment();
+            this._isDragging = false;
+        }
+    }
+
+    _clearAttachment() {
+        if (this._attachmentPreviewUrl) {
+            URL.revokeObjectURL(this._attachmentPreviewUrl);
+        }
+        this._attachment = null;
+        this._attachmentPreviewUrl = null;
+        this._attachmentError = '';
+    }
+
+    /**
+     * Resume card "Continue" - project the existing conversation (same path as
+     * _detectAndProjectActiveConversation, but also maximizes a minimized chat)
+     */
+    handleResumeContinue() {
+        console.log('[AgentforceChatInlineContainer] Continuing previous conversation');
+        this._resumeInfo = null;
+        if (this._launchesHere) {
+            this._hideWelcome();
+        }
+        document.dispatchEvent(new CustomEvent('agentforceProjectChat', {
+            detail: { containerId: this._containerId, targetContainer: this._launchTarget, resume: true },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    /**
+     * Resume card "Start new" - the core component discards the conversation
+     * (_resetForNewConversation); the welcome screen stays for the next message
+     */
+    handleResumeStartNew() {
+        console.log('[AgentforceChatInlineContainer] Discarding previous conversation');
+        this._resumeInfo = null;
+        document.dispatchEvent(new CustomEvent('agentforceStartNewChat', {
+            detail: { containerId: this._containerId },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    /**
+     * Save the local transcript as a file - menu values are 'txt', 'md' or 'json'
+     */
+    handleTranscriptDownload(event) {
+        const { content, mimeType, extension } = formatTranscript(getTranscript(), event.detail.value);
+        const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `chat-transcript-${new Date().toISOString().slice(0, 10)}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
 
     // ==================== INTERNAL METHODS ====================
 
+    /**
+     * Container that should display chats launched from this one (name or id)
+     */
+    get _launchTarget() {
+        return this._config.launchTargetName || this._config.containerName || this._containerId;
+    }
+
+    get _launchesHere() {
+        const target = this._launchTarget;
+        return target === this._containerId || target === this._config.containerName;
+    }
+
+    /**
+     * Grow the composer with its content - CSS max-height caps it and scrolls beyond that
+     */
+    _resizeComposer(textarea) {
+        textarea.style.height = 'auto';
+        textarea.style.height = `${textarea.scrollHeight}px`;
+    }
+
     _hideWelcome() {
         console.log('[AgentforceChatInlineContainer] _hideWelcome called, setting _isWelcomeVisible = false');
         this._isWelcomeVisible = false;
         this._inputMessage = '';
+        this._clearAttachment();
+        this._stopDictation();
     }
 
     _showWelcome() {
         this._isWelcomeVisible = true;
         this._inputMessage = '';
+        this._refreshResumeInfo();
     }
 
     _showChat() {
@@ -459,6 +1113,30 @@ export default class AgentforceChatInlineContainer extends LightningElement {
         console.log('[AgentforceChatInlineContainer] Resetting to welcome screen');
         this._isWelcomeVisible = true;
         this._inputMessage = '';
+        this._queuedMessage = '';
+        this._refreshResumeInfo();
+    }
+
+    _refreshResumeInfo() {
+        this._resumeInfo = getResumeInfo();
+        this._resumeClock = Date.now();
+        if (!this._resumeInfo) {
+            this._stopResumeClock();
+        } else if (!this._resumeClockInterval) {
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            this._resumeClockInterval = setInterval(() => {
+                if (!this._resumeInfo) {
+                    this._stopResumeClock();
+                    return;
+                }
+                this._resumeClock = Date.now();
+            }, AgentforceChatInlineContainer.RESUME_CLOCK_MS);
+        }
+    }
+
+    _stopResumeClock() {
+        clearInterval(this._resumeClockInterval);
+        this._resumeClockInterval = null;
     }
 
     _darkenColor(hex, percent) {
@@ -494,9 +1172,10 @@ export default class AgentforceChatInlineContainer extends LightningElement {
         console.log('[AgentforceChatInlineContainer] Showing loading screen');
         this._isWelcomeVisible = false;
         this._isLoadingVisible = true;
+        this._queuedMessage = '';
         this._loadingProgress = 0;
         this._isCompleting = false;
-        this._loadingMessage = 'Connecting you to our AI Agent! We\'ll be right with you.';
+        this._loadingMessage = this._labels.loadingMessage;
     }
 
     /**
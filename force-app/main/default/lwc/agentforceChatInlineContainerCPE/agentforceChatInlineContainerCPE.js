@@ -1,4 +1,6 @@
 import { LightningElement, api, track } from 'lwc';
+import { STRING_DEFINITIONS } from 'c/agentforceChatI18n';
+import { PATH_MATCH_TYPES } from 'c/agentforceChatPageRules';
 
 /**
  * Custom Property Editor for Agentforce Chat Inline Container component
@@ -24,12 +26,19 @@ export default class AgentforceChatInlineContainerCPE extends LightningElement {
         height: 600,
         widthPercent: 100,
         showWelcomeScreen: true,
+        showTranscriptDownload: false,
+        maxMessageLength: 2000,
+        allowAttachments: false,
+        attachmentTypes: 'image/png,image/jpeg,image/gif,application/pdf',
+        attachmentMaxSizeMb: 5,
+        voiceInputEnabled: false,
+        voiceAutoSend: false,
         // Welcome Screen
         gradientStartColor: '#e8f4fd',
         gradientMidColor: '#f5f9fc',
         gradientEndColor: '#ffffff',
         customizeGradient: false,
-        welcomeTitle: 'How can Agentforce help?',
+        welcomeTitle: '', // Empty = Custom Label (translatable)
         welcomeTitleColor: '#032d60',
         calloutWord: 'Agentforce',
         calloutColor: '#0176d3',
@@ -37,7 +46,7 @@ export default class AgentforceChatInlineContainerCPE extends LightningElement {
         calloutItalic: false,
         calloutFontWeight: '700',
         customizeCalloutWord: false,
-        welcomeMessage: 'Ask questions, get personalized answers, and take action with Agentforce.',
+        welcomeMessage: '', // Empty = Custom Label (translatable)
         // Branding
         agentPrimaryColor: '#0176d3',
         sendButtonColor: '#0176d3',
@@ -45,7 +54,17 @@ export default class AgentforceChatInlineContainerCPE extends LightningElement {
         autoDetectSearchQuery: false,
         searchPagePath: '/global-search',
         searchQueryParam: 'term',
-        searchStartsNewChat: true
+        searchStartsNewChat: true,
+        // Multiple Containers
+        containerName: '',
+        containerPriority: 0,
+        launchTargetName: '',
+        // Conversation starters - chips under the welcome input
+        starters: [], // [{ id, label, message }]
+        // Page rules - per-page welcome copy and starters (first match wins)
+        pageRules: [], // [{ id, name, pathPattern, pathMatchType, queryParams, recordType, welcomeTitle, welcomeMessage, calloutWord, starterPrompts }]
+        // Translations - per-locale overrides of the Custom Label strings
+        stringOverrides: [] // [{ id, locale, key, value }]
     };
 
     // Experience Cloud CPE Contract - value getter/setter
@@ -84,7 +103,11 @@ export default class AgentforceChatInlineContainerCPE extends LightningElement {
     @track isDisplayExpanded = true;
     @track isAppearanceExpanded = false;
     @track isWelcomeExpanded = false;
+    @track isStartersExpanded = false;
+    @track isPageRulesExpanded = false;
     @track isSearchExpanded = false;
+    @track isContainersExpanded = false;
+    @track isTranslationsExpanded = false;
 
     // ==================== OPTIONS ====================
 
@@ -105,6 +128,19 @@ export default class AgentforceChatInlineContainerCPE extends LightningElement {
         ];
     }
 
+    get pathMatchTypeOptions() {
+        return [
+            { label: 'Glob (/billing/*)', value: PATH_MATCH_TYPES.GLOB },
+            { label: 'Regular Expression', value: PATH_MATCH_TYPES.REGEX }
+        ];
+    }
+
+    get stringKeyOptions() {
+        return STRING_DEFINITIONS
+            .filter(definition => definition.component === 'inlineContainer')
+            .map(definition => ({ label: definition.label, value: definition.key }));
+    }
+
     // ==================== SECTION ICONS ====================
 
     get displayIconName() {
@@ -119,16 +155,39 @@ export default class AgentforceChatInlineContainerCPE extends LightningElement {
         return this.isWelcomeExpanded ? 'utility:chevrondown' : 'utility:chevronright';
     }
 
+    get startersIconName() {
+        return this.isStartersExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
+    get pageRulesIconName() {
+        return this.isPageRulesExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
     get searchIconName() {
         return this.isSearchExpanded ? 'utility:chevrondown' : 'utility:chevronright';
     }
 
+    get containersIconName() {
+        return this.isContainersExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
+    get translationsIconName() {
+        return this.isTranslationsExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
     // ==================== TEMPLATE BINDINGS ====================
 
     // Display
     get height() { return this._config.height; }
     get widthPercent() { return this._config.widthPercent; }
     get showWelcomeScreen() { return this._config.showWelcomeScreen; }
+    get showTranscriptDownload() { return this._config.showTranscriptDownload; }
+    get maxMessageLength() { return this._config.maxMessageLength; }
+    get allowAttachments() { return this._config.allowAttachments; }
+    get attachmentTypes() { return this._config.attachmentTypes; }
+    get attachmentMaxSizeMb() { return this._config.attachmentMaxSizeMb; }
+    get voiceInputEnabled() { return this._config.voiceInputEnabled; }
+    get voiceAutoSend() { return this._config.voiceAutoSend; }
 
     // Welcome screen
     get gradientStartColor() { return this._config.gradientStartColor; }
@@ -150,12 +209,40 @@ export default class AgentforceChatInlineContainerCPE extends LightningElement {
     get agentPrimaryColor() { return this._config.agentPrimaryColor; }
     get sendButtonColor() { return this._config.sendButtonColor; }
 
+    // Conversation starters, with position flags for the reorder buttons
+    get starterRows() {
+        const starters = this._config.starters || [];
+        return starters.map((starter, index) => ({
+            ...starter,
+            isFirst: index === 0,
+            isLast: index === starters.length - 1
+        }));
+    }
+
+    // Page rules, with position flags for the reorder buttons
+    get pageRuleRows() {
+        const rules = this._config.pageRules || [];
+        return rules.map((rule, index) => ({
+            ...rule,
+            isFirst: index === 0,
+            isLast: index === rules.length - 1
+        }));
+    }
+
     // Search
     get autoDetectSearchQuery() { return this._config.autoDetectSearchQuery; }
     get searchPagePath() { return this._config.searchPagePath; }
     get searchQueryParam() { return this._config.searchQueryParam; }
     get searchStartsNewChat() { return this._config.searchStartsNewChat; }
 
+    // Multiple containers
+    get containerName() { return this._config.containerName; }
+    get containerPriority() { return this._config.containerPriority; }
+    get launchTargetName() { return this._config.launchTargetName; }
+
+    // Translations
+    get stringOverrides() { return this._config.stringOverrides || []; }
+
     // Stateful button variant for Italic
     get italicButtonVariant() {
         return this._config.calloutItalic ? 'brand' : 'neutral';
@@ -196,10 +283,26 @@ export default class AgentforceChatInlineContainerCPE extends LightningElement {
         this.isWelcomeExpanded = !this.isWelcomeExpanded;
     }
 
+    toggleStarters() {
+        this.isStartersExpanded = !this.isStartersExpanded;
+    }
+
+    togglePageRules() {
+        this.isPageRulesExpanded = !this.isPageRulesExpanded;
+    }
+
     toggleSearch() {
         this.isSearchExpanded = !this.isSearchExpanded;
     }
 
+    toggleContainers() {
+        this.isContainersExpanded = !this.isContainersExpanded;
+    }
+
+    toggleTranslations() {
+        this.isTranslationsExpanded = !this.isTranslationsExpanded;
+    }
+
     // ==================== DISPLAY HANDLERS ====================
 
     handleHeightChange(event) {
@@ -214,6 +317,35 @@ export default class AgentforceChatInlineContainerCPE extends LightningElement {
         this.updateProperty('showWelcomeScreen', event.target.checked);
     }
 
+    handleShowTranscriptDownloadChange(event) {
+        this.updateProperty('showTranscriptDownload', event.target.checked);
+    }
+
+    handleMaxMessageLengthChange(event) {
+        const value = parseInt(event.detail.value, 10);
+        this.updateProperty('maxMessageLength', Number.isNaN(value) ? 2000 : Math.max(0, value));
+    }
+
+    handleAllowAttachmentsChange(event) {
+        this.updateProperty('allowAttachments', event.target.checked);
+    }
+
+    handleAttachmentTypesChange(event) {
+        this.updateProperty('attachmentTypes', event.detail.value.trim());
+    }
+
+    handleAttachmentMaxSizeMbChange(event) {
+        this.updateProperty('attachmentMaxSizeMb', parseFloat(event.detail.value) || 5);
+    }
+
+    handleVoiceInputEnabledChange(event) {
+        this.updateProperty('voiceInputEnabled', event.target.checked);
+    }
+
+    handleVoiceAutoSendChange(event) {
+        this.updateProperty('voiceAutoSend', event.target.checked);
+    }
+
     // ==================== APPEARANCE HANDLERS ====================
 
     handleSendButtonColorChange(event) {
@@ -324,4 +456,192 @@ export default class AgentforceChatInlineContainerCPE extends LightningElement {
     handleSearchStartsNewChatChange(event) {
         this.updateProperty('searchStartsNewChat', event.target.checked);
     }
+
+    // ==================== STARTER HANDLERS ====================
+
+    handleAddStarter() {
+        const starters = [...(this._config.starters || [])];
+        starters.push({
+            id: 'starter-' + Date.now(),
+            label: '',
+            message: ''
+        });
+        this.updateProperty('starters', starters);
+    }
+
+    handleRemoveStarter(event) {
+        const id = event.currentTarget.dataset.id;
+        this.updateProperty('starters', (this._config.starters || []).filter(starter => starter.id !== id));
+    }
+
+    handleMoveStarterUp(event) {
+        this._moveStarter(event.currentTarget.dataset.id, -1);
+    }
+
+    handleMoveStarterDown(event) {
+        this._moveStarter(event.currentTarget.dataset.id, 1);
+    }
+
+    handleStarterLabelChange(event) {
+        this._updateStarter(event.target.dataset.id, { label: event.detail.value });
+    }
+
+    handleStarterMessageChange(event) {
+        this._updateStarter(event.target.dataset.id, { message: event.detail.value });
+    }
+
+    _moveStarter(id, offset) {
+        const starters = [...(this._config.starters || [])];
+        const index = starters.findIndex(starter => starter.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= starters.length) {
+            return;
+        }
+        [starters[index], starters[target]] = [starters[target], starters[index]];
+        this.updateProperty('starters', starters);
+    }
+
+    _updateStarter(id, changes) {
+        const starters = (this._config.starters || []).map(starter => (
+            starter.id === id ? { ...starter, ...changes } : starter
+        ));
+        this.updateProperty('starters', starters);
+    }
+
+    // ==================== PAGE RULE HANDLERS ====================
+
+    handleAddPageRule() {
+        const rules = [...(this._config.pageRules || [])];
+        rules.push({
+            id: 'rule-' + Date.now(),
+            name: '',
+            pathPattern: '',
+            pathMatchType: PATH_MATCH_TYPES.GLOB,
+            queryParams: '',
+            recordType: '',
+            welcomeTitle: '',
+            welcomeMessage: '',
+            calloutWord: '',
+            starterPrompts: ''
+        });
+        this.updateProperty('pageRules', rules);
+    }
+
+    handleRemovePageRule(event) {
+        const id = event.currentTarget.dataset.id;
+        this.updateProperty('pageRules', (this._config.pageRules || []).filter(rule => rule.id !== id));
+    }
+
+    handleMovePageRuleUp(event) {
+        this._movePageRule(event.currentTarget.dataset.id, -1);
+    }
+
+    handleMovePageRuleDown(event) {
+        this._movePageRule(event.currentTarget.dataset.id, 1);
+    }
+
+    handlePageRuleNameChange(event) {
+        this._updatePageRule(event.target.dataset.id, { name: event.detail.value });
+    }
+
+    handlePageRulePathPatternChange(event) {
+        this._updatePageRule(event.target.dataset.id, { pathPattern: event.detail.value.trim() });
+    }
+
+    handlePageRulePathMatchTypeChange(event) {
+        this._updatePageRule(event.target.dataset.id, { pathMatchType: event.detail.value });
+    }
+
+    handlePageRuleQueryParamsChange(event) {
+        this._updatePageRule(event.target.dataset.id, { queryParams: event.detail.value });
+    }
+
+    handlePageRuleRecordTypeChange(event) {
+        this._updatePageRule(event.target.dataset.id, { recordType: event.detail.value.trim() });
+    }
+
+    handlePageRuleWelcomeTitleChange(event) {
+        this._updatePageRule(event.target.dataset.id, { welcomeTitle: event.detail.value });
+    }
+
+    handlePageRuleWelcomeMessageChange(event) {
+        this._updatePageRule(event.target.dataset.id, { welcomeMessage: event.detail.value });
+    }
+
+    handlePageRuleCalloutWordChange(event) {
+        this._updatePageRule(event.target.dataset.id, { calloutWord: event.detail.value });
+    }
+
+    handlePageRuleStarterPromptsChange(event) {
+        this._updatePageRule(event.target.dataset.id, { starterPrompts: event.detail.value });
+    }
+
+    _movePageRule(id, offset) {
+        const rules = [...(this._config.pageRules || [])];
+        const index = rules.findIndex(rule => rule.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= rules.length) {
+            return;
+        }
+        [rules[index], rules[target]] = [rules[target], rules[index]];
+        this.updateProperty('pageRules', rules);
+    }
+
+    _updatePageRule(id, changes) {
+        const rules = (this._config.pageRules || []).map(rule => (
+            rule.id === id ? { ...rule, ...changes } : rule
+        ));
+        this.updateProperty('pageRules', rules);
+    }
+
+    // ==================== CONTAINER HANDLERS ====================
+
+    handleContainerNameChange(event) {
+        this.updateProperty('containerName', event.detail.value.trim());
+    }
+
+    handleContainerPriorityChange(event) {
+        this.updateProperty('containerPriority', parseInt(event.detail.value, 10) || 0);
+    }
+
+    handleLaunchTargetNameChange(event) {
+        this.updateProperty('launchTargetName', event.detail.value.trim());
+    }
+
+    // ==================== TRANSLATION HANDLERS ====================
+
+    handleAddStringOverride() {
+        const overrides = [...this.stringOverrides];
+        overrides.push({
+            id: 'string-' + Date.now(),
+            locale: '',
+            key: this.stringKeyOptions[0].value,
+            value: ''
+        });
+        this.updateProperty('stringOverrides', overrides);
+    }
+
+    handleRemoveStringOverride(event) {
+        const id = event.currentTarget.dataset.id;
+        this.updateProperty('stringOverrides', this.stringOverrides.filter(override => override.id !== id));
+    }
+
+    handleStringOverrideLocaleChange(event) {
+        this._updateStringOverride(event.target.dataset.id, { locale: event.detail.value });
+    }
+
+    handleStringOverrideKeyChange(event) {
+        this._updateStringOverride(event.target.dataset.id, { key: event.detail.value });
+    }
+
+    handleStringOverrideValueChange(event) {
+        this._updateStringOverride(event.target.dataset.id, { value: event.detail.value });
+    }
+
+    _updateStringOverride(id, changes) {
+        const overrides = this.stringOverrides.map(override => (
+            override.id === id ? { ...override, ...changes } : override
+        ));
+        this.updateProperty('stringOverrides', overrides);
+    }
 }
@@ -0,0 +1,232 @@
+import { createNotifier, NOTIFICATION_DEFAULTS, NOTIFICATION_VARIANTS } from 'c/agentforceChatNotifications';
+
+// Live region delay (100ms) plus the leave animation (200ms)
+const RENDER_MS = 100;
+const LEAVE_MS = 200;
+
+const toasts = () => Array.from(document.body.querySelectorAll('.agentforce-notification'))
+    .filter(element => !element.classList.contains('is-leaving'));
+const toastText = () => toasts().map(element => element.querySelector('.agentforce-notification-content').textContent);
+
+const pressEscape = (target = document.body) => {
+    target.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true }));
+};
+
+describe('c-agentforce-chat-notifications', () => {
+    let notifier;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        notifier = createNotifier();
+    });
+
+    afterEach(() => {
+        notifier.destroy();
+        jest.runOnlyPendingTimers();
+        jest.useRealTimers();
+        document.body.replaceChildren();
+        document.head.replaceChildren();
+        jest.restoreAllMocks();
+    });
+
+    describe('rendering', () => {
+        it('shows a toast after the live region is announced', () => {
+            notifier.notify({ title: 'Saved', message: 'All good', variant: NOTIFICATION_VARIANTS.SUCCESS });
+            expect(toasts()).toHaveLength(0);
+
+            jest.advanceTimersByTime(RENDER_MS);
+            expect(toastText()).toEqual(['SavedAll good']);
+            expect(document.body.querySelector('.agentforce-notification_success')).not.toBeNull();
+            expect(document.head.querySelector('#agentforce-notification-styles')).not.toBeNull();
+        });
+
+        it('puts warnings and errors in the alert region, the rest in the status region', () => {
+            notifier.notify({ title: 'Heads up', variant: NOTIFICATION_VARIANTS.WARNING });
+            notifier.notify({ title: 'Info' });
+            jest.advanceTimersByTime(RENDER_MS);
+
+            expect(document.body.querySelector('[role="alert"]').textContent).toContain('Heads up');
+            expect(document.body.querySelector('[role="status"]').textContent).toContain('Info');
+        });
+
+        it('treats an unknown variant as info', () => {
+            notifier.notify({ title: 'Odd', variant: 'purple' });
+            jest.advanceTimersByTime(RENDER_MS);
+            expect(document.body.querySelector('.agentforce-notification_info')).not.toBeNull();
+        });
+
+        it('never parses the text as HTML', () => {
+            notifier.notify({ title: '<b>bold</b>', message: '<img src=x>' });
+            jest.advanceTimersByTime(RENDER_MS);
+            expect(document.body.querySelector('.agentforce-notification b')).toBeNull();
+            expect(document.body.querySelector('.agentforce-notification img')).toBeNull();
+            expect(toastText()).toEqual(['<b>bold</b><img src=x>']);
+        });
+
+        it('labels the close button', () => {
+            notifier.notify({ title: 'Hi', closeLabel: 'Fermer' });
+            jest.advanceTimersByTime(RENDER_MS);
+            expect(document.body.querySelector('.agentforce-notification-close').getAttribute('aria-label')).toBe('Fermer');
+        });
+
+        it('applies the accent color to the container', () => {
+            notifier.configure({ accentColor: '#ff0000' });
+            notifier.notify({ title: 'Hi' });
+            const root = document.body.querySelector('#agentforce-notifications');
+            expect(root.style.getPropertyValue('--agentforce-notification-accent')).toBe('#ff0000');
+        });
+    });
+
+    describe('host page', () => {
+        it('dispatches agentforcetoast with the notification details', () => {
+            const listener = jest.fn();
+            document.addEventListener('agentforcetoast', listener);
+            const id = notifier.notify({ title: 'Hi', message: 'There', variant: NOTIFICATION_VARIANTS.ERROR });
+            document.removeEventListener('agentforcetoast', listener);
+
+            expect(listener.mock.calls[0][0].detail).toEqual({ id, title: 'Hi', message: 'There', variant: 'error' });
+        });
+
+        it('skips the built-in toast when the event is cancelled', () => {
+            const listener = event => event.preventDefault();
+            document.addEventListener('agentforcetoast', listener);
+            expect(notifier.notify({ title: 'Hi' })).toBeNull();
+            document.removeEventListener('agentforcetoast', listener);
+
+            jest.advanceTimersByTime(RENDER_MS);
+            expect(toasts()).toHaveLength(0);
+        });
+
+        it('skips every built-in toast when the host handles notifications', () => {
+            notifier.configure({ hostHandles: true });
+            expect(notifier.notify({ title: 'Hi' })).toBeNull();
+            jest.advanceTimersByTime(RENDER_MS);
+            expect(toasts()).toHaveLength(0);
+        });
+    });
+
+    describe('lifetime', () => {
+        it('auto-dismisses after the duration', () => {
+            notifier.notify({ title: 'Hi' });
+            jest.advanceTimersByTime(RENDER_MS);
+            jest.advanceTimersByTime(NOTIFICATION_DEFAULTS.duration);
+            expect(toasts()).toHaveLength(0);
+
+            jest.advanceTimersByTime(LEAVE_MS);
+            expect(document.body.querySelectorAll('.agentforce-notification')).toHaveLength(0);
+        });
+
+        it('keeps errors until dismissed', () => {
+            const id = notifier.notify({ title: 'Broken', variant: NOTIFICATION_VARIANTS.ERROR });
+            jest.advanceTimersByTime(60000);
+            expect(toasts()).toHaveLength(1);
+
+            notifier.dismiss(id);
+            expect(toasts()).toHaveLength(0);
+        });
+
+        it('dismisses with the close button', () => {
+            notifier.notify({ title: 'Hi' });
+            jest.advanceTimersByTime(RENDER_MS);
+            document.body.querySelector('.agentforce-notification-close').click();
+            expect(toasts()).toHaveLength(0);
+        });
+
+        it('pauses auto-dismiss while hovered', () => {
+            notifier.notify({ title: 'Hi', duration: 1000 });
+            jest.advanceTimersByTime(RENDER_MS);
+            const toast = toasts()[0];
+
+            toast.dispatchEvent(new MouseEvent('mouseenter'));
+            jest.advanceTimersByTime(5000);
+            expect(toasts()).toHaveLength(1);
+
+            toast.dispatchEvent(new MouseEvent('mouseleave'));
+            jest.advanceTimersByTime(1000);
+            expect(toasts()).toHaveLength(0);
+        });
+
+        it('restarts the timer of a duplicate instead of stacking it', () => {
+            const first = notifier.notify({ title: 'Hi', duration: 1000 });
+            jest.advanceTimersByTime(800);
+            const second = notifier.notify({ title: 'Hi', duration: 1000 });
+            expect(second).toBe(first);
+
+            jest.advanceTimersByTime(800);
+            expect(toasts()).toHaveLength(1);
+        });
+
+        it('queues beyond maxVisible and shows the next when one closes', () => {
+            notifier.configure({ maxVisible: 2 });
+            const first = notifier.notify({ title: 'One', variant: NOTIFICATION_VARIANTS.ERROR });
+            notifier.notify({ title: 'Two', variant: NOTIFICATION_VARIANTS.ERROR });
+            notifier.notify({ title: 'Three', variant: NOTIFICATION_VARIANTS.ERROR });
+            jest.advanceTimersByTime(RENDER_MS);
+            expect(toastText()).toEqual(['One', 'Two']);
+
+            notifier.dismiss(first);
+            expect(toastText()).toEqual(['Two', 'Three']);
+        });
+
+        it('destroy removes every toast and the queue', () => {
+            notifier.configure({ maxVisible: 1 });
+            notifier.notify({ title: 'One', variant: NOTIFICATION_VARIANTS.ERROR });
+            notifier.notify({ title: 'Two', variant: NOTIFICATION_VARIANTS.ERROR });
+            jest.advanceTimersByTime(RENDER_MS);
+
+            notifier.destroy();
+            expect(document.body.querySelectorAll('.agentforce-notification')).toHaveLength(0);
+            jest.advanceTimersByTime(60000);
+            expect(document.body.querySelectorAll('.agentforce-notification')).toHaveLength(0);
+        });
+    });
+
+    describe('Escape', () => {
+        it('closes the toast that has focus', () => {
+            notifier.notify({ title: 'One', variant: NOTIFICATION_VARIANTS.ERROR });
+            notifier.notify({ title: 'Two', variant: NOTIFICATION_VARIANTS.ERROR });
+            jest.advanceTimersByTime(RENDER_MS);
+
+            pressEscape(toasts()[0].querySelector('.agentforce-notification-close'));
+            expect(toastText()).toEqual(['Two']);
+        });
+
+        it('closes the newest alert when pressed elsewhere on the page', () => {
+            notifier.notify({ title: 'Problem', variant: NOTIFICATION_VARIANTS.WARNING });
+            notifier.notify({ title: 'Bigger problem', variant: NOTIFICATION_VARIANTS.ERROR });
+            notifier.notify({ title: 'Note', variant: NOTIFICATION_VARIANTS.INFO });
+            jest.advanceTimersByTime(RENDER_MS);
+
+            pressEscape();
+            expect(toastText()).toEqual(['Problem', 'Note']);
+            pressEscape();
+            expect(toastText()).toEqual(['Note']);
+        });
+
+        it('closes the newest notification when there is no alert', () => {
+            notifier.notify({ title: 'First' });
+            notifier.notify({ title: 'Second' });
+            jest.advanceTimersByTime(RENDER_MS);
+
+            pressEscape();
+            expect(toastText()).toEqual(['First']);
+        });
+
+        it('ignores an Escape the page already handled', () => {
+            notifier.notify({ title: 'Hi' });
+            jest.advanceTimersByTime(RENDER_MS);
+
+            const event = new KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true });
+            event.preventDefault();
+            document.body.dispatchEvent(event);
+            expect(toasts()).toHaveLength(1);
+        });
+
+        it('stops listening once nothing is on screen', () => {
+            const removeSpy = jest.spyOn(document, 'removeEventListener');
+            const id = notifier.notify({ title: 'Hi' });
+            notifier.dismiss(id);
+            expect(removeSpy).toHaveBeenCalledWith('keydown', expect.any(Function));
+        });
+    });
+});
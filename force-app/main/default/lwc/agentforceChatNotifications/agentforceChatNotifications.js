@@ -0,0 +1,471 @@
+/**
+ * @description Agentforce Chat - Notifications
+ * Toast notifications for the core component. Every notification is first dispatched as
+ * an agentforcetoast event on document (detail: { id, title, message, variant }):
+ *
+ * - The host page can show it itself - call event.preventDefault() for one notification,
+ *   or set hostHandles (CPE: "Host Page Shows Notifications") to skip the built-in toasts
+ * - Otherwise a toast is shown at the top of the page:
+ *   - info / success in a role="status" region, warning / error in a role="alert" region
+ *   - at most maxVisible at once - the rest wait in a queue
+ *   - a notification that's already showing (same variant, title and message) restarts its
+ *     timer instead of stacking; a queued duplicate is dropped
+ *   - dismissed with the close button or Escape - Escape inside a toast closes that toast,
+ *     anywhere else on the page it closes the newest alert (else the newest notification);
+ *     auto-dismiss pauses on hover and focus, and errors stay until dismissed
+ *
+ * Themed with CSS custom properties on .agentforce-notifications - the accent follows the
+ * agentPrimaryColor design token, and the page can override any of them:
+ *   --agentforce-notification-accent / -success / -warning / -error / -background / -text / -font
+ */
+
+export const NOTIFICATION_VARIANTS = {
+    INFO: 'info',
+    SUCCESS: 'success',
+    WARNING: 'warning',
+    ERROR: 'error'
+};
+
+export const NOTIFICATION_DEFAULTS = {
+    duration: 5000, // ms before auto-dismiss (errors stay until dismissed)
+    maxVisible: 3,
+    hostHandles: false
+};
+
+const ROOT_ID = 'agentforce-notifications';
+const STYLE_ID = 'agentforce-notification-styles';
+// Screen readers can miss content added in the same tick as a new live region
+const LIVE_REGION_DELAY_MS = 100;
+const LEAVE_ANIMATION_MS = 200;
+
+// Page-wide nodes, created on first use (shared by every notifier)
+let styleElement = null;
+let rootElement = null;
+let regionsReady = false;
+const pendingAppends = []; // Toasts shown before the live regions were announced, in order
+
+const ICONS = {
+    info: 'i',
+    success: '✓',
+    warning: '!',
+    error: '×'
+};
+
+function ensureStyles() {
+    if (styleElement?.isConnected) {
+        return;
+    }
+
+    const styles = document.createElement('style');
+    styles.id = STYLE_ID;
+    styles.textContent = `
+        .agentforce-notifications {
+            --agentforce-notification-accent: #0176d3;
+            --agentforce-notification-success: #2e844a;
+            --agentforce-notification-warning: #dd7a01;
+            --agentforce-notification-error: #ba0517;
+            --agentforce-notification-background: #ffffff;
+            --agentforce-notification-text: #181818;
+            --agentforce-notification-font: 'Salesforce Sans', Arial, sans-serif;
+            position: fixed;
+            top: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            z-index: 10000;
+            width: min(420px, calc(100vw - 32px));
+            pointer-events: none;
+            font-family: var(--agentforce-notification-font);
+        }
+        .agentforce-notifications-region {
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        }
+        .agentforce-notifications-region + .agentforce-notifications-region:not(:empty) {
+            margin-top: 8px;
+        }
+        .agentforce-notification {
+            --agentforce-notification-color: var(--agentforce-notification-accent);
+            display: flex;
+            align-items: flex-start;
+            gap: 12px;
+            padding: 12px 12px 12px 16px;
+            border-left: 4px solid var(--agentforce-notification-color);
+            border-radius: 8px;
+            background: var(--agentforce-notification-background);
+            color: var(--agentforce-notification-text);
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+            pointer-events: auto;
+            animation: agentforce-notification-in 0.3s ease-out;
+        }
+        .agentforce-notification_success { --agentforce-notification-color: var(--agentforce-notification-success); }
+        .agentforce-notification_warning { --agentforce-notification-color: var(--agentforce-notification-warning); }
+        .agentforce-notification_error { --agentforce-notification-color: var(--agentforce-notification-error); }
+        .agentforce-notification.is-leaving {
+            animation: agentforce-notification-out ${LEAVE_ANIMATION_MS}ms ease-in forwards;
+        }
+        .agentforce-notification-icon {
+            flex: none;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            width: 22px;
+            height: 22px;
+            border-radius: 50%;
+            background: var(--agentforce-notification-color);
+            color: #ffffff;
+            font-size: 13px;
+            font-weight: 700;
+        }
+        .agentforce-notification-content {
+            flex: 1;
+            min-width: 0;
+        }
+        .agentforce-notification-content strong {
+            display: block;
+            margin-bottom: 2px;
+            font-size: 14px;
+        }
+        .agentforce-notification-content p {
+            margin: 0;
+            font-size: 14px;
+            line-height: 1.4;
+        }
+        .agentforce-notification-close {
+            flex: none;
+            width: 28px;
+            height: 28px;
+            border: none;
+            border-radius: 4px;
+            background: transparent;
+            color: inherit;
+            font-size: 20px;
+            line-height: 1;
+            cursor: pointer;
+        }
+        .agentforce-notification-close:hover {
+            background: rgba(0, 0, 0, 0.06);
+        }
+        .agentforce-notification-close:focus-visible {
+            outline: 2px solid var(--agentforce-notification-color);
+            outline-offset: 1px;
+        }
+        @keyframes agentforce-notification-in {
+            from { opacity: 0; transform: translateY(-12px); }
+            to { opacity: 1; transform: translateY(0); }
+        }
+        @keyframes agentforce-notification-out {
+            from { opacity: 1; transform: translateY(0); }
+            to { opacity: 0; transform: translateY(-12px); }
+        }
+        @media (prefers-reduced-motion: reduce) {
+            .agentforce-notification,
+            .agentforce-notification.is-leaving {
+                animation: none;
+            }
+        }
+    `;
+    document.head.appendChild(styles);
+    styleElement = styles;
+}
+
+/**
+ * The page-wide container with its two live regions (created once, kept for the page)
+ * @returns {Object} { root, status, alert }
+ */
+function ensureRoot() {
+    if (!rootElement?.isConnected) {
+        ensureStyles();
+        const root = document.createElement('div');
+        root.id = ROOT_ID;
+        root.className = 'agentforce-notifications';
+
+        const status = document.createElement('div');
+        status.className = 'agentforce-notifications-region';
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+
+        const alert = document.createElement('div');
+        alert.className = 'agentforce-notifications-region';
+        alert.setAttribute('role', 'alert');
+        alert.setAttribute('aria-live', 'assertive');
+
+        root.appendChild(alert);
+        root.appendChild(status);
+        document.body.appendChild(root);
+        rootElement = root;
+
+        regionsReady = false;
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        setTimeout(() => {
+            regionsReady = true;
+            pendingAppends.splice(0).forEach(append => append());
+        }, LIVE_REGION_DELAY_MS);
+    }
+    return {
+        root: rootElement,
+        status: rootElement.querySelector('[role="status"]'),
+        alert: rootElement.querySelector('[role="alert"]')
+    };
+}
+
+function normalizeVariant(variant) {
+    return Object.values(NOTIFICATION_VARIANTS).includes(variant) ? variant : NOTIFICATION_VARIANTS.INFO;
+}
+
+function isAlertVariant(variant) {
+    return variant === NOTIFICATION_VARIANTS.WARNING || variant === NOTIFICATION_VARIANTS.ERROR;
+}
+
+/**
+ * @param {Object} options - { duration, maxVisible, hostHandles, accentColor }
+ * @returns {{ notify: Function, dismiss: Function, configure: Function, destroy: Function }}
+ */
+export function createNotifier(options = {}) {
+    let settings = { ...NOTIFICATION_DEFAULTS, ...options };
+    let nextId = 1;
+    const visible = []; // Notifications on screen, oldest first
+    const queue = []; // Waiting for a free slot
+    let listeningForEscape = false;
+
+    // Escape outside a toast - toasts never take focus, so keyboard users close them from the page
+    function handleDocumentKeydown(event) {
+        if (event.key !== 'Escape' || event.defaultPrevented || !visible.length) {
+            return;
+        }
+        const alerts = visible.filter(entry => isAlertVariant(entry.variant));
+        const candidates = alerts.length ? alerts : visible;
+        dismiss(candidates[candidates.length - 1].id);
+    }
+
+    // Only listen while something is on screen
+    function updateEscapeListener() {
+        const shouldListen = visible.length > 0;
+        if (shouldListen && !listeningForEscape) {
+            document.addEventListener('keydown', handleDocumentKeydown);
+        } else if (!shouldListen && listeningForEscape) {
+            document.removeEventListener('keydown', handleDocumentKeydown);
+        }
+        listeningForEscape = shouldListen;
+    }
+
+    function applyTheme(root) {
+        if (settings.accentColor) {
+            root.style.setProperty('--agentforce-notification-accent', settings.accentColor);
+        } else {
+            root.style.removeProperty('--agentforce-notification-accent');
+        }
+    }
+
+    function startTimer(notification) {
+        clearTimeout(notification.timer);
+        if (!notification.duration || notification.paused) {
+            return;
+        }
+        notification.startedAt = Date.now();
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        notification.timer = setTimeout(() => dismiss(notification.id), notification.remaining);
+    }
+
+    function pauseTimer(notification) {
+        if (notification.paused) {
+            return;
+        }
+        notification.paused = true;
+        if (notification.duration) {
+            clearTimeout(notification.timer);
+            notification.remaining = Math.max(0, notification.remaining - (Date.now() - notification.startedAt));
+        }
+    }
+
+    function resumeTimer(notification) {
+        if (!notification.paused) {
+            return;
+        }
+        notification.paused = false;
+        startTimer(notification);
+    }
+
+    function render(notification) {
+        const element = document.createElement('div');
+        element.className = `agentforce-notification agentforce-notification_${notification.variant}`;
+
+        const icon = document.createElement('span');
+        icon.className = 'agentforce-notification-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = ICONS[notification.variant];
+
+        // Text content only - titles and messages are never parsed as HTML
+        const content = document.createElement('div');
+        content.className = 'agentforce-notification-content';
+        if (notification.title) {
+            const title = document.createElement('strong');
+            title.textContent = notification.title;
+            content.appendChild(title);
+        }
+        if (notification.message) {
+            const message = document.createElement('p');
+            message.textContent = notification.message;
+            content.appendChild(message);
+        }
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'agentforce-notification-close';
+        close.setAttribute('aria-label', notification.closeLabel || 'Close');
+        close.textContent = '×';
+        close.addEventListener('click', () => dismiss(notification.id));
+
+        element.appendChild(icon);
+        element.appendChild(content);
+        element.appendChild(close);
+
+        element.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.stopPropagation();
+                dismiss(notification.id);
+            }
+        });
+        element.addEventListener('mouseenter', () => pauseTimer(notification));
+        element.addEventListener('mouseleave', () => {
+            if (!element.contains(document.activeElement)) {
+                resumeTimer(notification);
+            }
+        });
+        element.addEventListener('focusin', () => pauseTimer(notification));
+        element.addEventListener('focusout', (event) => {
+            if (!element.contains(event.relatedTarget) && !element.matches(':hover')) {
+                resumeTimer(notification);
+            }
+        });
+        return element;
+    }
+
+    function show(notification) {
+        const { root, status, alert } = ensureRoot();
+        applyTheme(root);
+
+        const region = isAlertVariant(notification.variant) ? alert : status;
+        notification.element = render(notification);
+        visible.push(notification);
+        updateEscapeListener();
+
+        const append = () => {
+            if (visible.includes(notification)) {
+                region.appendChild(notification.element);
+            }
+        };
+        if (regionsReady) {
+            append();
+        } else {
+            pendingAppends.push(append);
+        }
+        startTimer(notification);
+    }
+
+    /**
+     * Show a notification (or hand it to the host page)
+     * @param {Object} notification - { title, message, variant, duration (ms, 0 = until dismissed), closeLabel }
+     * @returns {number|null} Notification id, null when the host page handled it
+     */
+    function notify({ title = '', message = '', variant, duration, closeLabel } = {}) {
+        const normalizedVariant = normalizeVariant(variant);
+        const id = nextId++;
+
+        const event = new CustomEvent('agentforcetoast', {
+            detail: { id, title, message, variant: normalizedVariant },
+            bubbles: true,
+            composed: true,
+            cancelable: true
+        });
+        const unhandled = document.dispatchEvent(event);
+        if (settings.hostHandles || !unhandled) {
+            return null;
+        }
+
+        const key = `${normalizedVariant}|${title}|${message}`;
+        const showing = visible.find(entry => entry.key === key);
+        if (showing) {
+            showing.remaining = showing.duration;
+            startTimer(showing);
+            return showing.id;
+        }
+        const waiting = queue.find(entry => entry.key === key);
+        if (waiting) {
+            return waiting.id;
+        }
+
+        const resolvedDuration = duration !== undefined
+            ? duration
+            : (normalizedVariant === NOTIFICATION_VARIANTS.ERROR ? 0 : settings.duration);
+        const notification = {
+            id,
+            key,
+            title,
+            message,
+            variant: normalizedVariant,
+            duration: resolvedDuration,
+            remaining: resolvedDuration,
+            closeLabel,
+            paused: false,
+            timer: null,
+            startedAt: 0,
+            element: null
+        };
+
+        if (visible.length < settings.maxVisible) {
+            show(notification);
+        } else {
+            queue.push(notification);
+        }
+        return id;
+    }
+
+    function dismiss(id) {
+        const queuedIndex = queue.findIndex(entry => entry.id === id);
+        if (queuedIndex !== -1) {
+            queue.splice(queuedIndex, 1);
+            return;
+        }
+
+        const index = visible.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            return;
+        }
+        const [notification] = visible.splice(index, 1);
+        clearTimeout(notification.timer);
+
+        const element = notification.element;
+        if (element?.isConnected) {
+            element.classList.add('is-leaving');
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            setTimeout(() => element.remove(), LEAVE_ANIMATION_MS);
+        }
+
+        // Next in line takes the free slot
+        if (queue.length) {
+            show(queue.shift());
+        }
+        updateEscapeListener();
+    }
+
+    function configure(next = {}) {
+        settings = { ...settings, ...next };
+        if (rootElement) {
+            applyTheme(rootElement);
+        }
+    }
+
+    function destroy() {
+        queue.length = 0;
+        visible.splice(0).forEach(notification => {
+            clearTimeout(notification.timer);
+            if (notification.element) {
+                notification.element.remove();
+            }
+        });
+        updateEscapeListener();
+    }
+
+    return { notify, dismiss, configure, destroy };
+}
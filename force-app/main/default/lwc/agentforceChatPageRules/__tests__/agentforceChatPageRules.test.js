@@ -0,0 +1,142 @@
+import { matchPageRule, parseRouteRecord, parseStarterPrompts, PATH_MATCH_TYPES } from 'c/agentforceChatPageRules';
+
+// Plain location stand-in - matchPageRule only reads pathname and search
+const page = (pathname, search = '') => ({ pathname, search });
+
+describe('c-agentforce-chat-page-rules', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('glob patterns', () => {
+        it('matches * within a single segment only', () => {
+            const rules = [{ id: 'r1', pathPattern: '/s/topic/*' }];
+            expect(matchPageRule(rules, page('/s/topic/billing'))).toBe(rules[0]);
+            expect(matchPageRule(rules, page('/s/topic/billing/faq'))).toBeNull();
+        });
+
+        it('matches ** across segments', () => {
+            const rules = [{ id: 'r1', pathPattern: '/s/article/**' }];
+            expect(matchPageRule(rules, page('/s/article/a/b/c'))).toBe(rules[0]);
+        });
+
+        it('matches ? as one character and ignores case', () => {
+            const rules = [{ id: 'r1', pathPattern: '/s/page-?' }];
+            expect(matchPageRule(rules, page('/S/PAGE-1'))).toBe(rules[0]);
+            expect(matchPageRule(rules, page('/s/page-12'))).toBeNull();
+        });
+
+        it('treats regex characters in a glob literally', () => {
+            const rules = [{ id: 'r1', pathPattern: '/s/file.(pdf)' }];
+            expect(matchPageRule(rules, page('/s/file.(pdf)'))).toBe(rules[0]);
+            expect(matchPageRule(rules, page('/s/fileX(pdf)'))).toBeNull();
+        });
+    });
+
+    describe('regex patterns', () => {
+        it('matches a regular expression anywhere in the path', () => {
+            const rules = [{ id: 'r1', pathPattern: '/order/\\d+$', pathMatchType: PATH_MATCH_TYPES.REGEX }];
+            expect(matchPageRule(rules, page('/s/order/42'))).toBe(rules[0]);
+            expect(matchPageRule(rules, page('/s/order/new'))).toBeNull();
+        });
+
+        it('skips a rule with an invalid pattern and keeps checking the rest', () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const rules = [
+                { id: 'broken', pathPattern: '/s/(unclosed', pathMatchType: PATH_MATCH_TYPES.REGEX },
+                { id: 'fallback', pathPattern: '/s/**' }
+            ];
+            expect(matchPageRule(rules, page('/s/(unclosed'))).toBe(rules[1]);
+            expect(warn).toHaveBeenCalled();
+        });
+    });
+
+    describe('precedence', () => {
+        it('returns the first matching rule in order', () => {
+            const rules = [
+                { id: 'specific', pathPattern: '/s/case/**', recordType: 'case' },
+                { id: 'section', pathPattern: '/s/case/**' },
+                { id: 'everywhere' }
+            ];
+            expect(matchPageRule(rules, page('/s/case/500000000000001AAA/details')).id).toBe('specific');
+            expect(matchPageRule(rules, page('/s/case/list')).id).toBe('section');
+            expect(matchPageRule(rules, page('/s/home')).id).toBe('everywhere');
+        });
+
+        it('requires every condition a rule sets', () => {
+            const rules = [{ id: 'r1', pathPattern: '/s/**', queryParams: 'utm_source=mail' }];
+            expect(matchPageRule(rules, page('/s/home', '?utm_source=mail'))).toBe(rules[0]);
+            expect(matchPageRule(rules, page('/s/home', '?utm_source=ads'))).toBeNull();
+            expect(matchPageRule(rules, page('/home', '?utm_source=mail'))).toBeNull();
+        });
+
+        it('ignores empty entries and returns null without rules', () => {
+            expect(matchPageRule([null, undefined], page('/s/home'))).toBeNull();
+            expect(matchPageRule([], page('/s/home'))).toBeNull();
+        });
+    });
+
+    describe('query parameters', () => {
+        it('checks presence and exact values', () => {
+            const rules = [{ id: 'r1', queryParams: 'promo, lang=fr' }];
+            expect(matchPageRule(rules, page('/', '?promo&lang=fr'))).toBe(rules[0]);
+            expect(matchPageRule(rules, page('/', '?lang=fr'))).toBeNull();
+            expect(matchPageRule(rules, page('/', '?promo=1&lang=en'))).toBeNull();
+        });
+
+        it('keeps = inside a value', () => {
+            const rules = [{ id: 'r1', queryParams: 'token=a=b' }];
+            expect(matchPageRule(rules, page('/', '?token=a%3Db'))).toBe(rules[0]);
+        });
+    });
+
+    describe('record routes', () => {
+        it('reads the object and key prefix from the path', () => {
+            expect(parseRouteRecord(page('/s/case/500000000000001AAA/my-subject'))).toEqual({
+                recordId: '500000000000001AAA',
+                objectName: 'case',
+                keyPrefix: '500'
+            });
+        });
+
+        it('falls back to the recordId query parameter', () => {
+            expect(parseRouteRecord(page('/s/detail', '?recordId=001000000000001'))).toEqual({
+                recordId: '001000000000001',
+                objectName: null,
+                keyPrefix: '001'
+            });
+        });
+
+        it('does not take plain 15-letter words for record ids', () => {
+            expect(parseRouteRecord(page('/s/troubleshooting/guide')).recordId).toBeNull();
+        });
+
+        it('tolerates malformed escapes in the object segment', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            expect(parseRouteRecord(page('/s/%E0%A4%A/500000000000001AAA')).objectName).toBe('%e0%a4%a');
+        });
+
+        it('matches recordType by object name or key prefix', () => {
+            const byName = [{ id: 'r1', recordType: 'Case' }];
+            const byPrefix = [{ id: 'r2', recordType: '500' }];
+            expect(matchPageRule(byName, page('/s/case/500000000000001AAA'))).toBe(byName[0]);
+            expect(matchPageRule(byPrefix, page('/s/case/500000000000001AAA'))).toBe(byPrefix[0]);
+            expect(matchPageRule(byName, page('/s/account/001000000000001AAA'))).toBeNull();
+        });
+    });
+
+    describe('parseStarterPrompts', () => {
+        it('builds chips with stable ids, optional messages and pipes kept in the message', () => {
+            const rule = { id: 'rule-1', starterPrompts: 'Track my order\n\n  Billing | Explain my bill | in detail  ' };
+            expect(parseStarterPrompts(rule)).toEqual([
+                { id: 'rule-1-starter-1', label: 'Track my order', message: '' },
+                { id: 'rule-1-starter-2', label: 'Billing', message: 'Explain my bill | in detail' }
+            ]);
+        });
+
+        it('returns no chips without a rule or prompts', () => {
+            expect(parseStarterPrompts(null)).toEqual([]);
+            expect(parseStarterPrompts({ id: 'r1' })).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * @description Agentforce Chat - Page Rules
+ * Lets agentforceChatInlineContainer change its welcome copy and starters per page.
+ * Rules are checked in order and the first match wins:
+ *
+ *   { id, name, pathPattern, pathMatchType ('glob' | 'regex'), queryParams, recordType,
+ *     welcomeTitle, welcomeMessage, calloutWord, starterPrompts }
+ *
+ * Every condition a rule sets must match (empty conditions are ignored):
+ * - pathPattern: glob ('*' within a segment, '**' across segments, '?' one character)
+ *   matched against the whole path, or a regular expression
+ * - queryParams: comma-separated 'name' (present) or 'name=value' (exact) entries
+ * - recordType: object of the record page route (e.g. 'case' in /s/case/500.../subject)
+ *   or the record ID key prefix (e.g. '500')
+ *
+ * starterPrompts is one prompt per line ('Chip text' or 'Chip text | Message to send').
+ */
+
+export const PATH_MATCH_TYPES = {
+    GLOB: 'glob',
+    REGEX: 'regex'
+};
+
+// 15 or 18 alphanumeric characters with at least one digit (skips plain words)
+const RECORD_ID_PATTERN = /^(?=.*\d)[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
+function globToRegExp(glob) {
+    const source = glob
+        .split('**')
+        .map(part => part
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '[^/]*')
+            .replace(/\?/g, '[^/]'))
+        .join('.*');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function matchesPath(rule, pathname) {
+    const pattern = (rule.pathPattern || '').trim();
+    if (!pattern) {
+        return true;
+    }
+    try {
+        const regex = rule.pathMatchType === PATH_MATCH_TYPES.REGEX
+            ? new RegExp(pattern)
+            : globToRegExp(pattern);
+        return regex.test(pathname);
+    } catch (error) {
+        console.warn('[AgentforceChat] Invalid page rule pattern:', pattern, error.message);
+        return false;
+    }
+}
+
+function matchesQueryParams(rule, search) {
+    const conditions = (rule.queryParams || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    const params = new URLSearchParams(search);
+    return conditions.every(condition => {
+        const [name, ...rest] = condition.split('=');
+        if (!rest.length) {
+            return params.has(name.trim());
+        }
+        return params.get(name.trim()) === rest.join('=').trim();
+    });
+}
+
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        console.warn('[AgentforceChat] Could not decode path segment, using it as-is:', segment, error.message);
+        return segment;
+    }
+}
+
+/**
+ * Record page details from an Experience Cloud route (/s/case/500.../subject or ?recordId=)
+ * @returns {{ recordId: string|null, objectName: string|null, keyPrefix: string|null }}
+ */
+export function parseRouteRecord(location = window.location) {
+    const segments = location.pathname.split('/').filter(Boolean);
+    const index = segments.findIndex(segment => RECORD_ID_PATTERN.test(segment));
+    const recordId = index !== -1
+        ? segments[index]
+        : new URLSearchParams(location.search).get('recordId');
+    return {
+        recordId: recordId || null,
+        objectName: index > 0 ? decodeSegment(segments[index - 1]).toLowerCase() : null,
+        keyPrefix: recordId ? recordId.substring(0, 3) : null
+    };
+}
+
+function matchesRecordType(rule, route) {
+    const expected = (rule.recordType || '').trim().toLowerCase();
+    if (!expected) {
+        return true;
+    }
+    return expected === route.objectName || expected === (route.keyPrefix || '').toLowerCase();
+}
+
+/**
+ * First rule that matches the page, or null
+ */
+export function matchPageRule(rules = [], location = window.location) {
+    const route = parseRouteRecord(location);
+    return rules.find(rule => rule &&
+        matchesPath(rule, location.pathname) &&
+        matchesQueryParams(rule, location.search) &&
+        matchesRecordType(rule, route)) || null;
+}
+
+/**
+ * Starter chips from a rule's starterPrompts text - ids are stable per rule and line
+ * @returns {Array<{id: string, label: string, message: string}>}
+ */
+export function parseStarterPrompts(rule) {
+    return (rule?.starterPrompts || '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map((line, index) => {
+            const [label, ...message] = line.split('|');
+            return {
+                id: `${rule.id}-starter-${index + 1}`,
+                label: label.trim(),
+                message: message.join('|').trim()
+            };
+        });
+}
@@ -0,0 +1,192 @@
+import { createProjectionController } from 'c/agentforceChatProjection';
+
+const rectOf = ({ top, left, width, height }) => ({
+    top,
+    left,
+    width,
+    height,
+    bottom: top + height,
+    right: left + width
+});
+
+const vars = (overlay) => ({
+    top: overlay.style.getPropertyValue('--container-top'),
+    left: overlay.style.getPropertyValue('--container-left'),
+    width: overlay.style.getPropertyValue('--container-width'),
+    height: overlay.style.getPropertyValue('--container-height'),
+    clip: overlay.style.getPropertyValue('--container-clip')
+});
+
+describe('c-agentforce-chat-projection', () => {
+    let container;
+    let overlay;
+    let frames;
+    let resizeObservers;
+    let intersectionObservers;
+    let controller;
+
+    const runFrames = () => {
+        const pending = frames.splice(0);
+        pending.forEach(callback => callback());
+    };
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        overlay = document.createElement('div');
+        document.body.appendChild(container);
+        document.body.appendChild(overlay);
+        container.getBoundingClientRect = jest.fn(() => rectOf({ top: 100, left: 50, width: 300, height: 400 }));
+
+        // jsdom has no hit testing - tests that need a sticky header return one
+        document.elementsFromPoint = jest.fn(() => []);
+
+        frames = [];
+        window.requestAnimationFrame = jest.fn(callback => frames.push(callback));
+        window.cancelAnimationFrame = jest.fn();
+
+        resizeObservers = [];
+        intersectionObservers = [];
+        window.ResizeObserver = class {
+            constructor(callback) {
+                this.callback = callback;
+                this.observe = jest.fn();
+                this.disconnect = jest.fn();
+                resizeObservers.push(this);
+            }
+        };
+        window.IntersectionObserver = class {
+            constructor(callback) {
+                this.callback = callback;
+                this.observe = jest.fn();
+                this.disconnect = jest.fn();
+                intersectionObservers.push(this);
+            }
+        };
+    });
+
+    afterEach(() => {
+        if (controller) {
+            controller.destroy();
+            controller = null;
+        }
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        delete window.ResizeObserver;
+        delete window.IntersectionObserver;
+        delete document.elementsFromPoint;
+        jest.restoreAllMocks();
+    });
+
+    it('positions the overlay synchronously on creation', () => {
+        controller = createProjectionController(container, overlay);
+        expect(vars(overlay)).toEqual({ top: '100px', left: '50px', width: '300px', height: '400px', clip: 'none' });
+    });
+
+    it('clips the part scrolled out of the viewport', () => {
+        container.getBoundingClientRect = jest.fn(() => rectOf({ top: -50, left: 0, width: 300, height: 400 }));
+        controller = createProjectionController(container, overlay);
+        expect(vars(overlay).clip).toBe('inset(50px 0px 0px 0px)');
+    });
+
+    it('clips to a scrolling ancestor\'s content box', () => {
+        const scroller = document.createElement('div');
+        scroller.style.overflow = 'auto';
+        scroller.getBoundingClientRect = jest.fn(() => rectOf({ top: 150, left: 0, width: 600, height: 200 }));
+        Object.defineProperty(scroller, 'clientHeight', { value: 200 });
+        Object.defineProperty(scroller, 'clientWidth', { value: 600 });
+        document.body.appendChild(scroller);
+        scroller.appendChild(container);
+
+        controller = createProjectionController(container, overlay);
+        // Container spans 100-500; the scroller shows 150-350
+        expect(vars(overlay).clip).toBe('inset(50px 0px 150px 0px)');
+    });
+
+    it('clips the part under a sticky site header', () => {
+        const header = document.createElement('header');
+        header.style.position = 'fixed';
+        header.getBoundingClientRect = jest.fn(() => rectOf({ top: 0, left: 0, width: 1024, height: 160 }));
+        document.body.appendChild(header);
+        document.elementsFromPoint = jest.fn(() => [header, container, document.body]);
+
+        controller = createProjectionController(container, overlay);
+        expect(vars(overlay).clip).toBe('inset(60px 0px 0px 0px)');
+    });
+
+    it('offsets positions by a transformed ancestor of the overlay', () => {
+        const transformed = document.createElement('div');
+        transformed.style.transform = 'translateX(10px)';
+        transformed.getBoundingClientRect = jest.fn(() => rectOf({ top: 20, left: 10, width: 800, height: 800 }));
+        document.body.appendChild(transformed);
+        transformed.appendChild(overlay);
+
+        controller = createProjectionController(container, overlay);
+        expect(vars(overlay).top).toBe('80px');
+        expect(vars(overlay).left).toBe('40px');
+    });
+
+    it('observes the container, its ancestors and the body for resizes', () => {
+        const wrapper = document.createElement('div');
+        document.body.appendChild(wrapper);
+        wrapper.appendChild(container);
+
+        controller = createProjectionController(container, overlay);
+        const observed = resizeObservers[0].observe.mock.calls.map(([element]) => element);
+        expect(observed).toEqual([container, wrapper, document.body]);
+        expect(intersectionObservers[0].observe).toHaveBeenCalledWith(container);
+    });
+
+    it('batches triggers into one measurement per frame', () => {
+        controller = createProjectionController(container, overlay);
+        container.getBoundingClientRect = jest.fn(() => rectOf({ top: 120, left: 50, width: 300, height: 400 }));
+
+        controller.update();
+        document.dispatchEvent(new CustomEvent('scroll'));
+        resizeObservers[0].callback();
+        expect(window.requestAnimationFrame).toHaveBeenCalledTimes(1);
+
+        runFrames();
+        expect(container.getBoundingClientRect).toHaveBeenCalledTimes(1);
+        expect(vars(overlay).top).toBe('120px');
+    });
+
+    it('hides the overlay while the container is out of view', () => {
+        controller = createProjectionController(container, overlay);
+        intersectionObservers[0].callback([{ isIntersecting: false }]);
+        runFrames();
+        expect(vars(overlay).clip).toBe('inset(50%)');
+
+        intersectionObservers[0].callback([{ isIntersecting: true }]);
+        runFrames();
+        expect(vars(overlay).clip).toBe('none');
+    });
+
+    it('keeps the last position while the container is detached', () => {
+        controller = createProjectionController(container, overlay);
+        container.remove();
+        controller.update();
+        runFrames();
+        expect(vars(overlay).top).toBe('100px');
+    });
+
+    it('removes every observer and listener on destroy', () => {
+        const removeDocumentListener = jest.spyOn(document, 'removeEventListener');
+        const removeWindowListener = jest.spyOn(window, 'removeEventListener');
+        controller = createProjectionController(container, overlay);
+        controller.update();
+
+        controller.destroy();
+        expect(window.cancelAnimationFrame).toHaveBeenCalled();
+        expect(resizeObservers[0].disconnect).toHaveBeenCalled();
+        expect(intersectionObservers[0].disconnect).toHaveBeenCalled();
+        expect(removeDocumentListener.mock.calls.map(([type]) => type).sort())
+            .toEqual(['animationend', 'animationstart', 'scroll', 'transitionend', 'transitionrun']);
+        expect(removeWindowListener).toHaveBeenCalledWith('resize', expect.any(Function));
+
+        // No more measurements once destroyed
+        window.requestAnimationFrame.mockClear();
+        controller.update();
+        expect(window.requestAnimationFrame).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,277 @@
+/**
+ * @description Agentforce Chat - Projection Controller
+ * Keeps the floating chat (#embedded-messaging, position: fixed) lined up with a
+ * container element on the page.
+ *
+ * Geometry is re-read when:
+ * - the container or any of its ancestors resizes (layout shifts, accordions, lazy images) → ResizeObserver
+ * - the container enters or leaves the viewport → IntersectionObserver
+ * - the window or any nested scroll container scrolls → one capturing scroll listener
+ * - a CSS transition/animation moves the layout → rAF polling while it runs
+ * All triggers are batched into a single measurement per animation frame.
+ *
+ * Writes CSS custom properties on the overlay element:
+ *   --container-top / --container-left / --container-width / --container-height
+ *   --container-clip - clip-path for the part hidden by scroll containers or sticky headers
+ */
+
+// Keep polling this long after a transition/animation starts (transitionend isn't guaranteed)
+const ANIMATION_POLL_MS = 1000;
+
+const CLIPPING_OVERFLOW = /(auto|scroll|hidden|clip|overlay)/;
+
+// Fully clipped - nothing visible, nothing clickable
+const CLIP_HIDDEN = 'inset(50%)';
+
+function intersectRects(a, b) {
+    return {
+        top: Math.max(a.top, b.top),
+        left: Math.max(a.left, b.left),
+        bottom: Math.min(a.bottom, b.bottom),
+        right: Math.min(a.right, b.right)
+    };
+}
+
+/**
+ * Ancestors between the container and <body>
+ */
+function getAncestors(element) {
+    const ancestors = [];
+    let current = element.parentElement;
+    while (current && current !== document.body && current !== document.documentElement) {
+        ancestors.push(current);
+        current = current.parentElement;
+    }
+    return ancestors;
+}
+
+/**
+ * Ancestors that clip their content (nested scroll containers, overflow: hidden wrappers)
+ */
+function getClippingAncestors(ancestors) {
+    return ancestors.filter(ancestor => {
+        const style = window.getComputedStyle(ancestor);
+        return CLIPPING_OVERFLOW.test(`${style.overflow} ${style.overflowX} ${style.overflowY}`);
+    });
+}
+
+/**
+ * Visible content box of a clipping ancestor (excludes borders and scrollbars)
+ */
+function getContentRect(element) {
+    const rect = element.getBoundingClientRect();
+    const top = rect.top + element.clientTop;
+    const left = rect.left + element.clientLeft;
+    return {
+        top,
+        left,
+        bottom: top + element.clientHeight,
+        right: left + element.clientWidth
+    };
+}
+
+/**
+ * position: fixed is relative to the nearest ancestor with a transform, filter,
+ * perspective or containment - not the viewport. Return that ancestor's offset.
+ */
+function getContainingBlockOffset(overlay) {
+    let current = overlay.parentElement;
+    while (current && current !== document.documentElement) {
+        const style = window.getComputedStyle(current);
+        const createsContainingBlock = (style.transform && style.transform !== 'none') ||
+            (style.perspective && style.perspective !== 'none') ||
+            (style.filter && style.filter !== 'none') ||
+            /(paint|layout|strict|content)/.test(style.contain || '') ||
+            /(transform|perspective|filter)/.test(style.willChange || '');
+        if (createsContainingBlock) {
+            const rect = current.getBoundingClientRect();
+            return { top: rect.top + current.clientTop, left: rect.left + current.clientLeft };
+        }
+        current = current.parentElement;
+    }
+    return { top: 0, left: 0 };
+}
+
+/**
+ * Bottom edge of any fixed/sticky element (site header, sticky nav) covering the top
+ * of the visible area. Elements inside the container, its ancestors and the chat itself don't count.
+ */
+function getStickyEdge(container, overlay, clip) {
+    if (typeof document.elementsFromPoint !== 'function' || clip.bottom <= clip.top) {
+        return clip.top;
+    }
+
+    const x = (clip.left + clip.right) / 2;
+    const y = clip.top + 1;
+    let edge = clip.top;
+
+    document.elementsFromPoint(x, y).forEach(element => {
+        if (overlay.contains(element) || container.contains(element) || element.contains(container)) {
+            return;
+        }
+        const position = window.getComputedStyle(element).position;
+        if (position === 'fixed' || position === 'sticky') {
+            edge = Math.max(edge, element.getBoundingClientRect().bottom);
+        }
+    });
+
+    return edge;
+}
+
+function toClipPath(rect, clip) {
+    if (!clip || clip.bottom <= clip.top || clip.right <= clip.left) {
+        return CLIP_HIDDEN;
+    }
+
+    const insets = [
+        clip.top - rect.top,
+        rect.right - clip.right,
+        rect.bottom - clip.bottom,
+        clip.left - rect.left
+    ].map(value => Math.max(0, Math.round(value)));
+
+    if (insets.every(value => value === 0)) {
+        return 'none';
+    }
+    return `inset(${insets.map(value => `${value}px`).join(' ')})`;
+}
+
+/**
+ * Start tracking a container
+ * @param {HTMLElement} container - Element the chat is positioned over
+ * @param {HTMLElement} overlay - The floating chat element (#embedded-messaging)
+ * @returns {{ update: Function, destroy: Function }} update() schedules a re-measure, destroy() removes every observer/listener
+ */
+export function createProjectionController(container, overlay) {
+    const ancestors = getAncestors(container);
+    let clippingAncestors = getClippingAncestors(ancestors);
+    let containingBlockOffset = getContainingBlockOffset(overlay);
+    let intersecting = true;
+    let frame = null;
+    let pollUntil = 0;
+    let lastWritten = '';
+    let destroyed = false;
+
+    const write = (rect, clipPath) => {
+        const top = rect.top - containingBlockOffset.top;
+        const left = rect.left - containingBlockOffset.left;
+        const key = `${top}|${left}|${rect.width}|${rect.height}|${clipPath}`;
+        if (key === lastWritten) {
+            return;
+        }
+        lastWritten = key;
+
+        overlay.style.setProperty('--container-top', `${top}px`);
+        overlay.style.setProperty('--container-left', `${left}px`);
+        overlay.style.setProperty('--container-width', `${rect.width}px`);
+        overlay.style.setProperty('--container-height', `${rect.height}px`);
+        overlay.style.setProperty('--container-clip', clipPath);
+    };
+
+    const measure = () => {
+        frame = null;
+        // Detached during SPA navigation - keep the last position until the controller is replaced
+        if (destroyed || !container.isConnected) {
+            return;
+        }
+
+        const rect = container.getBoundingClientRect();
+
+        if (!intersecting) {
+            write(rect, CLIP_HIDDEN);
+        } else {
+            let clip = { top: 0, left: 0, bottom: window.innerHeight, right: window.innerWidth };
+            clippingAncestors.forEach(ancestor => {
+                clip = intersectRects(clip, getContentRect(ancestor));
+            });
+            clip = intersectRects(clip, rect);
+            clip.top = getStickyEdge(container, overlay, clip);
+            write(rect, toClipPath(rect, clip));
+        }
+
+        // Keep following the layout while a transition/animation is running
+        if (Date.now() < pollUntil) {
+            schedule();
+        }
+    };
+
+    function schedule() {
+        if (!destroyed && !frame) {
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            frame = window.requestAnimationFrame(measure);
+        }
+    }
+
+    const handleScroll = () => schedule();
+
+    const handleResize = () => {
+        // Viewport changes can switch media queries - overflow and containing blocks may change too
+        clippingAncestors = getClippingAncestors(ancestors);
+        containingBlockOffset = getContainingBlockOffset(overlay);
+        schedule();
+    };
+
+    const handleAnimation = (event) => {
+        if (overlay.contains(event.target)) {
+            return;
+        }
+        pollUntil = Date.now() + ANIMATION_POLL_MS;
+        schedule();
+    };
+
+    const resizeObserver = typeof ResizeObserver === 'function'
+        ? new ResizeObserver(() => schedule())
+        : null;
+    if (resizeObserver) {
+        resizeObserver.observe(container);
+        ancestors.forEach(ancestor => resizeObserver.observe(ancestor));
+        resizeObserver.observe(document.body);
+    }
+
+    const intersectionObserver = typeof IntersectionObserver === 'function'
+        ? new IntersectionObserver((entries) => {
+            intersecting = entries[entries.length - 1].isIntersecting;
+            schedule();
+        })
+        : null;
+    if (intersectionObserver) {
+        intersectionObserver.observe(container);
+    }
+
+    document.addEventListener('scroll', handleScroll, { capture: true, passive: true });
+    window.addEventListener('resize', handleResize);
+    document.addEventListener('transitionrun', handleAnimation, true);
+    document.addEventListener('animationstart', handleAnimation, true);
+    document.addEventListener('transitionend', handleScroll, true);
+    document.addEventListener('animationend', handleScroll, true);
+
+    const destroy = () => {
+        if (destroyed) {
+            return;
+        }
+        destroyed = true;
+
+        if (frame) {
+            window.cancelAnimationFrame(frame);
+            frame = null;
+        }
+        if (resizeObserver) {
+            resizeObserver.disconnect();
+        }
+        if (intersectionObserver) {
+            intersectionObserver.disconnect();
+        }
+
+        document.removeEventListener('scroll', handleScroll, { capture: true, passive: true });
+        window.removeEventListener('resize', handleResize);
+        document.removeEventListener('transitionrun', handleAnimation, true);
+        document.removeEventListener('animationstart', handleAnimation, true);
+        document.removeEventListener('transitionend', handleScroll, true);
+        document.removeEventListener('animationend', handleScroll, true);
+    };
+
+    // Position synchronously so the chat never shows at a stale spot
+    measure();
+
+    return { update: schedule, destroy };
+}
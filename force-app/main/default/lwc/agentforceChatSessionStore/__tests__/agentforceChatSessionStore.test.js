@@ -0,0 +1,102 @@
+import {
+    loadStoredSession,
+    storeSession,
+    clearStoredSession,
+    recordSessionActivity,
+    getResumeInfo
+} from 'c/agentforceChatSessionStore';
+
+const STORAGE_KEY = 'agentforce_session';
+
+describe('c-agentforce-chat-session-store', () => {
+    beforeEach(() => {
+        sessionStorage.clear();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('load, store and clear', () => {
+        it('round-trips a session', () => {
+            const session = { id: 's1', startedAt: 1, pageViews: 2 };
+            storeSession(session);
+            expect(loadStoredSession()).toEqual(session);
+
+            clearStoredSession();
+            expect(loadStoredSession()).toBeNull();
+        });
+
+        it('ignores unreadable or id-less records', () => {
+            sessionStorage.setItem(STORAGE_KEY, '{not json');
+            expect(loadStoredSession()).toBeNull();
+
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ startedAt: 1 }));
+            expect(loadStoredSession()).toBeNull();
+        });
+
+        it('keeps working when storage is unavailable', () => {
+            const unavailable = () => {
+                throw new Error('SecurityError');
+            };
+            jest.spyOn(Storage.prototype, 'getItem').mockImplementation(unavailable);
+            jest.spyOn(Storage.prototype, 'setItem').mockImplementation(unavailable);
+            jest.spyOn(Storage.prototype, 'removeItem').mockImplementation(unavailable);
+
+            expect(loadStoredSession()).toBeNull();
+            expect(() => storeSession({ id: 's1' })).not.toThrow();
+            expect(() => clearStoredSession()).not.toThrow();
+            expect(() => recordSessionActivity('s1', true, 'Hello')).not.toThrow();
+            expect(getResumeInfo()).toBeNull();
+        });
+    });
+
+    describe('recordSessionActivity', () => {
+        beforeEach(() => {
+            jest.spyOn(Date, 'now').mockReturnValue(5000);
+            storeSession({ id: 's1', startedAt: 1000 });
+        });
+
+        it('stamps activity and keeps the latest agent message as the snippet', () => {
+            recordSessionActivity('s1', true, 'Hi there,\n  how can I   help?');
+            expect(loadStoredSession()).toEqual({
+                id: 's1',
+                startedAt: 1000,
+                lastActivityAt: 5000,
+                lastAgentMessage: 'Hi there, how can I help?'
+            });
+        });
+
+        it('does not use visitor messages or empty text as the snippet', () => {
+            recordSessionActivity('s1', true, 'From the agent');
+            recordSessionActivity('s1', false, 'From the visitor');
+            recordSessionActivity('s1', true, '');
+            expect(loadStoredSession().lastAgentMessage).toBe('From the agent');
+        });
+
+        it('shortens long agent messages', () => {
+            recordSessionActivity('s1', true, 'word '.repeat(60));
+            const snippet = loadStoredSession().lastAgentMessage;
+            expect(snippet.length).toBeLessThanOrEqual(140);
+            expect(snippet.endsWith('…')).toBe(true);
+        });
+
+        it('leaves other sessions alone', () => {
+            recordSessionActivity('s2', true, 'Not ours');
+            expect(loadStoredSession()).toEqual({ id: 's1', startedAt: 1000 });
+        });
+    });
+
+    describe('getResumeInfo', () => {
+        it('is null until the session has activity', () => {
+            storeSession({ id: 's1', startedAt: 1000 });
+            expect(getResumeInfo()).toBeNull();
+        });
+
+        it('describes the conversation to go back to', () => {
+            storeSession({ id: 's1', lastActivityAt: 7000 });
+            expect(getResumeInfo()).toEqual({ sessionId: 's1', lastActivityAt: 7000, lastAgentMessage: '' });
+        });
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * @description Agentforce Chat - Session Store
+ * The activity session lives in sessionStorage so reloads, tab restores and new component
+ * instances keep the same ID for the same conversation:
+ *
+ *   { id, startedAt, pageViews, lastActivityAt, lastAgentMessage }
+ *
+ * agentforceChat owns the record (creates it, counts page views, clears it when the
+ * conversation closes); agentforceChatInlineContainer reads it for the resume card.
+ * The agentforce_ prefix keeps it out of the Embedded Service storage cleanup.
+ */
+
+const STORAGE_KEY = 'agentforce_session';
+// Longest agent message snippet kept for the resume card
+const SNIPPET_LENGTH = 140;
+
+export function loadStoredSession() {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+        return stored?.id ? stored : null;
+    } catch (error) {
+        console.warn('[AgentforceChat] Ignoring unreadable stored session:', error.message);
+        return null;
+    }
+}
+
+export function storeSession(session) {
+    try {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    } catch (error) {
+        console.warn('[AgentforceChat] Could not persist session:', error.message);
+    }
+}
+
+export function clearStoredSession() {
+    try {
+        sessionStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        console.warn('[AgentforceChat] Could not clear stored session:', error.message);
+    }
+}
+
+/**
+ * Note a message on the stored session - agent messages also become the resume snippet
+ * @param {string} sessionId - Only the matching session is updated
+ * @param {boolean} fromAgent - Message came from the agent/bot rather than the visitor
+ * @param {string} text - Message text (may be empty)
+ */
+export function recordSessionActivity(sessionId, fromAgent, text) {
+    const stored = loadStoredSession();
+    if (!stored || stored.id !== sessionId) {
+        return;
+    }
+    stored.lastActivityAt = Date.now();
+    if (fromAgent && text) {
+        const flattened = String(text).replace(/\s+/g, ' ').trim();
+        stored.lastAgentMessage = flattened.length > SNIPPET_LENGTH
+            ? flattened.substring(0, SNIPPET_LENGTH - 1).trimEnd() + '…'
+            : flattened;
+    }
+    storeSession(stored);
+}
+
+/**
+ * What the resume card shows, or null when there's no conversation to go back to
+ * @returns {{ sessionId: string, lastActivityAt: number, lastAgentMessage: string }|null}
+ */
+export function getResumeInfo() {
+    const stored = loadStoredSession();
+    if (!stored?.lastActivityAt) {
+        return null;
+    }
+    return {
+        sessionId: stored.id,
+        lastActivityAt: stored.lastActivityAt,
+        lastAgentMessage: stored.lastAgentMessage || ''
+    };
+}
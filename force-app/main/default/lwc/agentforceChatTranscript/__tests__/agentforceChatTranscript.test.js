@@ -0,0 +1,155 @@
+import {
+    appendTranscriptEntry,
+    clearTranscript,
+    extractMessageText,
+    formatTranscript,
+    getTranscript,
+    roleForSender
+} from 'c/agentforceChatTranscript';
+
+const STORAGE_KEY = 'agentforce_transcript';
+
+describe('c-agentforce-chat-transcript', () => {
+    afterEach(() => {
+        sessionStorage.clear();
+        jest.restoreAllMocks();
+    });
+
+    describe('extractMessageText', () => {
+        it('reads the flat text and message shapes', () => {
+            expect(extractMessageText({ text: 'Hello' })).toBe('Hello');
+            expect(extractMessageText({ message: 'Hi' })).toBe('Hi');
+        });
+
+        it('reads a conversationEntry payload given as a JSON string', () => {
+            const payload = JSON.stringify({ abstractMessage: { staticContent: { text: 'From payload' } } });
+            expect(extractMessageText({ conversationEntry: { entryPayload: payload } })).toBe('From payload');
+        });
+
+        it('falls back to the title of rich content', () => {
+            const payload = { abstractMessage: { staticContent: { title: 'Pick one' } } };
+            expect(extractMessageText({ conversationEntry: { entryPayload: payload } })).toBe('Pick one');
+        });
+
+        it('returns an empty string for an unreadable payload', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            expect(extractMessageText({ conversationEntry: { entryPayload: '{broken' } })).toBe('');
+            expect(extractMessageText()).toBe('');
+        });
+    });
+
+    it('maps Embedded Service senders to roles', () => {
+        expect(roleForSender('EndUser')).toBe('user');
+        expect(roleForSender('System')).toBe('system');
+        expect(roleForSender('Chatbot')).toBe('agent');
+        expect(roleForSender(undefined)).toBe('agent');
+    });
+
+    describe('recording', () => {
+        it('appends messages with their role', () => {
+            appendTranscriptEntry('s1', { timestamp: 1, sender: 'EndUser', text: 'Hi' });
+            appendTranscriptEntry('s1', { timestamp: 2, sender: 'Chatbot', text: 'Hello!' });
+            expect(getTranscript()).toEqual([
+                { timestamp: 1, role: 'user', sender: 'EndUser', text: 'Hi' },
+                { timestamp: 2, role: 'agent', sender: 'Chatbot', text: 'Hello!' }
+            ]);
+        });
+
+        it('skips messages without text', () => {
+            appendTranscriptEntry('s1', { sender: 'EndUser', text: '' });
+            expect(getTranscript()).toEqual([]);
+        });
+
+        it('starts over for a new session', () => {
+            appendTranscriptEntry('s1', { timestamp: 1, sender: 'EndUser', text: 'Old' });
+            appendTranscriptEntry('s2', { timestamp: 2, sender: 'EndUser', text: 'New' });
+            expect(getTranscript().map(entry => entry.text)).toEqual(['New']);
+        });
+
+        it('drops the oldest messages beyond the message cap', () => {
+            ['a', 'b', 'c'].forEach(text => appendTranscriptEntry('s1', { sender: 'EndUser', text }, { maxMessages: 2 }));
+            expect(getTranscript().map(entry => entry.text)).toEqual(['b', 'c']);
+        });
+
+        it('drops the oldest messages beyond the size cap and truncates a long message', () => {
+            appendTranscriptEntry('s1', { sender: 'EndUser', text: 'aaaa' }, { maxChars: 6 });
+            appendTranscriptEntry('s1', { sender: 'EndUser', text: 'bbbb' }, { maxChars: 6 });
+            expect(getTranscript().map(entry => entry.text)).toEqual(['bbbb']);
+
+            appendTranscriptEntry('s1', { sender: 'EndUser', text: 'cccccccccc' }, { maxChars: 6 });
+            expect(getTranscript().map(entry => entry.text)).toEqual(['cccccc']);
+        });
+
+        it('returns copies of the stored entries', () => {
+            appendTranscriptEntry('s1', { sender: 'EndUser', text: 'Hi' });
+            getTranscript()[0].text = 'changed';
+            expect(getTranscript()[0].text).toBe('Hi');
+        });
+
+        it('ignores unreadable storage', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            sessionStorage.setItem(STORAGE_KEY, '{broken');
+            expect(getTranscript()).toEqual([]);
+
+            appendTranscriptEntry('s1', { sender: 'EndUser', text: 'Fresh' });
+            expect(getTranscript().map(entry => entry.text)).toEqual(['Fresh']);
+        });
+
+        it('keeps working when storage is full', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+                throw new Error('QuotaExceededError');
+            });
+            expect(() => appendTranscriptEntry('s1', { sender: 'EndUser', text: 'Hi' })).not.toThrow();
+        });
+
+        it('clears the transcript', () => {
+            appendTranscriptEntry('s1', { sender: 'EndUser', text: 'Hi' });
+            clearTranscript();
+            expect(getTranscript()).toEqual([]);
+        });
+    });
+
+    describe('formatTranscript', () => {
+        const entries = [
+            { timestamp: Date.UTC(2026, 0, 2, 10, 0), role: 'user', sender: 'EndUser', text: 'Where is my order?' },
+            { timestamp: Date.UTC(2026, 0, 2, 10, 1), role: 'agent', sender: 'Chatbot', text: 'It ships today.' }
+        ];
+
+        it('renders plain text by default', () => {
+            const result = formatTranscript(entries);
+            expect(result.extension).toBe('txt');
+            expect(result.mimeType).toBe('text/plain');
+            const lines = result.content.split('\n');
+            expect(lines).toHaveLength(2);
+            expect(lines[0]).toMatch(/^\[.+\] You: Where is my order\?$/);
+            expect(lines[1]).toMatch(/^\[.+\] Agent: It ships today\.$/);
+        });
+
+        it('renders Markdown', () => {
+            const result = formatTranscript(entries, 'md');
+            expect(result.mimeType).toBe('text/markdown');
+            expect(result.content.startsWith('# Chat transcript\n')).toBe(true);
+            expect(result.content).toContain('**You** _');
+            expect(result.content).toContain('It ships today.');
+        });
+
+        it('renders JSON with ISO times', () => {
+            const result = formatTranscript(entries, 'json');
+            expect(result.mimeType).toBe('application/json');
+            const parsed = JSON.parse(result.content);
+            expect(parsed.messages).toHaveLength(2);
+            expect(parsed.messages[0]).toMatchObject({ role: 'user', text: 'Where is my order?', time: '2026-01-02T10:00:00.000Z' });
+            expect(typeof parsed.exportedAt).toBe('string');
+        });
+
+        it('falls back to plain text for an unknown format', () => {
+            expect(formatTranscript(entries, 'pdf').extension).toBe('txt');
+        });
+
+        it('uses the sender for roles without a label', () => {
+            const result = formatTranscript([{ timestamp: 0, role: 'bot', sender: 'Helper', text: 'Hi' }]);
+            expect(result.content).toMatch(/\] Helper: Hi$/);
+        });
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * @description Agentforce Chat - Local Transcript
+ * agentforceChat records each onEmbeddedMessageSent message here (when the transcript is
+ * enabled); agentforceChatInlineContainer reads it back for the "Download transcript" action.
+ *
+ * Stored in sessionStorage as { sessionId, entries: [{ timestamp, role, sender, text }] }:
+ * - The first message of a new session replaces the previous conversation, so the last
+ *   conversation stays downloadable after it closes
+ * - Capped by message count and total text size - the oldest messages are dropped first
+ * - Never leaves the browser; it's cleared when the tab closes
+ */
+
+const STORAGE_KEY = 'agentforce_transcript';
+
+export const TRANSCRIPT_DEFAULTS = {
+    maxMessages: 200,
+    maxChars: 100000
+};
+
+export const TRANSCRIPT_FORMATS = {
+    txt: { extension: 'txt', mimeType: 'text/plain' },
+    md: { extension: 'md', mimeType: 'text/markdown' },
+    json: { extension: 'json', mimeType: 'application/json' }
+};
+
+const ROLE_LABELS = {
+    user: 'You',
+    agent: 'Agent',
+    system: 'System'
+};
+
+function loadTranscript() {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+        return stored && Array.isArray(stored.entries) ? stored : null;
+    } catch (error) {
+        console.warn('[AgentforceChat] Ignoring unreadable transcript:', error);
+        return null;
+    }
+}
+
+function saveTranscript(transcript) {
+    try {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(transcript));
+    } catch (error) {
+        console.warn('[AgentforceChat] Could not persist transcript:', error);
+    }
+}
+
+/**
+ * Message text from an onEmbeddedMessageSent detail
+ * Handles the flat shape and the conversationEntry shape (entryPayload is a JSON string)
+ */
+export function extractMessageText(detail = {}) {
+    if (typeof detail.text === 'string') {
+        return detail.text;
+    }
+    if (typeof detail.message === 'string') {
+        return detail.message;
+    }
+
+    let payload = detail.conversationEntry?.entryPayload;
+    if (typeof payload === 'string') {
+        try {
+            payload = JSON.parse(payload);
+        } catch (error) {
+            console.warn('[AgentforceChat] Unreadable message payload:', error);
+            return '';
+        }
+    }
+    const content = payload?.abstractMessage?.staticContent;
+    return content?.text || content?.title || '';
+}
+
+/**
+ * Transcript role for an Embedded Service sender ('EndUser' → user, 'System' → system, else agent)
+ */
+export function roleForSender(sender) {
+    if (sender === 'EndUser') {
+        return 'user';
+    }
+    return sender === 'System' ? 'system' : 'agent';
+}
+
+/**
+ * Add a message, starting over when it belongs to a new session
+ * @param {string} sessionId - Activity session ID
+ * @param {Object} entry - { timestamp, sender, text }
+ * @param {Object} limits - { maxMessages, maxChars }
+ */
+export function appendTranscriptEntry(sessionId, entry, limits = {}) {
+    if (!entry.text) {
+        return;
+    }
+    const maxMessages = Math.max(1, parseInt(limits.maxMessages, 10) || TRANSCRIPT_DEFAULTS.maxMessages);
+    const maxChars = Math.max(1, parseInt(limits.maxChars, 10) || TRANSCRIPT_DEFAULTS.maxChars);
+
+    const stored = loadTranscript();
+    const transcript = stored && stored.sessionId === sessionId
+        ? stored
+        : { sessionId, entries: [] };
+
+    transcript.entries.push({
+        timestamp: entry.timestamp || Date.now(),
+        role: roleForSender(entry.sender),
+        sender: entry.sender,
+        text: String(entry.text).slice(0, maxChars)
+    });
+
+    let totalChars = transcript.entries.reduce((sum, item) => sum + item.text.length, 0);
+    while (transcript.entries.length > maxMessages || totalChars > maxChars) {
+        totalChars -= transcript.entries.shift().text.length;
+    }
+
+    saveTranscript(transcript);
+}
+
+/**
+ * Recorded messages, oldest first (empty when nothing has been recorded)
+ * @returns {Array<{timestamp: number, role: string, sender: string, text: string}>}
+ */
+export function getTranscript() {
+    const stored = loadTranscript();
+    return stored ? stored.entries.map(entry => ({ ...entry })) : [];
+}
+
+export function clearTranscript() {
+    sessionStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Render the transcript for download
+ * @param {Array} entries - From getTranscript()
+ * @param {string} format - 'txt', 'md' or 'json'
+ * @returns {{ content: string, mimeType: string, extension: string }}
+ */
+export function formatTranscript(entries, format = 'txt') {
+    const { extension, mimeType } = TRANSCRIPT_FORMATS[format] || TRANSCRIPT_FORMATS.txt;
+    const time = (timestamp) => new Date(timestamp).toLocaleString();
+    const speaker = (entry) => ROLE_LABELS[entry.role] || entry.sender;
+
+    let content;
+    if (extension === 'json') {
+        content = JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            messages: entries.map(entry => ({ ...entry, time: new Date(entry.timestamp).toISOString() }))
+        }, null, 2);
+    } else if (extension === 'md') {
+        content = ['# Chat transcript', '']
+            .concat(entries.map(entry => `**${speaker(entry)}** _${time(entry.timestamp)}_\n\n${entry.text}\n`))
+            .join('\n');
+    } else {
+        content = entries
+            .map(entry => `[${time(entry.timestamp)}] ${speaker(entry)}: ${entry.text}`)
+            .join('\n');
+    }
+    return { content, mimeType, extension };
+}
@@ -0,0 +1,172 @@
+import {
+    API_VERSION,
+    emitWindowEvent,
+    flushWindowApiQueue,
+    installWindowApi,
+    toEventName,
+    uninstallWindowApi
+} from 'c/agentforceChatWindowApi';
+
+// Stand-in for the chat instance behind window.AgentforceChat
+function createController({ ready = true } = {}) {
+    let isReady = ready;
+    return {
+        setReady: (value) => {
+            isReady = value;
+        },
+        isReady: () => isReady,
+        open: jest.fn(() => Promise.resolve('opened')),
+        send: jest.fn(() => Promise.resolve('sent')),
+        end: jest.fn(() => Promise.resolve('ended')),
+        getState: jest.fn(() => 'ACTIVE')
+    };
+}
+
+// Let queued calls (promise chains) run
+const settle = () => Array.from({ length: 10 }).reduce(chain => chain.then(() => undefined), Promise.resolve());
+
+describe('c-agentforce-chat-window-api', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        delete window.AgentforceChat;
+        delete window.__agentforceChatWindowApi;
+        jest.restoreAllMocks();
+    });
+
+    it('converts activity event types to DOM event names', () => {
+        expect(toEventName('MESSAGE_SENT')).toBe('agentforce:message-sent');
+        expect(toEventName('agentforce:state-changed')).toBe('agentforce:state-changed');
+        expect(toEventName('session-started')).toBe('agentforce:session-started');
+    });
+
+    it('exposes a frozen, versioned facade', () => {
+        installWindowApi(createController());
+        expect(window.AgentforceChat.version).toBe(API_VERSION);
+        expect(Object.isFrozen(window.AgentforceChat)).toBe(true);
+    });
+
+    it('calls the controller directly once ready', async () => {
+        const controller = createController();
+        installWindowApi(controller);
+
+        await expect(window.AgentforceChat.open({ message: 'Hi' })).resolves.toBe('opened');
+        await expect(window.AgentforceChat.send('More')).resolves.toBe('sent');
+        await expect(window.AgentforceChat.end()).resolves.toBe('ended');
+        expect(controller.open).toHaveBeenCalledWith({ message: 'Hi' });
+        expect(controller.send).toHaveBeenCalledWith('More');
+    });
+
+    it('passes empty options to open by default', () => {
+        const controller = createController();
+        installWindowApi(controller);
+        window.AgentforceChat.open();
+        expect(controller.open).toHaveBeenCalledWith({});
+    });
+
+    it('queues calls until the chat is ready, then runs them in order', async () => {
+        const controller = createController({ ready: false });
+        installWindowApi(controller);
+
+        const opened = window.AgentforceChat.open({ message: 'Hi' });
+        const sent = window.AgentforceChat.send('Second');
+        expect(controller.open).not.toHaveBeenCalled();
+
+        controller.setReady(true);
+        flushWindowApiQueue();
+        await expect(opened).resolves.toBe('opened');
+        await expect(sent).resolves.toBe('sent');
+        expect(controller.open.mock.invocationCallOrder[0]).toBeLessThan(controller.send.mock.invocationCallOrder[0]);
+    });
+
+    it('rejects a queued call when the controller fails', async () => {
+        const controller = createController({ ready: false });
+        controller.send.mockImplementation(() => Promise.reject(new Error('not active')));
+        installWindowApi(controller);
+
+        const sent = window.AgentforceChat.send('Hi');
+        controller.setReady(true);
+        flushWindowApiQueue();
+        await expect(sent).rejects.toThrow('not active');
+    });
+
+    it('adopts open/send/end calls left in a pre-load stub', async () => {
+        window.AgentforceChat = { queue: [['open', { message: 'From stub' }], ['getState'], ['send', 'Next']] };
+        const controller = createController();
+        installWindowApi(controller);
+        await settle();
+
+        expect(controller.open).toHaveBeenCalledWith({ message: 'From stub' });
+        expect(controller.send).toHaveBeenCalledWith('Next');
+        expect(window.AgentforceChat.version).toBe(API_VERSION);
+    });
+
+    it('keeps the facade for the next instance after uninstall', async () => {
+        const first = createController();
+        installWindowApi(first);
+        const facade = window.AgentforceChat;
+
+        uninstallWindowApi(first);
+        expect(window.AgentforceChat.getState()).toBe('IDLE');
+        const opened = window.AgentforceChat.open({ message: 'Later' });
+
+        const second = createController();
+        installWindowApi(second);
+        await expect(opened).resolves.toBe('opened');
+        expect(second.open).toHaveBeenCalledWith({ message: 'Later' });
+        expect(first.open).not.toHaveBeenCalled();
+        expect(window.AgentforceChat).toBe(facade);
+    });
+
+    it('ignores uninstall from an instance that is not installed', () => {
+        const controller = createController();
+        installWindowApi(controller);
+        uninstallWindowApi(createController());
+        expect(window.AgentforceChat.getState()).toBe('ACTIVE');
+    });
+
+    describe('events', () => {
+        it('delivers event detail to subscribers until unsubscribed', () => {
+            installWindowApi(createController());
+            const callback = jest.fn();
+            const unsubscribe = window.AgentforceChat.on('MESSAGE_SENT', callback);
+
+            emitWindowEvent('MESSAGE_SENT', { length: 3 });
+            expect(callback).toHaveBeenCalledWith({ length: 3 });
+
+            unsubscribe();
+            emitWindowEvent('MESSAGE_SENT', { length: 4 });
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('registers a callback only once per event', () => {
+            installWindowApi(createController());
+            const callback = jest.fn();
+            window.AgentforceChat.on('message-sent', callback);
+            window.AgentforceChat.on('MESSAGE_SENT', callback);
+
+            emitWindowEvent('MESSAGE_SENT', {});
+            expect(callback).toHaveBeenCalledTimes(1);
+
+            window.AgentforceChat.off('agentforce:message-sent', callback);
+            emitWindowEvent('MESSAGE_SENT', {});
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('ignores a callback that is not a function', () => {
+            installWindowApi(createController());
+            const unsubscribe = window.AgentforceChat.on('MESSAGE_SENT', 'nope');
+            expect(() => unsubscribe()).not.toThrow();
+        });
+
+        it('dispatches agentforce:<event> on document', () => {
+            const listener = jest.fn();
+            document.addEventListener('agentforce:state-changed', listener);
+            emitWindowEvent('STATE_CHANGED', { to: 'READY' });
+            document.removeEventListener('agentforce:state-changed', listener);
+            expect(listener.mock.calls[0][0].detail).toEqual({ to: 'READY' });
+        });
+    });
+});
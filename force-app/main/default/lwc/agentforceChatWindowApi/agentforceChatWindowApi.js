@@ -0,0 +1,168 @@
+/**
+ * @description Agentforce Chat - Window API
+ * A versioned window.AgentforceChat facade for code that can't reach LMS
+ * (HTML Editor blocks, Google Tag Manager tags, theme scripts).
+ *
+ *   window.AgentforceChat.open({ message, context })  → Promise
+ *   window.AgentforceChat.send(text)                   → Promise
+ *   window.AgentforceChat.end()                        → Promise
+ *   window.AgentforceChat.on('message-sent', cb)       → returns an unsubscribe function
+ *   window.AgentforceChat.off('message-sent', cb)
+ *   window.AgentforceChat.getState()                   → 'IDLE' | 'READY' | 'ACTIVE' | ...
+ *
+ * Activity events are also dispatched on document as CustomEvents named
+ * agentforce:<event-type> (e.g. agentforce:message-sent, agentforce:state-changed).
+ *
+ * Calls made before the chat is ready are queued and run once it is. Scripts that load
+ * before agentforceChat can leave calls in a stub - they're picked up on install:
+ *   window.AgentforceChat = window.AgentforceChat || { queue: [] };
+ *   window.AgentforceChat.queue.push(['open', { message: 'Hi' }]);
+ */
+
+export const API_VERSION = '1.0.0';
+
+const EVENT_PREFIX = 'agentforce:';
+
+// Methods that need a ready chat - everything else answers immediately
+const QUEUEABLE_METHODS = ['open', 'send', 'end'];
+
+function getStore() {
+    if (!window.__agentforceChatWindowApi) {
+        window.__agentforceChatWindowApi = {
+            controller: null,
+            queue: [],
+            listeners: new Map() // DOM event name → Map(callback → listener)
+        };
+    }
+    return window.__agentforceChatWindowApi;
+}
+
+/**
+ * Activity event type → DOM event name (MESSAGE_SENT → agentforce:message-sent)
+ * Accepts either form, with or without the prefix
+ */
+export function toEventName(eventType) {
+    const name = String(eventType || '').replace(/^agentforce:/, '');
+    return EVENT_PREFIX + name.toLowerCase().replace(/_/g, '-');
+}
+
+function enqueue(method, args) {
+    return new Promise((resolve, reject) => {
+        getStore().queue.push({ method, args, resolve, reject });
+    });
+}
+
+function call(method, args) {
+    const { controller } = getStore();
+    if (controller && controller.isReady()) {
+        return controller[method](...args);
+    }
+    console.log('[AgentforceChat] Window API call queued until the chat is ready:', method);
+    return enqueue(method, args);
+}
+
+function on(eventName, callback) {
+    if (typeof callback !== 'function') {
+        return () => {};
+    }
+
+    const name = toEventName(eventName);
+    const { listeners } = getStore();
+    if (!listeners.has(name)) {
+        listeners.set(name, new Map());
+    }
+    const callbacks = listeners.get(name);
+    if (!callbacks.has(callback)) {
+        const listener = (event) => callback(event.detail);
+        callbacks.set(callback, listener);
+        document.addEventListener(name, listener);
+    }
+    return () => off(eventName, callback);
+}
+
+function off(eventName, callback) {
+    const name = toEventName(eventName);
+    const callbacks = getStore().listeners.get(name);
+    const listener = callbacks?.get(callback);
+    if (listener) {
+        document.removeEventListener(name, listener);
+        callbacks.delete(callback);
+    }
+}
+
+function createFacade() {
+    return Object.freeze({
+        version: API_VERSION,
+        open: (options) => call('open', [options || {}]),
+        send: (text) => call('send', [text]),
+        end: () => call('end', []),
+        on,
+        off,
+        getState: () => {
+            const { controller } = getStore();
+            return controller ? controller.getState() : 'IDLE';
+        }
+    });
+}
+
+/**
+ * Run queued calls - call whenever the chat becomes ready
+ */
+export function flushWindowApiQueue() {
+    const store = getStore();
+    const { controller } = store;
+    if (!controller || !controller.isReady() || !store.queue.length) {
+        return;
+    }
+
+    const queue = store.queue;
+    store.queue = [];
+    console.log('[AgentforceChat] Running', queue.length, 'queued window API call(s)');
+    queue.forEach(({ method, args, resolve, reject }) => {
+        Promise.resolve()
+            .then(() => controller[method](...args))
+            .then(resolve, reject);
+    });
+}
+
+/**
+ * Expose window.AgentforceChat backed by a chat instance
+ * @param {Object} controller - { isReady(), open(options), send(text), end(), getState() }
+ */
+export function installWindowApi(controller) {
+    const store = getStore();
+    store.controller = controller;
+
+    const existing = window.AgentforceChat;
+    if (existing?.version !== API_VERSION) {
+        // Adopt calls left in a pre-load stub
+        const stubCalls = Array.isArray(existing?.queue) ? existing.queue : [];
+        window.AgentforceChat = createFacade();
+        stubCalls.forEach(([method, ...args]) => {
+            if (QUEUEABLE_METHODS.includes(method)) {
+                enqueue(method, args).catch(error => {
+                    console.error('[AgentforceChat] Queued window API call failed:', method, error);
+                });
+            }
+        });
+    }
+
+    flushWindowApiQueue();
+}
+
+/**
+ * Detach a chat instance - the facade stays, later calls queue for the next instance
+ */
+export function uninstallWindowApi(controller) {
+    const store = getStore();
+    if (store.controller === controller) {
+        store.controller = null;
+    }
+}
+
+/**
+ * Mirror an activity event as a DOM CustomEvent on document
+ */
+export function emitWindowEvent(eventType, detail) {
+    document.dispatchEvent(new CustomEvent(toEventName(eventType), { detail }));
+}